@@ -1,12 +1,17 @@
-import { MsgType } from "./lib/messages.js";
+/**
+ * Page-side helper for the export. The pipeline itself runs in the offscreen
+ * document (offscreen.js); this content script only performs the steps that
+ * need the chatgpt.com page: reading the open chat's DOM and blob: images,
+ * the Selected Chats picker and navigation.
+ */
+
+import { MsgType, PageTask } from "./lib/messages.js";
 import { logger } from "./lib/logger.js";
-import { discoverConversations, promptConversationSelection } from "./lib/discovery.js";
-import { fetchAndNormalizeConversation, extractConversationFromActiveDom } from "./lib/schema.js";
-import { fetchConversationImages } from "./lib/images.js";
-import { packageZip } from "./lib/exporter/packager.js";
-import { formatDate } from "./lib/naming.js";
+import { promptConversationSelection } from "./lib/discovery.js";
+import { extractConversationFromActiveDom } from "./lib/schema.js";
+import { loadAllRenderedMessages } from "./lib/dom_loader.js";
+import { readBlobImageFromDom } from "./lib/images.js";
 
-let activeRun = null;
 if (!window.__cgptExporterModuleReady) {
   window.__cgptExporterModuleReady = true;
 
@@ -15,30 +20,13 @@ if (!window.__cgptExporterModuleReady) {
       return false;
     }
 
-    if (message.type === MsgType.RUN_EXPORT) {
-      if (activeRun && !activeRun.cancelled) {
-        sendResponse({ ok: false, message: "An export is already running" });
-        return true;
-      }
-
-      const runToken = { cancelled: false };
-      activeRun = runToken;
-      logger.info("RUN_EXPORT received in content script", message.payload);
-      void executeExport(message.payload, runToken).finally(() => {
-        if (activeRun === runToken) {
-          activeRun = null;
-        }
-      });
-      sendResponse({ ok: true, message: "Export runner started" });
-      return true;
-    }
-
-    if (message.type === MsgType.STOP_EXPORT) {
-      if (activeRun) {
-        activeRun.cancelled = true;
-        logger.info("STOP_EXPORT received in content script");
-      }
-      sendResponse({ ok: true });
+    if (message.type === MsgType.PAGE_TASK) {
+      void runPageTask(message.task, message.args || {})
+        .then((result) => sendResponse({ ok: true, result }))
+        .catch((err) => {
+          logger.warn(`Page task "${message.task}" failed`, err);
+          sendResponse({ ok: false, error: err instanceof Error ? err.message : String(err) });
+        });
       return true;
     }
 
@@ -57,276 +45,115 @@ if (!window.__cgptExporterModuleReady) {
   void chrome.runtime.sendMessage({ type: MsgType.CONTENT_SCRIPT_READY }).catch(() => {});
 }
 
-// ─── Main Export Pipeline ─────────────────────────────────────────────────────
+// ─── Page Tasks ───────────────────────────────────────────────────────────────
 
 /**
- * Full end-to-end export pipeline running in the page context:
- *   discover → fetch + normalize → fetch images → assemble ZIP → download
- *
- * @param {import("./lib/messages.js").StartExportPayload} payload
+ * @param {import("./lib/messages.js").PageTask} task
+ * @param {{ id?: string, url?: string, mimeType?: string }} args
+ * @returns {Promise<*>}
  */
-async function executeExport(payload, runToken) {
-  const originalConversationId = getCurrentConversationIdFromUrl();
-  const enableNavigationFallback = payload.scope === "selected";
-  let preferNavigationDomMode = false;
-
-  try {
-    throwIfCancelled(runToken);
-    sendProgress({ phase: "init", completed: 0, total: 0, etaSeconds: null });
-
-    // 1. Determine conversation IDs ─────────────────────────────────────────
-    let explicitIds = payload.conversationIds;
-    if (payload.scope === "selected" && (!explicitIds || explicitIds.length === 0)) {
-      explicitIds = await promptConversationSelection();
-      throwIfCancelled(runToken);
-      if (explicitIds.length === 0) {
-        sendProgress({ phase: "done", completed: 0, total: 0, etaSeconds: 0,
-          message: "No conversations selected." });
-        return;
-      }
+async function runPageTask(task, args) {
+  switch (task) {
+    case PageTask.CONTEXT:
+      return { conversationId: getCurrentConversationIdFromUrl() };
+    case PageTask.SELECT:
+      return promptConversationSelection();
+    case PageTask.EXTRACT:
+      return readConversationFromPage(requireId(args));
+    case PageTask.NAVIGATE: {
+      const id = requireId(args);
+      if (getCurrentConversationIdFromUrl() !== id) await navigateToConversation(id);
+      return null;
     }
-
-    const metas = await discoverConversations(
-      payload.scope,
-      explicitIds,
-      (ids) => sendProgress({
-        phase: "discovering", completed: ids.length, total: ids.length, etaSeconds: null
-      })
-    );
-
-    const total = metas.length;
-    throwIfCancelled(runToken);
-    logger.info(`Discovered ${total} conversation(s)`);
-    sendProgress({ phase: "discovering", completed: 0, total, etaSeconds: null });
-
-    // Inform service worker of the full ID list for resume state
-    void chrome.runtime.sendMessage({
-      type: MsgType.EXPORT_PROGRESS,
-      payload: { phase: "discovering", completed: 0, total, etaSeconds: null,
-        allIds: metas.map((m) => m.id) }
-    });
-
-    // 2. Load resume state to skip already-completed conversations ──────────
-    const rsResp = await chrome.runtime.sendMessage({ type: MsgType.GET_RESUME_STATE });
-    throwIfCancelled(runToken);
-    const completedIds = new Set(rsResp?.resumeState?.completedIds ?? []);
-
-    // 3. Fetch + normalize each conversation ────────────────────────────────
-    /** @type {import("./lib/exporter/packager.js").ConvExportRecord[]} */
-    const records = [];
-    /** @type {import("./lib/exporter/packager.js").FailureRecord[]} */
-    const failures = [];
-    const startTime = Date.now();
-
-    for (let i = 0; i < metas.length; i++) {
-      throwIfCancelled(runToken);
-      const meta = metas[i];
-
-      if (completedIds.has(meta.id)) {
-        logger.debug("Skipping already-completed conversation", meta.id);
-        continue;
-      }
-
-      try {
-        const result = await loadConversationForExport(
-          meta.id,
-          runToken,
-          enableNavigationFallback,
-          preferNavigationDomMode
-        );
-        if (result.apiFailed) {
-          preferNavigationDomMode = true;
-        }
-        const conversation = result.conversation;
-        throwIfCancelled(runToken);
-        const images = await fetchConversationImages(conversation);
-        throwIfCancelled(runToken);
-        records.push({ conversation, images });
-
-        // Checkpoint: notify service worker of this completion
-        void chrome.runtime.sendMessage({
-          type: MsgType.EXPORT_PROGRESS,
-          payload: { phase: "exporting", completed: i + 1, total,
-            etaSeconds: estimateEta(startTime, i + 1, total),
-            lastCompletedId: meta.id }
-        });
-      } catch (err) {
-        logger.error(`Failed to export conversation ${meta.id}`, err);
-        failures.push({
-          id:    meta.id,
-          title: meta.title || "Untitled Chat",
-          error: err instanceof Error ? err.message : String(err)
-        });
+    case PageTask.IMAGE:
+      if (typeof args.url !== "string" || !args.url.startsWith("blob:")) {
+        throw new Error("Page task is missing a blob: image URL");
       }
-
-      sendProgress({
-        phase: "exporting",
-        completed: i + 1,
-        total,
-        etaSeconds: estimateEta(startTime, i + 1, total)
-      });
-    }
-
-    // 4. Package ZIP ─────────────────────────────────────────────────────────
-    sendProgress({ phase: "packaging", completed: 0, total: records.length, etaSeconds: null });
-
-    const prefs = await getPreferences();
-    throwIfCancelled(runToken);
-    const blob = await packageZip(
-      records,
-      payload.formats,
-      prefs.namingTemplate || "{date}_{title}",
-      failures,
-      (done, tot) => sendProgress({ phase: "packaging", completed: done, total: tot, etaSeconds: null })
-    );
-
-    // 5. Trigger download via service worker ─────────────────────────────────
-    const dataUrl = await blobToDataUrl(blob);
-    throwIfCancelled(runToken);
-    const fileName = `chatgpt-export_${formatDate(Date.now() / 1000)}.zip`;
-
-    await chrome.runtime.sendMessage({
-      type: MsgType.TRIGGER_DOWNLOAD,
-      payload: { dataUrl, fileName }
-    });
-
-    sendProgress({ phase: "done", completed: total, total, etaSeconds: 0 });
-  } catch (err) {
-    if (runToken?.cancelled) {
-      sendProgress({
-        phase: "error",
-        completed: 0,
-        total: 0,
-        etaSeconds: null,
-        message: "Export cancelled."
-      });
-      return;
-    }
-    logger.error("executeExport failed", err);
-    sendProgress({
-      phase: "error", completed: 0, total: 0, etaSeconds: null,
-      message: err instanceof Error ? err.message : String(err)
-    });
-  } finally {
-    if (enableNavigationFallback && originalConversationId) {
-      void navigateToConversation(originalConversationId, null).catch(() => {});
-    }
+      return readBlobImageFromDom(args.url, args.mimeType);
+    default:
+      throw new Error(`Unknown page task "${task}"`);
   }
 }
 
-// ─── Helpers ─────────────────────────────────────────────────────────────────
-
-/** @param {import("./lib/messages.js").ProgressPayload} progress */
-function sendProgress(progress) {
-  void chrome.runtime.sendMessage({ type: MsgType.EXPORT_PROGRESS, payload: progress });
-}
-
-async function getPreferences() {
-  const resp = await chrome.runtime.sendMessage({ type: MsgType.GET_PREFERENCES });
-  return resp?.preferences || {};
-}
-
-/**
- * @param {number} startMs
- * @param {number} done
- * @param {number} total
- * @returns {number|null}
- */
-function estimateEta(startMs, done, total) {
-  if (done === 0) return null;
-  const elapsed = (Date.now() - startMs) / 1000;
-  const perItem = elapsed / done;
-  return Math.round(perItem * (total - done));
-}
-
-/** @param {Blob} blob @returns {Promise<string>} */
-function blobToDataUrl(blob) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(/** @type {string} */ (reader.result));
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
+function requireId(args) {
+  if (typeof args.id !== "string" || !args.id) throw new Error("Page task is missing a conversation id");
+  return args.id;
 }
 
-function throwIfCancelled(runToken) {
-  if (runToken?.cancelled) {
-    throw new Error("Export cancelled");
-  }
-}
+// ─── DOM Helpers ──────────────────────────────────────────────────────────────
 
 /**
- * Load a conversation for export. Primary source is API; for selected chats we
- * also support a navigation+DOM fallback when API lookup fails.
+ * Read a conversation from the rendered page, opening it first when the tab
+ * shows a different chat.
  *
  * @param {string} id
- * @param {{cancelled:boolean}} runToken
- * @param {boolean} allowNavigationFallback
+ * @returns {Promise<import("./lib/schema.js").NormalizedConversation>}
  */
-async function loadConversationForExport(id, runToken, allowNavigationFallback, preferNavigationDomMode) {
-  if (allowNavigationFallback && preferNavigationDomMode) {
-    await navigateToConversation(id, runToken);
-    throwIfCancelled(runToken);
-    const conversation = extractConversationFromActiveDom(id);
-    if (!conversation.messages || conversation.messages.length === 0) {
-      throw new Error(`Navigation fallback produced no messages for id=${id}`);
-    }
-    return { conversation, apiFailed: false };
+async function readConversationFromPage(id) {
+  if (getCurrentConversationIdFromUrl() === id) {
+    // Also covers a page that is still rendering after a full reload.
+    await waitForRenderedConversation(id);
+  } else {
+    await navigateToConversation(id);
   }
-
-  try {
-    const conversation = await fetchAndNormalizeConversation(id);
-    return { conversation, apiFailed: false };
-  } catch (err) {
-    if (!allowNavigationFallback) {
-      throw err;
-    }
-
-    logger.warn(`API load failed for ${id}; trying navigation fallback`, err);
-    await navigateToConversation(id, runToken);
-    throwIfCancelled(runToken);
-    const conversation = extractConversationFromActiveDom(id);
-    if (!conversation.messages || conversation.messages.length === 0) {
-      throw new Error(`Navigation fallback produced no messages for id=${id}`);
-    }
-    return {
-      conversation,
-      apiFailed: isApi404Error(err)
-    };
+  const conversation = extractConversationFromActiveDom(id);
+  if (!conversation.messages || conversation.messages.length === 0) {
+    throw new Error(`Page extraction produced no messages for id=${id}`);
   }
+  return conversation;
 }
 
 /**
- * Navigate to a conversation via the left sidebar link and wait for render.
- * Requires the target chat link to be currently present in the DOM.
+ * Navigate to a conversation in-app and wait for render. Uses the sidebar
+ * link when it is rendered, otherwise pushes the URL and lets the app's
+ * router pick it up. Never reloads the page: that would end this content
+ * script in the middle of the page task it is serving.
  *
  * @param {string} id
- * @param {{cancelled:boolean}|null} runToken
  */
-async function navigateToConversation(id, runToken) {
+async function navigateToConversation(id) {
+  // Messages of the chat shown so far; they must go before the new ones count.
+  const previous = document.querySelector("[data-message-author-role]");
   const link = findConversationLinkById(id);
   if (link) {
     link.click();
   } else {
-    // Fallback for virtualized/variant sidebar URLs: navigate directly.
-    window.location.assign(`/c/${id}`);
+    // Virtualized/variant sidebars may not render the link; the router
+    // listens for popstate, which is dispatched to the page as well.
+    history.pushState(history.state, "", `/c/${id}`);
+    window.dispatchEvent(new PopStateEvent("popstate", { state: history.state }));
   }
 
-  await waitForCondition(
-    () => getCurrentConversationIdFromUrl() === id,
-    10000,
-    100,
-    runToken,
-    `Timed out navigating to /c/${id}`
-  );
+  try {
+    await waitForCondition(
+      () => getCurrentConversationIdFromUrl() === id && !previous?.isConnected,
+      10000,
+      100,
+      `Timed out navigating to /c/${id}`
+    );
+  } catch (err) {
+    // Leave the URL matching what the tab shows.
+    if (!link && getCurrentConversationIdFromUrl() === id) history.back();
+    throw err;
+  }
+
+  await waitForRenderedConversation(id);
+}
 
+/**
+ * Wait until the open chat shows messages, then load its older turns.
+ * @param {string} id
+ */
+async function waitForRenderedConversation(id) {
   await waitForCondition(
     () => document.querySelectorAll("[data-message-author-role]").length > 0,
     10000,
     100,
-    runToken,
     `Timed out waiting for rendered messages for id=${id}`
   );
+
+  // Long chats lazy-load older turns; only the latest ones are rendered so far.
+  await loadAllRenderedMessages();
 }
 
 function getCurrentConversationIdFromUrl() {
@@ -346,10 +173,9 @@ function findConversationLinkById(id) {
   return null;
 }
 
-async function waitForCondition(predicate, timeoutMs, intervalMs, runToken, timeoutMessage) {
+async function waitForCondition(predicate, timeoutMs, intervalMs, timeoutMessage) {
   const start = Date.now();
   while (Date.now() - start < timeoutMs) {
-    throwIfCancelled(runToken);
     if (predicate()) return;
     await sleep(intervalMs);
   }
@@ -359,8 +185,3 @@ async function waitForCondition(predicate, timeoutMs, intervalMs, runToken, time
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
-
-function isApi404Error(err) {
-  if (!(err instanceof Error)) return false;
-  return err.message.includes("Conversation API returned 404");
-}
@@ -0,0 +1,91 @@
+/**
+ * Attachment Fetcher
+ *
+ * Downloads non-image files users uploaded to a conversation (PDFs,
+ * spreadsheets, source files, …). Requests carry the user's chatgpt.com
+ * cookies.
+ *
+ * ChatGPT resolves a file id to a short-lived signed URL through
+ * /backend-api/files/<id>/download; the bytes are then fetched from there.
+ */
+
+import { logger } from "./logger.js";
+import { collectMessages } from "./schema.js";
+import { request, requestJson, classifyError } from "./request.js";
+
+const FILES_API = "https://chatgpt.com/backend-api/files";
+
+/**
+ * Fetch every attachment referenced in a conversation's messages.
+ * Failures are collected instead of thrown so one missing file does not
+ * fail the whole conversation.
+ *
+ * @param {import("./schema.js").NormalizedConversation} conversation
+ * @returns {Promise<{ attachments: AttachmentRecord[], failures: AttachmentFailure[] }>}
+ */
+export async function fetchConversationAttachments(conversation) {
+  const attachments = [];
+  const failures    = [];
+  const seen        = new Set();
+
+  for (const msg of collectMessages(conversation)) {
+    const list = Array.isArray(msg.attachments) ? msg.attachments : [];
+    for (const attachment of list) {
+      if (seen.has(attachment.id)) continue;
+      seen.add(attachment.id);
+
+      try {
+        attachments.push(await fetchAttachment(attachment));
+      } catch (err) {
+        logger.warn("Failed to fetch attachment", attachment.id, err);
+        failures.push({
+          id:    attachment.id,
+          name:  attachment.name,
+          error: err instanceof Error ? err.message : String(err),
+          kind:  classifyError(err)
+        });
+      }
+    }
+  }
+
+  return { attachments, failures };
+}
+
+/**
+ * Resolve and download a single attachment.
+ *
+ * @param {import("./schema.js").Attachment} attachment
+ * @returns {Promise<AttachmentRecord>}
+ */
+async function fetchAttachment(attachment) {
+  const meta = await requestJson(`${FILES_API}/${encodeURIComponent(attachment.id)}/download`, {},
+    { label: "Files API" });
+  if (!meta?.download_url) {
+    throw new Error(meta?.error_code || "No download URL returned");
+  }
+
+  const resp = await request(meta.download_url, {}, { label: "File download" });
+
+  return {
+    id:       attachment.id,
+    name:     attachment.name || meta.file_name || attachment.id,
+    mimeType: attachment.mimeType || resp.headers.get("content-type") || "application/octet-stream",
+    bytes:    await resp.arrayBuffer()
+  };
+}
+
+/**
+ * @typedef {Object} AttachmentRecord
+ * @property {string}       id
+ * @property {string}       name      – original file name
+ * @property {string}       mimeType
+ * @property {ArrayBuffer}  bytes
+ */
+
+/**
+ * @typedef {Object} AttachmentFailure
+ * @property {string} id
+ * @property {string} name
+ * @property {string} error
+ * @property {import("./request.js").FailureKind} [kind]  – failure category for the summary report
+ */
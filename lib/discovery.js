@@ -4,14 +4,18 @@
  * Responsible for building the list of conversation IDs and metadata
  * for all three export scopes: current, selected, full.
  *
- * All discovery functions run inside the content script (chatgpt.com page context)
- * and can therefore access the page DOM and authenticated fetch credentials.
+ * API discovery runs in the offscreen export runner with the user's
+ * chatgpt.com cookies. The Selected Chats picker and its sidebar fallback
+ * need the page DOM and run in the content script.
  */
 
 import { logger } from "./logger.js";
+import { openConversationSelector } from "./selector.js";
+import { requestJson } from "./request.js";
 
 const HISTORY_API = "https://chatgpt.com/backend-api/conversations";
 const CONV_API    = "https://chatgpt.com/backend-api/conversation";
+const GIZMO_API   = "https://chatgpt.com/backend-api/gizmos";
 
 // ─── Public API ──────────────────────────────────────────────────────────────
 
@@ -21,14 +25,15 @@ const CONV_API    = "https://chatgpt.com/backend-api/conversation";
  * @param {"current"|"selected"|"full"} scope
  * @param {string[]} [explicitIds] – required when scope === "selected"
  * @param {(ids: string[]) => void} [onProgress]
+ * @param {string|null} [currentConversationId] – chat open in the ChatGPT tab; required when scope === "current"
  * @returns {Promise<ConversationMeta[]>}
  */
-export async function discoverConversations(scope, explicitIds, onProgress) {
+export async function discoverConversations(scope, explicitIds, onProgress, currentConversationId = null) {
   if (scope === "selected" && Array.isArray(explicitIds) && explicitIds.length > 0) {
     return explicitIds.map((id) => makeMinimalMeta(id));
   }
   if (scope === "current") {
-    const meta = await discoverCurrentChat();
+    const meta = await discoverCurrentChat(currentConversationId);
     if (meta) return [meta];
     return [];
   }
@@ -39,17 +44,13 @@ export async function discoverConversations(scope, explicitIds, onProgress) {
 }
 
 /**
- * Present the in-page conversation selector overlay and resolve with the
- * list of IDs the user checked before clicking "Export selected".
+ * Present the in-page conversation selector overlay (lib/selector.js) and
+ * resolve with the list of IDs the user checked before clicking "Export selected".
  *
  * @returns {Promise<string[]>}
  */
 export function promptConversationSelection() {
-  return new Promise((resolve) => {
-    const overlay = buildSelectorOverlay(resolve);
-    document.body.appendChild(overlay);
-    void populateSelectorOverlay(overlay);
-  });
+  return openConversationSelector(fetchSelectedConversationMeta);
 }
 
 // ─── Types ────────────────────────────────────────────────────────────────────
@@ -59,27 +60,33 @@ export function promptConversationSelection() {
  * @property {string}      id
  * @property {string}      title
  * @property {number|null} updatedAt   – Unix timestamp (seconds)
- * @property {string|null} customGptName
+ * @property {number|null} [createdAt] – Unix timestamp (seconds)
+ * @property {string|null} customGptName  – display name, or the gizmo id when the listing has none
+ * @property {string|null} [customGptId]  – "g-…" gizmo id
+ * @property {ConversationSource} source
+ * @property {string|null} projectName – set when source === "project"
+ */
+
+/**
+ * @typedef {"history"|"archived"|"project"} ConversationSource
+ *   history  – the regular sidebar history
+ *   archived – archived by the user; hidden from the default history listing
+ *   project  – lives inside a ChatGPT Project; listed per project only
  */
 
 // ─── Discovery Implementations ────────────────────────────────────────────────
 
 /**
- * Determine the current chat from the URL path (/c/<id>).
- * Falls back to fetching recent history and picking the first item.
+ * Describe the chat open in the tab (id taken from its /c/<id> URL).
+ * @param {string|null} id
  * @returns {Promise<ConversationMeta|null>}
  */
-async function discoverCurrentChat() {
-  const match = window.location.pathname.match(/\/c\/([a-z0-9-]+)/i);
-  if (match) {
-    const id = match[1];
+async function discoverCurrentChat(id) {
+  if (id) {
     // Enrich with API metadata if available
     try {
-      const resp = await fetch(`${CONV_API}/${id}`, { credentials: "include" });
-      if (resp.ok) {
-        const data = await resp.json();
-        return normalizeMeta(data);
-      }
+      const data = await requestJson(`${CONV_API}/${id}`, {}, { label: "Conversation API" });
+      return normalizeMeta(data);
     } catch {
       logger.warn("Could not fetch conversation metadata for", id);
     }
@@ -90,65 +97,185 @@ async function discoverCurrentChat() {
 }
 
 /**
- * Paginate through /conversations to collect all conversation metadata.
+ * Collect metadata for every conversation in the account: the regular
+ * history, archived chats, and each project's conversation list. These are
+ * separate listings in the API. A history page that still fails after
+ * retries fails discovery rather than silently truncating the dump; the
+ * archived and project listings are optional and are skipped with a warning.
+ *
+ * Duplicates are dropped by id. An archived or project entry wins over the
+ * same id from the regular history so the chat lands in the right folder.
+ *
  * @param {(ids: string[]) => void} [onProgress]
  * @returns {Promise<ConversationMeta[]>}
  */
 async function fetchAllConversationMeta(onProgress) {
-  const all = [];
-  let offset = 0;
-  const limit = 100;
+  /** @type {Map<string, ConversationMeta>} */
+  const byId = new Map();
+  const add = (meta) => {
+    if (!meta) return;
+    const existing = byId.get(meta.id);
+    if (!existing || (existing.source === "history" && meta.source !== "history")) {
+      byId.set(meta.id, meta);
+    }
+  };
+  const report = () => onProgress?.(Array.from(byId.keys()));
+
+  try {
+    await pageHistory("", (raw) => add(normalizeMeta(raw)), report);
+  } catch (err) {
+    logger.error("History API fetch error", err);
+    throw new Error(`Could not list conversation history: ${err instanceof Error ? err.message : String(err)}`,
+      { cause: err });
+  }
 
-  while (true) {
-    const url = `${HISTORY_API}?offset=${offset}&limit=${limit}&order=updated`;
-    let data;
+  try {
+    await pageHistory("&is_archived=true", (raw) => add(normalizeMeta(raw, "archived")), report);
+  } catch (err) {
+    logger.warn("Archived conversations unavailable; skipping", err);
+  }
+
+  let projects = [];
+  try {
+    projects = await fetchProjects();
+  } catch (err) {
+    logger.warn("Project list unavailable; skipping project chats", err);
+  }
+  for (const project of projects) {
     try {
-      const resp = await fetch(url, { credentials: "include" });
-      if (!resp.ok) {
-        logger.error("History API returned", resp.status);
-        break;
-      }
-      data = await resp.json();
+      await pageProjectConversations(project.id, (raw) => add(normalizeMeta(raw, "project", project.name)), report);
     } catch (err) {
-      logger.error("History API fetch error", err);
-      break;
+      logger.warn(`Conversations for project "${project.name}" unavailable; skipping`, err);
     }
+  }
 
+  const all = Array.from(byId.values());
+  const archived = all.filter((m) => m.source === "archived").length;
+  const inProjects = all.filter((m) => m.source === "project").length;
+  logger.info(
+    `discoverAllConversations: found ${all.length} conversation(s)`,
+    `(${archived} archived, ${inProjects} in ${projects.length} project(s))`
+  );
+  return all;
+}
+
+/**
+ * Offset-paginate /conversations with the given extra query string.
+ * @param {string} query  e.g. "" or "&is_archived=true"
+ * @param {(raw: *) => void} onItem
+ * @param {() => void} onPage
+ */
+async function pageHistory(query, onItem, onPage) {
+  const limit = 100;
+  for (let offset = 0; ; offset += limit) {
+    const data  = await fetchDiscoveryJson(`${HISTORY_API}?offset=${offset}&limit=${limit}&order=updated${query}`);
     const items = Array.isArray(data?.items) ? data.items : [];
-    for (const item of items) {
-      const meta = normalizeMeta(item);
-      if (meta) all.push(meta);
+    items.forEach(onItem);
+    onPage();
+    if (items.length < limit) return;
+  }
+}
+
+/**
+ * List the account's projects (internally "snorlax" gizmos).
+ * @returns {Promise<{ id: string, name: string }[]>}
+ */
+async function fetchProjects() {
+  const projects = [];
+  const seenCursors = new Set();
+  let cursor = null;
+
+  do {
+    seenCursors.add(cursor);
+    const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : "";
+    const data  = await fetchDiscoveryJson(`${GIZMO_API}/snorlax/sidebar?conversations_per_gizmo=0${query}`);
+    for (const item of Array.isArray(data?.items) ? data.items : []) {
+      const gizmo = item?.gizmo?.gizmo ?? item?.gizmo ?? item;
+      const id = String(gizmo?.id || "").trim();
+      if (!id) continue;
+      projects.push({ id, name: String(gizmo.display?.name || id).trim() });
     }
+    cursor = data?.cursor ?? null;
+  } while (cursor != null && !seenCursors.has(cursor));
 
-    onProgress?.(all.map((m) => m.id));
+  return projects;
+}
 
-    if (items.length < limit) break;
-    offset += limit;
+/**
+ * Cursor-paginate one project's conversation list.
+ * @param {string} projectId
+ * @param {(raw: *) => void} onItem
+ * @param {() => void} onPage
+ */
+async function pageProjectConversations(projectId, onItem, onPage) {
+  const seenCursors = new Set();
+  let cursor = "0";
+
+  while (cursor != null && !seenCursors.has(cursor)) {
+    seenCursors.add(cursor);
+    const data = await fetchDiscoveryJson(
+      `${GIZMO_API}/${encodeURIComponent(projectId)}/conversations?cursor=${encodeURIComponent(cursor)}`
+    );
+    (Array.isArray(data?.items) ? data.items : []).forEach(onItem);
+    onPage();
+    cursor = data?.cursor ?? null;
   }
+}
 
-  logger.info(`discoverAllConversations: found ${all.length} conversation(s)`);
-  return all;
+/**
+ * GET a discovery endpoint through the shared request layer.
+ * @param {string} url
+ * @returns {Promise<*>}
+ */
+function fetchDiscoveryJson(url) {
+  return requestJson(url, {}, { label: url.replace(/\?.*$/, "") });
 }
 
 // ─── Normalisation ────────────────────────────────────────────────────────────
 
 /**
  * Normalize a raw API item into a canonical ConversationMeta object.
+ * Project chats carry their project's gizmo id, which is not a Custom GPT.
+ *
  * @param {*} raw
+ * @param {ConversationSource} [source]  the listing the item came from
+ * @param {string|null} [projectName]
  * @returns {ConversationMeta|null}
  */
-function normalizeMeta(raw) {
+function normalizeMeta(raw, source = "history", projectName = null) {
   if (!raw || typeof raw !== "object") return null;
   const id = String(raw.id || raw.conversation_id || "").trim();
   if (!id) return null;
 
   const title = String(raw.title || "Untitled Chat").trim();
   const updatedAt = toUnixSeconds(raw.update_time ?? raw.updatedAt ?? raw.updated_at ?? null);
-  const customGptName = raw.gizmo_id
-    ? String(raw.meta?.gizmo?.display?.name ?? raw.gizmo_id)
-    : null;
+  const createdAt = toUnixSeconds(raw.create_time ?? raw.createdAt ?? raw.created_at ?? null);
+  const inProject = source === "project" || isProjectGizmo(raw);
+  const customGptId   = raw.gizmo_id && !inProject ? String(raw.gizmo_id) : null;
+  const customGptName = customGptId ? String(raw.meta?.gizmo?.display?.name ?? customGptId) : null;
+
+  if (source === "history" && inProject) source = "project";
+  else if (source === "history" && raw.is_archived === true) source = "archived";
+
+  return {
+    id,
+    title,
+    updatedAt,
+    createdAt,
+    customGptName,
+    customGptId,
+    source,
+    projectName: source === "project" ? (projectName || String(raw.gizmo_id || "") || null) : null
+  };
+}
 
-  return { id, title, updatedAt, customGptName };
+/**
+ * Projects are gizmos too; their ids use the "g-p-" prefix.
+ * @param {*} raw  conversation list item or conversation payload
+ * @returns {boolean}
+ */
+function isProjectGizmo(raw) {
+  return raw?.gizmo_type === "snorlax" || String(raw?.gizmo_id || "").startsWith("g-p-");
 }
 
 /**
@@ -157,7 +284,7 @@ function normalizeMeta(raw) {
  * @returns {ConversationMeta}
  */
 function makeMinimalMeta(id) {
-  return { id, title: "Untitled Chat", updatedAt: null, customGptName: null };
+  return { id, title: "Untitled Chat", updatedAt: null, customGptName: null, customGptId: null, source: "history", projectName: null };
 }
 
 /**
@@ -176,158 +303,7 @@ function toUnixSeconds(raw) {
   return null;
 }
 
-// ─── In-page Conversation Selector Overlay ────────────────────────────────────
-
-/**
- * Build the sidebar overlay DOM element for manual conversation selection.
- * @param {(ids: string[]) => void} onConfirm
- * @returns {HTMLElement}
- */
-function buildSelectorOverlay(onConfirm) {
-  const overlay = document.createElement("div");
-  overlay.id = "cgpt-exporter-selector";
-  overlay.style.cssText = `
-    position: fixed; inset: 0; z-index: 99999;
-    background: rgba(0,0,0,0.55);
-    display: flex; align-items: flex-start; justify-content: flex-end;
-    font-family: "Segoe UI", sans-serif;
-  `;
-
-  const panel = document.createElement("div");
-  panel.style.cssText = `
-    width: 340px; height: 100vh;
-    background: #fff; color: #111;
-    display: flex; flex-direction: column;
-    box-shadow: -4px 0 20px rgba(0,0,0,0.3);
-  `;
-
-  const header = document.createElement("div");
-  header.style.cssText = `
-    padding: 14px 16px; border-bottom: 1px solid #e5e7eb;
-    font-weight: 600; font-size: 15px;
-  `;
-  header.textContent = "Select conversations to export";
-
-  const list = document.createElement("ul");
-  list.id = "cgpt-exporter-selector-list";
-  list.style.cssText = `flex: 1; overflow-y: auto; margin: 0; padding: 8px 0; list-style: none;`;
-  const loading = document.createElement("li");
-  loading.id = "cgpt-exporter-selector-loading";
-  loading.style.cssText = "padding: 12px 16px; font-size: 13px; color: #6b7280;";
-  loading.textContent = "Loading conversations...";
-  list.appendChild(loading);
-
-  const footer = document.createElement("div");
-  footer.style.cssText = `
-    padding: 12px 16px; border-top: 1px solid #e5e7eb;
-    display: flex; gap: 8px;
-  `;
-
-  const confirmBtn = document.createElement("button");
-  confirmBtn.textContent = "Export selected";
-  confirmBtn.style.cssText = `
-    flex: 1; padding: 9px; background: #111827; color: #fff;
-    border: none; border-radius: 8px; cursor: pointer; font-size: 13px;
-  `;
-  confirmBtn.addEventListener("click", () => {
-    const ids = Array.from(list.querySelectorAll("input:checked")).map((cb) => cb.value);
-    overlay.remove();
-    onConfirm(ids);
-  });
-
-  const cancelBtn = document.createElement("button");
-  cancelBtn.textContent = "Cancel";
-  cancelBtn.style.cssText = `
-    padding: 9px 14px; background: #e7ebf0; color: #111;
-    border: none; border-radius: 8px; cursor: pointer; font-size: 13px;
-  `;
-  cancelBtn.addEventListener("click", () => {
-    overlay.remove();
-    onConfirm([]);
-  });
-
-  footer.appendChild(confirmBtn);
-  footer.appendChild(cancelBtn);
-  panel.appendChild(header);
-  panel.appendChild(list);
-  panel.appendChild(footer);
-  overlay.appendChild(panel);
-  return overlay;
-}
-
-/**
- * Populate the selector overlay with full conversation metadata so users can
- * select from all conversations, not only currently visible sidebar items.
- *
- * @param {HTMLElement} overlay
- */
-async function populateSelectorOverlay(overlay) {
-  const list = overlay.querySelector("#cgpt-exporter-selector-list");
-  if (!list) return;
-
-  try {
-    const loading = overlay.querySelector("#cgpt-exporter-selector-loading");
-    if (loading) {
-      loading.textContent = "Loading conversations from account history...";
-    }
-
-    const metas = await fetchSelectedConversationMeta((ids) => {
-      const loading = overlay.querySelector("#cgpt-exporter-selector-loading");
-      if (loading) {
-        loading.textContent = `Loading conversations... (${ids.length} found)`;
-      }
-    });
-
-    list.innerHTML = "";
-    for (const meta of metas) {
-      list.appendChild(buildSelectorRow(meta.id, meta.title || meta.id));
-    }
-
-    if (metas.length === 0) {
-      const empty = document.createElement("li");
-      empty.style.cssText = "padding: 12px 16px; font-size: 13px; color: #6b7280;";
-      empty.textContent = "No conversations found. Expand your chat history in the left sidebar and retry.";
-      list.appendChild(empty);
-    }
-  } catch (err) {
-    logger.error("Failed to populate selector overlay", err);
-    list.innerHTML = "";
-    const failed = document.createElement("li");
-    failed.style.cssText = "padding: 12px 16px; font-size: 13px; color: #b91c1c;";
-    failed.textContent = "Failed to load conversations.";
-    list.appendChild(failed);
-  }
-}
-
-/**
- * Build one selectable row in the manual selection panel.
- *
- * @param {string} id
- * @param {string} title
- * @returns {HTMLLIElement}
- */
-function buildSelectorRow(id, title) {
-  const li = document.createElement("li");
-  li.style.cssText = "display:flex;align-items:center;gap:10px;padding:8px 16px;cursor:pointer;";
-
-  const cb = document.createElement("input");
-  cb.type = "checkbox";
-  cb.value = id;
-  cb.id = `cgpt-sel-${id}`;
-  cb.style.cursor = "pointer";
-
-  const lbl = document.createElement("label");
-  lbl.htmlFor = `cgpt-sel-${id}`;
-  lbl.textContent = title;
-  lbl.style.cssText = "cursor:pointer;font-size:13px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;";
-
-  li.appendChild(cb);
-  li.appendChild(lbl);
-  li.addEventListener("click", (e) => {
-    if (e.target !== cb) cb.checked = !cb.checked;
-  });
-  return li;
-}
+// ─── Selected Chats Source ────────────────────────────────────────────────────
 
 /**
  * Selected-chat discovery source strategy:
@@ -391,7 +367,10 @@ function scrapeSidebarConversationMeta() {
       id,
       title,
       updatedAt: null,
-      customGptName: null
+      customGptName: null,
+      customGptId: null,
+      source: "history",
+      projectName: null
     });
   }
 
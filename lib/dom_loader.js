@@ -0,0 +1,82 @@
+/**
+ * Lazy-Loaded Message Scroller
+ *
+ * ChatGPT renders long conversations incrementally: older turns are only
+ * added to the page once the conversation pane is scrolled up. Before the
+ * DOM extraction fallback reads messages, this scrolls the pane to the top
+ * until the rendered message count stops changing, then puts the view back
+ * where the user had it.
+ */
+
+import { logger } from "./logger.js";
+
+const MESSAGE_SELECTOR = "[data-message-author-role]";
+
+/**
+ * Scroll until every message of the open conversation is rendered.
+ *
+ * @param {{cancelled:boolean}|null} [runToken]
+ * @param {ScrollLoadOptions} [opts]
+ * @returns {Promise<number>}  final rendered message count
+ */
+export async function loadAllRenderedMessages(runToken = null, opts = {}) {
+  const { settleMs = 500, stableRounds = 3, timeoutMs = 30000 } = opts;
+
+  const first = document.querySelector(MESSAGE_SELECTOR);
+  if (!first) return 0;
+
+  const scroller     = findScrollContainer(first);
+  const bottomOffset = scroller.scrollHeight - scroller.scrollTop;
+  const deadline     = Date.now() + timeoutMs;
+
+  let count  = countRenderedMessages();
+  let stable = 0;
+  while (stable < stableRounds) {
+    if (runToken?.cancelled) throw new Error("Export cancelled");
+    if (Date.now() >= deadline) {
+      logger.warn(`Stopped scrolling after ${timeoutMs}ms; ${count} message(s) rendered`);
+      break;
+    }
+    scroller.scrollTop = 0;
+    await sleep(settleMs);
+    const next = countRenderedMessages();
+    stable = next === count ? stable + 1 : 0;
+    count  = next;
+  }
+
+  // Older turns were inserted above, so restore by distance from the bottom.
+  scroller.scrollTop = scroller.scrollHeight - bottomOffset;
+  logger.debug(`Rendered message count settled at ${count}`);
+  return count;
+}
+
+/** @returns {number} */
+export function countRenderedMessages() {
+  return document.querySelectorAll(MESSAGE_SELECTOR).length;
+}
+
+/**
+ * Nearest ancestor that scrolls vertically, falling back to the document.
+ * @param {Element} el
+ * @returns {Element}
+ */
+function findScrollContainer(el) {
+  for (let node = el.parentElement; node; node = node.parentElement) {
+    const overflowY = getComputedStyle(node).overflowY;
+    if ((overflowY === "auto" || overflowY === "scroll") && node.scrollHeight > node.clientHeight) {
+      return node;
+    }
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @typedef {Object} ScrollLoadOptions
+ * @property {number} [settleMs]      wait after each scroll for new turns to render
+ * @property {number} [stableRounds]  consecutive unchanged counts that end loading
+ * @property {number} [timeoutMs]     hard cap on total scrolling time
+ */
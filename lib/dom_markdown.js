@@ -0,0 +1,394 @@
+/**
+ * DOM → Markdown Converter
+ *
+ * Turns a rendered ChatGPT message element back into content parts for the
+ * DOM extraction fallback. The element is walked in document order:
+ *   - Prose becomes GFM text parts (headings, nested and task lists, tables,
+ *     blockquotes, links, inline code, emphasis, strikethrough)
+ *   - Top-level code blocks and images become their own parts, placed
+ *     between the surrounding text exactly where they appear on the page
+ *   - Code blocks nested in lists or quotes stay fenced inside the text
+ *   - KaTeX-rendered math is turned back into `\( … \)` / `\[ … \]` source
+ *
+ * Only the minimal Node interface is used (nodeType, nodeName, childNodes,
+ * textContent, getAttribute), so the converter also runs outside a browser.
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE    = 3;
+
+/** Elements whose content is UI chrome (copy buttons, icons), never message text. */
+const SKIP_TAGS = new Set(["BUTTON", "SVG", "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"]);
+
+/** Non-semantic wrappers that are descended into when they hold block content. */
+const CONTAINER_TAGS = new Set(["DIV", "SECTION", "ARTICLE", "MAIN", "FIGURE", "SPAN"]);
+
+const BLOCK_TAGS = new Set([
+  "P", "H1", "H2", "H3", "H4", "H5", "H6", "UL", "OL", "LI", "PRE",
+  "BLOCKQUOTE", "TABLE", "HR", "DIV", "SECTION", "ARTICLE", "MAIN", "FIGURE"
+]);
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Convert a message element to ordered content parts.
+ *
+ * @param {Element} root  message element, e.g. `[data-message-author-role]`
+ * @returns {import("./schema.js").ContentPart[]}
+ */
+export function domToParts(root) {
+  const parts   = [];
+  const pending = [];
+
+  const flush = () => {
+    const text = pending.join("\n\n").trim();
+    if (text) parts.push({ type: "text", text });
+    pending.length = 0;
+  };
+
+  const visit = (el) => {
+    for (const group of groupChildren(el)) {
+      if (!isElement(group)) {
+        pushBlock(pending, renderInline(group));
+      } else if (tagOf(group) === "PRE") {
+        flush();
+        const code = readCodeBlock(group);
+        if (code.text) parts.push({ type: "code", language: code.language, text: code.text });
+      } else if (tagOf(group) === "IMG") {
+        flush();
+        const image = readImage(group);
+        if (image) parts.push(image);
+      } else if (isPreWrap(group)) {
+        pushBlock(pending, group.textContent || "");
+      } else if (isContainer(group)) {
+        visit(group);
+      } else {
+        pushBlock(pending, renderBlock(group));
+      }
+    }
+  };
+
+  if (isPreWrap(root)) {
+    pushBlock(pending, root.textContent || "");
+  } else {
+    visit(root);
+  }
+  flush();
+  return parts;
+}
+
+// ─── Block structure ──────────────────────────────────────────────────────────
+
+/**
+ * Split an element's children into block elements and runs of inline
+ * content. Each inline run is returned as a synthetic fragment.
+ * @param {Node} el
+ * @returns {Array<Element|InlineRun>}
+ */
+function groupChildren(el) {
+  const groups = [];
+  let run = null;
+  for (const child of Array.from(el.childNodes || [])) {
+    if (isElement(child) && SKIP_TAGS.has(tagOf(child))) continue;
+    if (isElement(child) && isSrOnly(child)) continue;
+    if (isElement(child) && (BLOCK_TAGS.has(tagOf(child)) || tagOf(child) === "IMG")) {
+      run = null;
+      groups.push(child);
+    } else {
+      if (!run) {
+        run = { childNodes: [] };
+        groups.push(run);
+      }
+      run.childNodes.push(child);
+    }
+  }
+  return groups;
+}
+
+/**
+ * @param {Element} el
+ * @returns {string}  Markdown for one block element
+ */
+function renderBlock(el) {
+  const tag = tagOf(el);
+  if (/^H[1-6]$/.test(tag)) {
+    return `${"#".repeat(Number(tag[1]))} ${renderInline(el)}`;
+  }
+  switch (tag) {
+    case "P":          return renderInline(el);
+    case "UL":
+    case "OL":         return renderList(el);
+    case "BLOCKQUOTE": return prefixLines(renderBlocks(el), "> ", ">");
+    case "PRE":        return renderFence(readCodeBlock(el));
+    case "TABLE":      return renderTable(el);
+    case "HR":         return "---";
+    case "IMG":        return renderInline({ childNodes: [el] });
+    default:           return isPreWrap(el) ? (el.textContent || "") : renderBlocks(el);
+  }
+}
+
+/**
+ * Render every child block of `el`.
+ * @param {Node} el
+ * @param {string} [separator]
+ * @returns {string}
+ */
+function renderBlocks(el, separator = "\n\n") {
+  const blocks = [];
+  for (const group of groupChildren(el)) {
+    pushBlock(blocks, isElement(group) ? renderBlock(group) : renderInline(group));
+  }
+  return blocks.join(separator);
+}
+
+/**
+ * @param {Element} list  UL or OL
+ * @returns {string}
+ */
+function renderList(list) {
+  const ordered = tagOf(list) === "OL";
+  let n = Number.parseInt(list.getAttribute?.("start") ?? "", 10);
+  if (!Number.isFinite(n)) n = 1;
+
+  const items = [];
+  for (const li of Array.from(list.childNodes || [])) {
+    if (!isElement(li) || tagOf(li) !== "LI") continue;
+    const marker = ordered ? `${n++}.` : "-";
+    const loose  = Array.from(li.childNodes || []).some((c) => isElement(c) && tagOf(c) === "P");
+    const body   = renderBlocks(li, loose ? "\n\n" : "\n");
+    const indent = " ".repeat(marker.length + 1);
+    const lines  = body.split("\n").map((line, i) => (i === 0 || !line ? line : indent + line));
+    items.push(`${marker} ${lines.join("\n")}`.trimEnd());
+  }
+  return items.join("\n");
+}
+
+/**
+ * @param {Element} table
+ * @returns {string}  GFM table
+ */
+function renderTable(table) {
+  const rows = findAll(table, "TR").map((tr) =>
+    Array.from(tr.childNodes || [])
+      .filter((c) => isElement(c) && (tagOf(c) === "TH" || tagOf(c) === "TD")));
+  if (rows.length === 0) return "";
+
+  const width = Math.max(...rows.map((r) => r.length));
+  const cellText = (cell) => renderInline(cell).replaceAll("|", "\\|").replace(/\s*\n\s*/g, "<br>");
+  const line = (cells) => {
+    const padded = Array.from({ length: width }, (_, i) => (cells[i] ? cellText(cells[i]) : ""));
+    return `| ${padded.join(" | ")} |`;
+  };
+  const align = (cell) => {
+    const value = (cell?.getAttribute?.("align") || cell?.getAttribute?.("style") || "").toLowerCase();
+    if (value.includes("center")) return ":---:";
+    if (value.includes("right"))  return "---:";
+    if (value.includes("left"))   return ":---";
+    return "---";
+  };
+
+  const [header, ...body] = rows;
+  const separator = `| ${Array.from({ length: width }, (_, i) => align(header[i])).join(" | ")} |`;
+  return [line(header), separator, ...body.map(line)].join("\n");
+}
+
+// ─── Inline content ───────────────────────────────────────────────────────────
+
+/**
+ * @param {Node|InlineRun} node
+ * @returns {string}
+ */
+function renderInline(node) {
+  const out = Array.from(node.childNodes || []).map(inlineNode).join("");
+  return out
+    .replace(/[ \t]+/g, " ")
+    .replace(/ ?\n ?/g, "\n")
+    .trim()
+    .replace(/\n/g, "  \n");
+}
+
+/**
+ * @param {Node} node
+ * @returns {string}
+ */
+function inlineNode(node) {
+  if (node.nodeType === TEXT_NODE) {
+    return (node.textContent || "").replace(/\s+/g, " ");
+  }
+  if (!isElement(node) || SKIP_TAGS.has(tagOf(node)) || isSrOnly(node)) return "";
+
+  const inner = () => Array.from(node.childNodes || []).map(inlineNode).join("");
+  const math  = readMath(node);
+  if (math !== null) return math;
+  switch (tagOf(node)) {
+    case "STRONG":
+    case "B":      return wrap(inner(), "**");
+    case "EM":
+    case "I":      return wrap(inner(), "*");
+    case "DEL":
+    case "S":      return wrap(inner(), "~~");
+    case "CODE":   return codeSpan(node.textContent || "");
+    case "BR":     return "\n";
+    case "A": {
+      const text = inner().trim();
+      const href = node.getAttribute?.("href") || "";
+      return href && text ? `[${text}](${href})` : text || href;
+    }
+    case "IMG": {
+      const src = node.getAttribute?.("src") || "";
+      return src ? `![${node.getAttribute?.("alt") || "image"}](${src})` : "";
+    }
+    case "INPUT":
+      return node.getAttribute?.("type") === "checkbox"
+        ? (node.getAttribute?.("checked") != null ? "[x] " : "[ ] ")
+        : "";
+    default:
+      return BLOCK_TAGS.has(tagOf(node)) ? `${inner()}\n` : inner();
+  }
+}
+
+/**
+ * Wrap emphasis markers around the text, keeping surrounding spaces outside.
+ * @param {string} text
+ * @param {string} marker
+ * @returns {string}
+ */
+function wrap(text, marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+}
+
+/**
+ * Inline code span with a fence longer than any backtick run it contains.
+ * @param {string} text
+ * @returns {string}
+ */
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence   = "`".repeat(longest + 1);
+  const padded  = text.startsWith("`") || text.endsWith("`") ? ` ${text} ` : text;
+  return `${fence}${padded}${fence}`;
+}
+
+/**
+ * KaTeX keeps the TeX source in a MathML annotation next to the rendering.
+ * @param {Element} el
+ * @returns {string|null}  delimited TeX, or null when `el` is not math
+ */
+function readMath(el) {
+  const cls = String(el.getAttribute?.("class") || "");
+  const display = /\bkatex-display\b/.test(cls);
+  if (!display && !/\bkatex\b/.test(cls)) return null;
+  const annotation = findAll(el, "ANNOTATION")[0];
+  if (!annotation) return null;
+  const tex = (annotation.textContent || "").trim();
+  return display ? `\\[${tex}\\]` : `\\(${tex}\\)`;
+}
+
+// ─── Code blocks and images ───────────────────────────────────────────────────
+
+/**
+ * Read a `<pre>` block. ChatGPT wraps the `<code>` in a header with the
+ * language label and a copy button; the language is taken from the
+ * `language-*` class when present.
+ * @param {Element} pre
+ * @returns {{ language: string, text: string }}
+ */
+function readCodeBlock(pre) {
+  const code  = findAll(pre, "CODE")[0] || pre;
+  const match = String(code.getAttribute?.("class") || "").match(/language-([a-z0-9_+-]+)/i);
+  const text  = (code.textContent || "").replace(/^\n+/, "").trimEnd();
+  return { language: match ? match[1] : "", text };
+}
+
+/**
+ * @param {{ language: string, text: string }} code
+ * @returns {string}
+ */
+function renderFence({ language, text }) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence   = "`".repeat(longest + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * DOM extraction cannot recover asset ids; the src is kept as an opaque id.
+ * @param {Element} img
+ * @returns {import("./schema.js").ImagePart|null}
+ */
+function readImage(img) {
+  const src = img.getAttribute?.("src") || "";
+  if (!src) return null;
+  return {
+    type:     "image",
+    assetId:  src,
+    width:    img.naturalWidth  || null,
+    height:   img.naturalHeight || null,
+    mimeType: "image/png"
+  };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string[]} blocks
+ * @param {string} markdown
+ */
+function pushBlock(blocks, markdown) {
+  if (markdown && markdown.trim()) blocks.push(markdown);
+}
+
+/**
+ * @param {string} text
+ * @param {string} prefix      for non-empty lines
+ * @param {string} emptyPrefix for blank lines
+ * @returns {string}
+ */
+function prefixLines(text, prefix, emptyPrefix) {
+  return text.split("\n").map((line) => (line ? prefix + line : emptyPrefix)).join("\n");
+}
+
+/**
+ * Depth-first search for descendants with the given tag, in document order.
+ * @param {Node} el
+ * @param {string} tag
+ * @returns {Element[]}
+ */
+function findAll(el, tag) {
+  const found = [];
+  for (const child of Array.from(el.childNodes || [])) {
+    if (!isElement(child)) continue;
+    if (tagOf(child) === tag) found.push(child);
+    found.push(...findAll(child, tag));
+  }
+  return found;
+}
+
+/** @param {Element} el @returns {boolean} */
+function isContainer(el) {
+  if (!CONTAINER_TAGS.has(tagOf(el))) return false;
+  return Array.from(el.childNodes || []).some((c) =>
+    isElement(c) && (BLOCK_TAGS.has(tagOf(c)) || tagOf(c) === "IMG" || isContainer(c)));
+}
+
+/** User prompts are rendered as pre-wrapped plain text, not Markdown. */
+function isPreWrap(el) {
+  return isElement(el) && /\bwhitespace-pre-wrap\b/.test(String(el.getAttribute?.("class") || ""));
+}
+
+function isSrOnly(el) {
+  return /\bsr-only\b/.test(String(el.getAttribute?.("class") || ""));
+}
+
+function isElement(node) {
+  return node?.nodeType === ELEMENT_NODE;
+}
+
+function tagOf(el) {
+  return String(el.nodeName || el.tagName || "").toUpperCase();
+}
+
+/**
+ * @typedef {Object} InlineRun
+ * @property {Node[]} childNodes  – consecutive inline siblings
+ */
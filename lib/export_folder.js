@@ -0,0 +1,176 @@
+/**
+ * Export Folder
+ *
+ * The "Save to folder" destination writes the export into a directory the
+ * user picked with the File System Access API instead of downloading a ZIP,
+ * so the folder can be opened in Obsidian or kept under git.
+ *
+ * The directory handle is picked once (popup/folder.html; the action popup
+ * closes when a native picker opens) and kept in IndexedDB, which can store
+ * handles. Read/write access has to be re-granted after the browser
+ * restarts: the popup asks for it when an export starts, because the
+ * offscreen document that writes the files cannot show a prompt.
+ */
+
+import { logger } from "./logger.js";
+import { openDatabase, requestToPromise } from "./idb.js";
+
+const DB_NAME    = "cgpt-exporter-folder";
+const DB_VERSION = 1;
+const STORE      = "handles";
+const HANDLE_KEY = "exportFolder";
+
+const PERMISSION = { mode: "readwrite" };
+
+const encoder = new TextEncoder();
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {FileSystemDirectoryHandle} handle
+ * @returns {Promise<void>}
+ */
+export async function saveExportFolder(handle) {
+  const db = await getDb();
+  if (!db) throw new Error("Cannot remember the folder: IndexedDB is unavailable");
+  await requestToPromise(db.transaction(STORE, "readwrite").objectStore(STORE).put(handle, HANDLE_KEY));
+}
+
+/**
+ * @returns {Promise<FileSystemDirectoryHandle|null>}  the folder picked last, if any
+ */
+export async function loadExportFolder() {
+  const db = await getDb();
+  if (!db) return null;
+  try {
+    return (await requestToPromise(db.transaction(STORE, "readonly").objectStore(STORE).get(HANDLE_KEY))) ?? null;
+  } catch (err) {
+    logger.warn("Could not read the export folder", err);
+    return null;
+  }
+}
+
+/**
+ * Whether the extension may write to `handle`, optionally prompting for it.
+ * Prompting needs a user gesture, so only extension pages (not the offscreen
+ * runner) pass `request`.
+ *
+ * @param {FileSystemDirectoryHandle} handle
+ * @param {boolean} [request]
+ * @returns {Promise<boolean>}
+ */
+export async function hasFolderPermission(handle, request = false) {
+  if ((await handle.queryPermission(PERMISSION)) === "granted") return true;
+  if (!request) return false;
+  return (await handle.requestPermission(PERMISSION)) === "granted";
+}
+
+/**
+ * The remembered folder, ready to write to.
+ *
+ * @returns {Promise<FolderWriter>}
+ * @throws {Error} when no folder was picked or access has lapsed
+ */
+export async function openExportFolder() {
+  const handle = await loadExportFolder();
+  if (!handle) {
+    throw new Error("No export folder chosen. Choose one in the popup, then resume the export.");
+  }
+  if (!(await hasFolderPermission(handle))) {
+    throw new Error(`Access to the folder "${handle.name}" has expired. Export to it again from the popup to re-grant access.`);
+  }
+  return createFolderWriter(handle);
+}
+
+/**
+ * Write files under `root` by relative path, creating folders as needed.
+ * A file whose bytes already match is left untouched.
+ *
+ * @param {FileSystemDirectoryHandle} root
+ * @returns {FolderWriter}
+ */
+export function createFolderWriter(root) {
+  /** @type {Map<string, Promise<FileSystemDirectoryHandle>>} */
+  const dirs = new Map([["", Promise.resolve(root)]]);
+
+  /** @param {string} dirPath  "" or "a/b" */
+  function getDir(dirPath) {
+    if (!dirs.has(dirPath)) {
+      const cut    = dirPath.lastIndexOf("/");
+      const parent = getDir(cut < 0 ? "" : dirPath.slice(0, cut));
+      const name   = dirPath.slice(cut + 1);
+      const handle = parent.then((dir) => dir.getDirectoryHandle(name, { create: true }));
+      // A failed lookup must not stick for the rest of the run.
+      handle.catch(() => dirs.delete(dirPath));
+      dirs.set(dirPath, handle);
+    }
+    return dirs.get(dirPath);
+  }
+
+  /** @param {string} path @param {boolean} create */
+  async function getFile(path, create) {
+    const cut = path.lastIndexOf("/");
+    const dir = await getDir(cut < 0 ? "" : path.slice(0, cut));
+    return dir.getFileHandle(path.slice(cut + 1), { create });
+  }
+
+  return {
+    name: root.name,
+
+    async readText(path) {
+      try {
+        return await (await (await getFile(path, false)).getFile()).text();
+      } catch (err) {
+        if (err?.name === "NotFoundError") return null;
+        throw err;
+      }
+    },
+
+    async writeFile(path, data) {
+      const bytes    = typeof data === "string" ? encoder.encode(data) : new Uint8Array(data);
+      const handle   = await getFile(path, true);
+      const existing = await handle.getFile();
+      if (existing.size === bytes.length && sameBytes(new Uint8Array(await existing.arrayBuffer()), bytes)) {
+        return false;
+      }
+      const writable = await handle.createWritable();
+      try {
+        await writable.write(bytes);
+        await writable.close();
+      } catch (err) {
+        await writable.abort().catch(() => {});
+        throw err;
+      }
+      return true;
+    }
+  };
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} FolderWriter
+ * @property {string} name  – folder name, for messages
+ * @property {(path: string) => Promise<string|null>} readText  – null when the file does not exist
+ * @property {(path: string, data: string|ArrayBuffer|Uint8Array) => Promise<boolean>} writeFile
+ *   – resolves false when the file already had this content
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** @param {Uint8Array} a @param {Uint8Array} b */
+function sameBytes(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function getDb() {
+  dbPromise ??= openDatabase(DB_NAME, DB_VERSION, (db) => db.createObjectStore(STORE));
+  return dbPromise;
+}
@@ -0,0 +1,163 @@
+/**
+ * Completed-Conversation Store
+ *
+ * A resumed export skips conversations the interrupted run already finished,
+ * but that run's records lived in the previous page's memory. Each finished
+ * conversation's outcome (normalized conversation, image / attachment bytes,
+ * ledger entry) is therefore written to IndexedDB as it completes, keyed by
+ * the export id from the resume state, and read back when the export is
+ * resumed so the ZIP contains every conversation.
+ *
+ * Records also stay here for the rest of the run: the runner drops them from
+ * memory once stored and packaging reads them back one at a time, so a large
+ * export never holds every conversation at once. Outcomes (small) and
+ * records (images, attachments) live in separate object stores so resuming
+ * only loads the former.
+ *
+ * Entries from other export ids are dropped on load, and the whole store is
+ * cleared once the ZIP download has started.
+ */
+
+import { logger } from "./logger.js";
+import { openDatabase, requestToPromise } from "./idb.js";
+
+const DB_NAME    = "cgpt-exporter-runs";
+const DB_VERSION = 2;
+const OUTCOMES   = "outcomes";
+const RECORDS    = "records";
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Read back what an interrupted run finished, discarding leftovers from any
+ * other (abandoned) export.
+ *
+ * @param {string} exportId
+ * @returns {Promise<Map<string, StoredOutcome>>}  conversation id → outcome
+ */
+export async function loadExportOutcomes(exportId) {
+  const outcomes = new Map();
+  const db = await getDb();
+  if (!db) return outcomes;
+
+  try {
+    const entries = await requestToPromise(db.transaction(OUTCOMES, "readonly").objectStore(OUTCOMES).getAll());
+    const stale   = [];
+    for (const entry of entries) {
+      if (entry.exportId === exportId) {
+        outcomes.set(entry.id, {
+          stored:      entry.hasRecord === true,
+          exported:    entry.exported ?? undefined,
+          ledgerEntry: entry.ledgerEntry ?? undefined
+        });
+      } else {
+        stale.push(entry.id);
+      }
+    }
+    if (stale.length > 0) {
+      const tx = db.transaction([OUTCOMES, RECORDS], "readwrite");
+      await Promise.all(stale.flatMap((id) => [
+        requestToPromise(tx.objectStore(OUTCOMES).delete(id)),
+        requestToPromise(tx.objectStore(RECORDS).delete(id))
+      ]));
+      logger.debug(`Dropped ${stale.length} stored conversation(s) from an earlier export`);
+    }
+  } catch (err) {
+    logger.warn("Could not read completed conversations; they will be fetched again", err);
+  }
+  return outcomes;
+}
+
+/**
+ * Read back one stored record for packaging.
+ *
+ * @param {string} id
+ * @returns {Promise<import("./exporter/packager.js").ConvExportRecord>}
+ */
+export async function loadExportRecord(id) {
+  const db    = await getDb();
+  const entry = db ? await requestToPromise(db.transaction(RECORDS, "readonly").objectStore(RECORDS).get(id)) : null;
+  if (!entry?.record) {
+    throw new Error(`Stored export data for conversation ${id} is missing`);
+  }
+  return entry.record;
+}
+
+/**
+ * Persist one finished conversation. Resolves false instead of throwing when
+ * the write fails (e.g. storage quota); the conversation is then simply
+ * fetched again if the export is resumed.
+ *
+ * @param {string} exportId
+ * @param {string} id
+ * @param {{ record?: import("./exporter/packager.js").ConvExportRecord } & StoredOutcome} outcome
+ * @returns {Promise<boolean>}
+ */
+export async function saveExportOutcome(exportId, id, outcome) {
+  const db = await getDb();
+  if (!db) return false;
+  try {
+    const tx   = db.transaction([OUTCOMES, RECORDS], "readwrite");
+    const done = [requestToPromise(tx.objectStore(OUTCOMES).put({
+      id,
+      exportId,
+      hasRecord:   Boolean(outcome.record),
+      exported:    outcome.exported ?? null,
+      ledgerEntry: outcome.ledgerEntry ?? null
+    }))];
+    if (outcome.record) {
+      done.push(requestToPromise(tx.objectStore(RECORDS).put({ id, exportId, record: outcome.record })));
+    }
+    await Promise.all(done);
+    return true;
+  } catch (err) {
+    logger.warn("Could not store completed conversation", id, err);
+    return false;
+  }
+}
+
+/**
+ * Drop every stored outcome once the export has been handed to the download.
+ * @returns {Promise<void>}
+ */
+export async function clearExportOutcomes() {
+  const db = await getDb();
+  if (!db) return;
+  try {
+    const tx = db.transaction([OUTCOMES, RECORDS], "readwrite");
+    await Promise.all([
+      requestToPromise(tx.objectStore(OUTCOMES).clear()),
+      requestToPromise(tx.objectStore(RECORDS).clear())
+    ]);
+  } catch (err) {
+    logger.warn("Could not clear completed conversations", err);
+  }
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} StoredOutcome
+ * @property {boolean}                                 [stored]       – a record was saved; see {@link loadExportRecord}
+ * @property {import("./ledger.js").ExportedConversation} [exported]  – absent for filtered-out or unchanged chats
+ * @property {import("./ledger.js").LedgerEntry}       [ledgerEntry]
+ */
+
+// ─── IndexedDB ────────────────────────────────────────────────────────────────
+
+/**
+ * The database stays open for the page's lifetime; writes happen per
+ * conversation. Its contents are only ever a cache of one run, so an
+ * upgrade simply recreates the stores.
+ */
+function getDb() {
+  dbPromise ??= openDatabase(DB_NAME, DB_VERSION, (db) => {
+    for (const name of Array.from(db.objectStoreNames)) db.deleteObjectStore(name);
+    db.createObjectStore(OUTCOMES, { keyPath: "id" });
+    db.createObjectStore(RECORDS, { keyPath: "id" });
+  });
+  return dbPromise;
+}
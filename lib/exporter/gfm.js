@@ -0,0 +1,538 @@
+/**
+ * GitHub-Flavored Markdown → HTML
+ *
+ * Small, dependency-free renderer for assistant text in HTML exports. It
+ * covers what ChatGPT emits: ATX headings, paragraphs, emphasis,
+ * strikethrough, inline code, fenced code, nested/ordered/task lists,
+ * tables, blockquotes, thematic breaks, links, images and autolinks.
+ * LaTeX math is passed through untouched in `.math` elements for the
+ * exported page's math renderer.
+ *
+ * Sanitization is by construction rather than by filtering output: every
+ * piece of source text is HTML-escaped, only a fixed set of tags is ever
+ * emitted, and URLs are limited to http(s), mailto and relative paths.
+ * Raw HTML in the source is shown as text, never interpreted.
+ *
+ * Callers can pass text markers (e.g. web-search citation markers) to be
+ * replaced with HTML of their own. Replacement happens on plain text only,
+ * so a marker inside a URL, title or alt text stays part of that attribute.
+ */
+
+import { replaceMath } from "./math.js";
+
+const FENCE_RE     = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const HEADING_RE   = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/;
+const HR_RE        = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE     = /^ {0,3}> ?(.*)$/;
+const ITEM_RE      = /^( {0,3})([-*+]|\d{1,9}[.)])(?=[ \t]|$)(.*)$/;
+const DELIMITER_RE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MATH_OPEN_RE = /^ {0,3}(\\\[|\$\$)(.*)$/;
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Render Markdown source to sanitized HTML.
+ *
+ * @param {string} markdown
+ * @param {Map<string, string>|null} [markers]  literal text → trusted HTML to put in its place in running text
+ * @returns {string}
+ */
+export function renderGfm(markdown, markers = null) {
+  const lines = String(markdown ?? "")
+    .replace(/\u0000/g, "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/^\t+/, (tabs) => "    ".repeat(tabs.length)));
+  const inline = (text) => renderInline(text, true, [], markers);
+  return renderBlocks(lines, false, inline).join("\n");
+}
+
+/**
+ * Escape plain text (no Markdown) and put marker HTML in place of markers.
+ *
+ * @param {string} text
+ * @param {Map<string, string>} markers  as for {@link renderGfm}
+ * @returns {string}
+ */
+export function renderTextWithMarkers(text, markers) {
+  const markerRe = markerPattern(markers);
+  if (!markerRe) return escapeHtml(text);
+  let html = "";
+  let last = 0;
+  for (const match of text.matchAll(markerRe)) {
+    if (match[0].startsWith("\u0000")) continue;
+    html += escapeHtml(text.slice(last, match.index)) + markers.get(match[0]);
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+// ─── Blocks ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string[]} lines
+ * @param {boolean} tight  inside a tight list item: paragraphs are not wrapped in <p>
+ * @param {(text: string) => string} inline  renders a run of inline Markdown
+ * @returns {string[]}  one HTML string per block
+ */
+function renderBlocks(lines, tight, inline) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE_RE.exec(line);
+    if (fence && !(fence[2][0] === "`" && fence[3].includes("`"))) {
+      const [, indent, marker, info] = fence;
+      const closing = new RegExp(`^ {0,3}${marker[0] === "`" ? "`" : "~"}{${marker.length},}[ \\t]*$`);
+      const body = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        body.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ""));
+        i++;
+      }
+      i++; // closing fence (or end of input)
+      out.push(renderCodeBlock(body.join("\n"), info.trim().split(/\s+/)[0]));
+      continue;
+    }
+
+    // Multi-line display math: its lines may look like list items ("+ b").
+    const math = MATH_OPEN_RE.exec(line);
+    if (math && !math[2].includes(math[1] === "$$" ? "$$" : "\\]")) {
+      const close = math[1] === "$$" ? "$$" : "\\]";
+      const end   = lines.findIndex((l, k) => k > i && l.includes(close));
+      if (end !== -1 && isBlank(lines[end].slice(lines[end].indexOf(close) + 2))) {
+        const tex = [math[2], ...lines.slice(i + 1, end), lines[end].slice(0, lines[end].indexOf(close))]
+          .join("\n").trim();
+        out.push(`<div class="math math-display">${escapeHtml(tex)}</div>`);
+        i = end + 1;
+        continue;
+      }
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      const text  = (heading[2] || "").replace(/(?:^|[ \t]+)#+[ \t]*$/, "").trim();
+      out.push(`<h${level}>${inline(text)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      out.push("<hr>");
+      i++;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      i = renderTable(lines, i, out, inline);
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const inner = [];
+      while (i < lines.length) {
+        const quoted = QUOTE_RE.exec(lines[i]);
+        if (quoted) {
+          inner.push(quoted[1]);
+        } else if (!isBlank(lines[i]) && !isBlank(inner[inner.length - 1] ?? "") && !startsBlock(lines, i)) {
+          inner.push(lines[i]); // lazy continuation
+        } else {
+          break;
+        }
+        i++;
+      }
+      out.push(`<blockquote>\n${renderBlocks(inner, false, inline).join("\n")}\n</blockquote>`);
+      continue;
+    }
+
+    if (ITEM_RE.test(line)) {
+      i = renderList(lines, i, out, inline);
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && !isBlank(lines[i]) && (para.length === 0 || !startsBlock(lines, i))) {
+      para.push(lines[i].trimStart());
+      i++;
+    }
+    const html = inline(para.join("\n").trimEnd());
+    out.push(tight ? html : `<p>${html}</p>`);
+  }
+
+  return out;
+}
+
+/**
+ * @param {string} code
+ * @param {string} language
+ * @returns {string}
+ */
+function renderCodeBlock(code, language) {
+  const cls = /^[\w+#.-]+$/.test(language) ? ` class="language-${escapeHtml(language)}"` : "";
+  return `<pre><code${cls}>${escapeHtml(code)}</code></pre>`;
+}
+
+/**
+ * Render a list starting at `start`; returns the index after it.
+ * @param {string[]} lines
+ * @param {number} start
+ * @param {string[]} out
+ * @param {(text: string) => string} inline
+ * @returns {number}
+ */
+function renderList(lines, start, out, inline) {
+  const first   = ITEM_RE.exec(lines[start]);
+  const ordered = /\d/.test(first[2]);
+  const kind    = first[2].slice(-1);
+  const items   = [];
+  let loose = false;
+  let i = start;
+
+  /** Another item of this same list (same bullet or delimiter)? */
+  const continuesList = (line) => {
+    const item = ITEM_RE.exec(line);
+    return Boolean(item) && /\d/.test(item[2]) === ordered && item[2].slice(-1) === kind && !HR_RE.test(line);
+  };
+
+  while (i < lines.length && continuesList(lines[i])) {
+    const item = ITEM_RE.exec(lines[i]);
+
+    const markerEnd = item[1].length + item[2].length;
+    const rest      = item[3];
+    const spaces    = rest.match(/^ */)[0].length;
+    const gap       = isBlank(rest) || spaces > 4 ? 1 : spaces;
+    const indent    = markerEnd + gap;
+    const body      = [isBlank(rest) ? "" : rest.slice(gap)];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        let next = i;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next < lines.length && leadingSpaces(lines[next]) >= indent) {
+          for (; i < next; i++) body.push("");
+          continue;
+        }
+        if (next < lines.length && continuesList(lines[next])) loose = true;
+        i = next;
+        break;
+      }
+      if (leadingSpaces(line) >= indent) {
+        body.push(line.slice(indent));
+      } else if (!isBlank(body[body.length - 1]) && !startsBlock(lines, i) && !ITEM_RE.test(line)) {
+        body.push(line.trim()); // lazy continuation
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    if (hasBlankBetweenBlocks(body)) loose = true;
+    items.push(body);
+  }
+
+  const tag   = ordered ? "ol" : "ul";
+  const from  = ordered ? Number.parseInt(first[2], 10) : 1;
+  const attrs = ordered && from !== 1 ? ` start="${from}"` : "";
+  const html  = items.map((body) => {
+    let checkbox = "";
+    const task = /^\[([ xX])\][ \t]+/.exec(body[0]);
+    if (task) {
+      checkbox = `<input type="checkbox" disabled${task[1] === " " ? "" : " checked"}> `;
+      body = [body[0].slice(task[0].length), ...body.slice(1)];
+    }
+    const blocks = renderBlocks(body, !loose, inline);
+    const cls    = task ? ` class="task"` : "";
+    return `<li${cls}>${checkbox}${blocks.join("\n")}</li>`;
+  });
+  out.push(`<${tag}${attrs}>\n${html.join("\n")}\n</${tag}>`);
+  return i;
+}
+
+/**
+ * A blank line separating two of the item's own blocks makes a list loose;
+ * blank lines only at the end do not.
+ * @param {string[]} body
+ * @returns {boolean}
+ */
+function hasBlankBetweenBlocks(body) {
+  let last = body.length - 1;
+  while (last >= 0 && isBlank(body[last])) last--;
+  return body.slice(0, last).some(isBlank);
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} i
+ * @returns {boolean}
+ */
+function isTableStart(lines, i) {
+  if (!lines[i].includes("|") || i + 1 >= lines.length || !DELIMITER_RE.test(lines[i + 1])) return false;
+  return splitRow(lines[i]).length === splitRow(lines[i + 1]).length;
+}
+
+/**
+ * Render a GFM table starting at `start`; returns the index after it.
+ * @param {string[]} lines
+ * @param {number} start
+ * @param {string[]} out
+ * @param {(text: string) => string} inline
+ * @returns {number}
+ */
+function renderTable(lines, start, out, inline) {
+  const header = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map((cell) => {
+    const left  = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "right";
+    return left ? "left" : "";
+  });
+
+  const cells = (row, tag) => header.map((_, c) => {
+    const style = aligns[c] ? ` style="text-align:${aligns[c]}"` : "";
+    return `<${tag}${style}>${inline(row[c] ?? "")}</${tag}>`;
+  }).join("");
+
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+    rows.push(`<tr>${cells(splitRow(lines[i]), "td")}</tr>`);
+    i++;
+  }
+
+  const body = rows.length > 0 ? `\n<tbody>\n${rows.join("\n")}\n</tbody>` : "";
+  out.push(`<table>\n<thead>\n<tr>${cells(header, "th")}</tr>\n</thead>${body}\n</table>`);
+  return i;
+}
+
+/**
+ * Split a table row on unescaped pipes outside code spans.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitRow(line) {
+  let row = line.trim();
+  if (row.startsWith("|")) row = row.slice(1);
+  if (row.endsWith("|") && !row.endsWith("\\|")) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = "";
+  let inCode = false;
+  for (let k = 0; k < row.length; k++) {
+    const ch = row[k];
+    if (ch === "\\" && row[k + 1] === "|") {
+      cell += "|";
+      k++;
+    } else if (ch === "`") {
+      inCode = !inCode;
+      cell += ch;
+    } else if (ch === "|" && !inCode) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Whether line `i` begins a block that interrupts a paragraph.
+ * @param {string[]} lines
+ * @param {number} i
+ * @returns {boolean}
+ */
+function startsBlock(lines, i) {
+  const line = lines[i];
+  if (FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line)) return true;
+  if (isTableStart(lines, i)) return true;
+  const item = ITEM_RE.exec(line);
+  // Only lists starting at 1 may interrupt a paragraph, so "2024. was…" stays text.
+  return Boolean(item && !isBlank(item[3]) && (!/\d/.test(item[2]) || Number.parseInt(item[2], 10) === 1));
+}
+
+// ─── Inline ───────────────────────────────────────────────────────────────────
+
+const CODE_SPAN_RE = /(`+)([\s\S]*?[^`])\1(?!`)/g;
+const ESCAPE_RE    = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g;
+const AUTOLINK_RE  = /<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi;
+const LINK_RE      = /(!?)\[((?:[^[\]]|\[[^[\]]*\])*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+(?:"([^"]*)"|'([^']*)'))?\s*\)/g;
+const BARE_URL_RE  = /\bhttps?:\/\/[^\s<]*[^\s<.,:;!?"'()[\]*_~]/gi;
+const TOKEN_RE     = /\u0000(\d+)\u0000/g;
+
+/**
+ * Render inline Markdown. Constructs that must not be re-parsed (code,
+ * links, escapes, markers) are swapped for placeholder tokens first, the
+ * remaining text is escaped, emphasis is applied, and the tokens are
+ * restored.
+ *
+ * @param {string} text
+ * @param {boolean} [allowLinks]  false inside link labels
+ * @param {string[]} [tokens]     placeholder store, shared with nested labels
+ * @param {Map<string, string>|null} [markers]  see {@link renderGfm}; not applied inside link labels
+ * @returns {string}
+ */
+function renderInline(text, allowLinks = true, tokens = [], markers = null) {
+  const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let s = text.replace(CODE_SPAN_RE, (_, ticks, code) => {
+    const body = /^ .*[^ ].* $/s.test(code) ? code.slice(1, -1) : code;
+    return stash(`<code>${escapeHtml(body.replace(/\n/g, " "))}</code>`);
+  });
+  s = replaceMath(s, ({ tex, display }) =>
+    stash(`<span class="math ${display ? "math-display" : "math-inline"}">${escapeHtml(tex)}</span>`));
+  s = s.replace(ESCAPE_RE, (_, ch) => stash(escapeHtml(ch)));
+
+  if (allowLinks) {
+    s = s.replace(AUTOLINK_RE, (_, url) => stash(renderLink(url, escapeHtml(url))));
+    s = s.replace(LINK_RE, (match, bang, label, url, t1, t2) => {
+      const title = t1 ?? t2 ?? "";
+      return stash(bang
+        ? renderImage(url, label, title)
+        : renderLink(url, renderInline(label, false, tokens), title));
+    });
+    s = s.replace(BARE_URL_RE, (url) => {
+      // A marker right after a bare URL ends it rather than joining it.
+      const cut = markers ? firstMarkerIndex(url, markers) : -1;
+      return cut > 0
+        ? stash(renderLink(url.slice(0, cut), escapeHtml(url.slice(0, cut)))) + url.slice(cut)
+        : stash(renderLink(url, escapeHtml(url)));
+    });
+  }
+
+  // One pass over the raw text that steps over placeholders, so a marker is
+  // never matched inside a token, an entity or another marker's HTML.
+  const markerRe = markers ? markerPattern(markers) : null;
+  if (markerRe) {
+    s = s.replace(markerRe, (match) => (match.startsWith("\u0000") ? match : stash(markers.get(match))));
+  }
+
+  s = escapeHtml(s)
+    .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, "<strong><em>$1</em></strong>")
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, "$1<strong>$2</strong>")
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, "<em>$1</em>")
+    .replace(/(^|[^\p{L}\p{N}_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}_])/gu, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+    .replace(/(?: {2,}|\\)\n/g, "<br>\n");
+
+  return restoreTokens(s, tokens);
+}
+
+/**
+ * Build one pattern matching a placeholder token or any marker, longest
+ * marker first so one that contains another wins.
+ * @param {Map<string, string>} markers
+ * @returns {RegExp|null}  null when there is nothing to match
+ */
+function markerPattern(markers) {
+  const literals = [...markers.keys()]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((marker) => marker.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return literals.length ? new RegExp(`${TOKEN_RE.source}|${literals.join("|")}`, "g") : null;
+}
+
+/**
+ * @param {string} text
+ * @param {Map<string, string>} markers
+ * @returns {number}  earliest position of any marker, or -1
+ */
+function firstMarkerIndex(text, markers) {
+  let first = -1;
+  for (const marker of markers.keys()) {
+    const at = text.indexOf(marker);
+    if (at !== -1 && (first === -1 || at < first)) first = at;
+  }
+  return first;
+}
+
+/**
+ * @param {string} html
+ * @param {string[]} tokens
+ * @returns {string}
+ */
+function restoreTokens(html, tokens) {
+  let result = html;
+  let previous;
+  while (result !== previous && result.includes("\u0000")) {
+    previous = result;
+    result = result.replace(TOKEN_RE, (match, n) => tokens[Number(n)] ?? match);
+  }
+  return result;
+}
+
+/**
+ * @param {string} url
+ * @param {string} labelHtml  already rendered
+ * @param {string} [title]
+ * @returns {string}
+ */
+function renderLink(url, labelHtml, title = "") {
+  const href = safeUrl(url);
+  if (!href) return labelHtml;
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : "";
+  const rel = /^(?:https?:|[/\\]{2})/i.test(href) ? ` rel="noopener noreferrer"` : "";
+  return `<a href="${escapeHtml(href)}"${titleAttr}${rel}>${labelHtml}</a>`;
+}
+
+/**
+ * Local images are embedded; remote ones become links so opening an export
+ * never triggers network requests.
+ * @param {string} url
+ * @param {string} alt
+ * @param {string} [title]
+ * @returns {string}
+ */
+function renderImage(url, alt, title = "") {
+  const src = safeUrl(url);
+  if (!src) return escapeHtml(alt);
+  // "//host/x.png" (and "\\host", which browsers read the same way) is
+  // remote too: it resolves against http(s) or file:// and fetches from there.
+  if (/^(?:https?:|mailto:|[/\\]{2})/i.test(src)) return renderLink(src, escapeHtml(alt || src), title);
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : "";
+  return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${titleAttr}>`;
+}
+
+/**
+ * Allow web, mailto and relative URLs; drop every other scheme
+ * (javascript:, data:, vbscript:, …).
+ * @param {string} url
+ * @returns {string}  "" when rejected
+ */
+function safeUrl(url) {
+  const trimmed = String(url).replace(/[\u0000-\u001F\u007F\s]/g, "");
+  if (/^(?:https?:\/\/|mailto:)/i.test(trimmed)) return trimmed;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) return "";
+  return trimmed;
+}
+
+// ─── Utilities ────────────────────────────────────────────────────────────────
+
+function escapeHtml(input) {
+  return String(input)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+function isBlank(line) {
+  return line.trim() === "";
+}
+
+function leadingSpaces(line) {
+  return line.match(/^ */)[0].length;
+}
@@ -1,26 +1,51 @@
+import { formatDateTime } from "../naming.js";
+import { renderGfm, renderTextWithMarkers } from "./gfm.js";
+import { rewriteSandboxLinks } from "../sandbox.js";
+
 /**
  * HTML Exporter
  *
  * Renders a NormalizedConversation to a standalone HTML file:
- *   - Self-contained: inline styles only, no CDN dependencies
+ *   - Works offline: inline styles, no CDN dependencies
+ *   - Assistant Markdown rendered as formatted, sanitized HTML (bundled GFM renderer)
  *   - Syntax-highlighted code blocks via bundled highlight.js
- *   - Base64-embedded images
+ *   - LaTeX math rendered offline to MathML via bundled KaTeX, loaded from
+ *     the export's shared copy so it is not repeated in every chat
+ *   - Tool calls, execution output and quoted sources as distinct blocks
+ *   - Web-search citations as inline markers plus a linked references list
+ *   - Reasoning-model thoughts as collapsed <details> blocks
+ *   - Base64-embedded images; uploaded files linked from attachments/
+ *   - Code-interpreter `sandbox:` links rewritten to the bundled copies
+ *   - Edit/regeneration branches as switchable "Version N of M" tabs
+ *   - Per-message timestamp, model badge and edit/feedback markers
  *   - Print-to-PDF friendly layout
  *
  * @param {import("../schema.js").NormalizedConversation} conversation
  * @param {Map<string,string>} [imageDataUrls]  assetId → "data:image/...;base64,..." mapping
  * @param {string} [highlightSource] highlight.js bundled source
+ * @param {Map<string,string>} [fileHrefs]  attachment id or sandbox: URL → relative link to the exported file
+ * @param {string} [mathScriptSrc]  relative URL of the exported KaTeX script; only referenced when the chat contains math
  * @returns {string}
  */
 export function renderHtmlConversation(
   conversation,
   imageDataUrls = new Map(),
-  highlightSource = ""
+  highlightSource = "",
+  fileHrefs = new Map(),
+  mathScriptSrc = ""
 ) {
   const title    = escapeHtml(conversation.title || "Untitled Chat");
   const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
 
-  const bodyHtml = messages.map((message) => renderMessage(message, imageDataUrls)).join("\n");
+  /** @type {RenderContext} */
+  const ctx = { imageDataUrls, fileHrefs, mainPath: mainPathIds(messages), nextCitation: 1 };
+
+  const bodyHtml = conversation.tree
+    ? renderThread(conversation.tree.rootIds, conversation.tree, ctx)
+    : messages.map((message) => renderMessage(message, ctx)).join("\n");
+  const hasMath    = mathScriptSrc !== "" && bodyHtml.includes('class="math ');
+  const mathLoader = hasMath ? `  <script src="${escapeHtml(mathScriptSrc)}"></script>\n` : "";
+  const mathScript = hasMath ? `${MATH_INIT}\n` : "";
 
   return `<!doctype html>
 <html lang="en">
@@ -31,9 +56,10 @@ export function renderHtmlConversation(
   <style>
 ${INLINE_CSS}
   </style>
-  <script>
+${mathLoader}  <script>
 ${highlightSource}
 ${highlightSource ? "\n" : ""}${HIGHLIGHT_INIT}
+${mathScript}${BRANCH_INIT}
   </script>
 </head>
 <body>
@@ -45,35 +71,154 @@ ${bodyHtml}
 </html>`;
 }
 
+// ─── Branch Rendering ─────────────────────────────────────────────────────────
+
+/**
+ * Render a run of sibling nodes. A single sibling continues the thread;
+ * several siblings form a fork rendered as a tab group.
+ *
+ * @param {string[]} ids
+ * @param {import("../schema.js").MessageTree} tree
+ * @param {RenderContext} ctx
+ * @returns {string}
+ */
+function renderThread(ids, tree, ctx) {
+  const html = [];
+  let current = ids.filter((id) => tree.nodes[id]);
+
+  while (current.length === 1) {
+    const node = tree.nodes[current[0]];
+    html.push(renderMessage(node, ctx));
+    current = node.childIds.filter((id) => tree.nodes[id]);
+  }
+
+  if (current.length > 1) {
+    html.push(renderBranchGroup(current, tree, ctx));
+  }
+  return html.join("\n");
+}
+
+/**
+ * @param {string[]} ids  sibling ids, at least two
+ * @param {import("../schema.js").MessageTree} tree
+ * @param {RenderContext} ctx
+ * @returns {string}
+ */
+function renderBranchGroup(ids, tree, ctx) {
+  const foundIndex = ids.findIndex((id) => ctx.mainPath.has(id));
+  const selected   = foundIndex === -1 ? ids.length - 1 : foundIndex;
+
+  const tabs = ids.map((_, i) => {
+    const label = `Version ${i + 1} of ${ids.length}`;
+    return `<button type="button" class="branch-tab" role="tab" data-branch="${i}" aria-selected="${i === selected}">${label}</button>`;
+  }).join("");
+
+  const panels = ids.map((id, i) => {
+    const hidden = i === selected ? "" : " hidden";
+    return `    <div class="branch-panel" role="tabpanel" data-branch="${i}"${hidden}>
+${renderThread([id], tree, ctx)}
+    </div>`;
+  }).join("\n");
+
+  return `    <section class="branch-group">
+    <div class="branch-tabs" role="tablist">${tabs}</div>
+${panels}
+    </section>`;
+}
+
+/**
+ * @param {import("../schema.js").NormalizedMessage[]} messages
+ * @returns {Set<string>}
+ */
+function mainPathIds(messages) {
+  return new Set(messages.map((m) => m.id));
+}
+
 // ─── Message Rendering ────────────────────────────────────────────────────────
 
 /**
  * @param {import("../schema.js").NormalizedMessage} message
- * @param {Map<string,string>} imageDataUrls
+ * @param {RenderContext} ctx
  * @returns {string}
  */
-function renderMessage(message, imageDataUrls) {
+function renderMessage(message, ctx) {
   const role  = String(message.role || "unknown");
   const label = ROLE_LABELS[role] || escapeHtml(role);
   const parts = Array.isArray(message.parts) ? message.parts : [];
+  const refs  = numberCitations(message.citations, ctx);
 
-  const partsHtml = parts.map((part) => renderPart(part, imageDataUrls)).join("\n");
+  const partsHtml = parts.map((part) => renderPart(part, ctx, refs, role)).join("\n");
   const roleClass = `role-${role.replace(/[^a-z]/g, "")}`;
 
   return `    <article class="message ${roleClass}">
-      <h2 class="role-label">${label}</h2>
-      <div class="content">${partsHtml}</div>
+      <h2 class="role-label">${label}${renderMessageMeta(message)}</h2>
+      <div class="content">${partsHtml}</div>${renderAttachments(message.attachments, ctx.fileHrefs)}${renderReferences(refs)}
     </article>`;
 }
 
+/**
+ * Timestamp, model badge and edit/regeneration/feedback markers.
+ * @param {import("../schema.js").NormalizedMessage} message
+ * @returns {string}
+ */
+function renderMessageMeta(message) {
+  const items = [];
+  if (message.createTime != null) {
+    const iso = new Date(message.createTime * 1000).toISOString();
+    items.push(`<time datetime="${iso}">${escapeHtml(formatDateTime(message.createTime))}</time>`);
+  }
+  if (message.modelSlug) {
+    items.push(`<span class="badge">${escapeHtml(message.modelSlug)}</span>`);
+  }
+  if (message.version) {
+    const kind = message.role === "user" ? "edit" : "version";
+    items.push(`<span class="badge">${kind} ${message.version.index + 1}/${message.version.count}</span>`);
+  }
+  if (message.finishReason && message.finishReason !== "stop") {
+    items.push(`<span class="badge badge-warn">${escapeHtml(message.finishReason)}</span>`);
+  }
+  if (message.feedback) {
+    items.push(message.feedback === "up" ? "👍" : "👎");
+  }
+  return items.length > 0 ? ` <span class="msg-meta">${items.join(" ")}</span>` : "";
+}
+
+/**
+ * @param {import("../schema.js").Attachment[]|undefined} attachments
+ * @param {Map<string,string>} fileHrefs
+ * @returns {string}
+ */
+function renderAttachments(attachments, fileHrefs) {
+  if (!Array.isArray(attachments) || attachments.length === 0) return "";
+  const items = attachments.map((a) => {
+    const href = fileHrefs.get(a.id);
+    const name = escapeHtml(a.name);
+    const link = href
+      ? `<a href="${escapeHtml(href)}" download>${name}</a>`
+      : `${name} <span class="attachment-missing">(not exported)</span>`;
+    return `        <li>📎 ${link} <span class="attachment-type">${escapeHtml(a.mimeType)}</span></li>`;
+  });
+  return `
+      <ul class="attachments">
+${items.join("\n")}
+      </ul>`;
+}
+
 /**
  * @param {import("../schema.js").ContentPart} part
- * @param {Map<string,string>} imageDataUrls
+ * @param {RenderContext} ctx
+ * @param {Reference[]} [refs]  numbered citations of the enclosing message
+ * @param {string} [role]  user prompts are plain text, as in the ChatGPT UI
  * @returns {string}
  */
-function renderPart(part, imageDataUrls) {
+function renderPart(part, ctx, refs = [], role = "assistant") {
   if (part.type === "text") {
-    return `<p class="text-part">${escapeHtml(part.text).replace(/\n/g, "<br>")}</p>`;
+    const text = rewriteSandboxLinks(part.text, ctx.fileHrefs);
+    if (role === "user") {
+      const html = renderTextWithMarkers(text, citationMarkers(refs));
+      return `<p class="text-part">${html.replace(/\n/g, "<br>")}</p>`;
+    }
+    return `<div class="markdown">${renderGfm(text, citationMarkers(refs))}</div>`;
   }
   if (part.type === "code") {
     const lang = escapeHtml(part.language || "");
@@ -81,16 +226,115 @@ function renderPart(part, imageDataUrls) {
     return `<pre><code class="language-${lang}">${code}</code></pre>`;
   }
   if (part.type === "image") {
-    const src = imageDataUrls.get(part.assetId) || "";
+    const src = ctx.imageDataUrls.get(part.assetId) || "";
     const alt = `Uploaded image (${part.assetId})`;
     if (src) {
       return `<figure class="image-part"><img src="${src}" alt="${escapeHtml(alt)}" style="max-width:100%"></figure>`;
     }
     return `<p class="image-placeholder">[Image: ${escapeHtml(part.assetId)}]</p>`;
   }
+  if (part.type === "tool_call") {
+    const lang = escapeHtml(part.language || "");
+    return `<div class="tool-call">
+        <div class="tool-label">Tool call &middot; ${escapeHtml(part.tool)}</div>
+        <pre><code class="language-${lang}">${escapeHtml(part.text)}</code></pre>
+      </div>`;
+  }
+  if (part.type === "execution_output") {
+    const streams = [];
+    if (part.stdout) streams.push(`<pre class="stdout">${escapeHtml(part.stdout)}</pre>`);
+    if (part.stderr) streams.push(`<pre class="stderr">${escapeHtml(part.stderr)}</pre>`);
+    if (streams.length === 0) streams.push(`<pre class="stdout">${escapeHtml(part.text)}</pre>`);
+    return `<div class="execution-output">
+        <div class="tool-label">Output &middot; ${escapeHtml(part.tool)}</div>
+        ${streams.join("\n        ")}
+      </div>`;
+  }
+  if (part.type === "reasoning") {
+    const summary = escapeHtml(part.summary || "Reasoning");
+    if (part.thoughts.length === 0) {
+      return `<p class="reasoning-recap">💭 ${summary}</p>`;
+    }
+    const thoughts = part.thoughts.map((t) => {
+      const heading = t.summary ? `<p class="thought-summary">${escapeHtml(t.summary)}</p>` : "";
+      const body    = t.content ? `<div class="markdown">${renderGfm(t.content)}</div>` : "";
+      return heading + body;
+    }).join("\n        ");
+    return `<details class="reasoning">
+        <summary>💭 ${summary}</summary>
+        ${thoughts}
+      </details>`;
+  }
+  if (part.type === "quote") {
+    const label = escapeHtml(part.title || part.domain || part.url || "");
+    const href  = safeHref(part.url);
+    const cite  = href
+      ? `<cite><a href="${escapeHtml(href)}" rel="noopener noreferrer">${label}</a></cite>`
+      : (label ? `<cite>${label}</cite>` : "");
+    return `<blockquote class="quote-part"><p>${escapeHtml(part.text).replace(/\n/g, "<br>")}</p>${cite}</blockquote>`;
+  }
   return "";
 }
 
+// ─── Citations ────────────────────────────────────────────────────────────────
+
+/**
+ * Assign conversation-wide reference numbers to a message's citations.
+ * @param {import("../schema.js").Citation[]|undefined} citations
+ * @param {RenderContext} ctx
+ * @returns {Reference[]}
+ */
+function numberCitations(citations, ctx) {
+  if (!Array.isArray(citations)) return [];
+  return citations.map((citation) => ({ n: ctx.nextCitation++, citation }));
+}
+
+/**
+ * Map each raw inline citation marker to superscript links into the
+ * message's reference list. Callers substitute them in text only, so a
+ * marker inside a link URL or image alt is left alone.
+ * @param {Reference[]} refs
+ * @returns {Map<string, string>}  marker → HTML
+ */
+function citationMarkers(refs) {
+  const byMarker = new Map();
+  for (const ref of refs) {
+    if (!ref.citation.marker) continue;
+    const list = byMarker.get(ref.citation.marker) || [];
+    list.push(ref.n);
+    byMarker.set(ref.citation.marker, list);
+  }
+
+  const markers = new Map();
+  for (const [marker, numbers] of byMarker) {
+    markers.set(marker, numbers
+      .map((n) => `<sup class="citation"><a href="#ref-${n}">[${n}]</a></sup>`)
+      .join(""));
+  }
+  return markers;
+}
+
+/**
+ * @param {Reference[]} refs
+ * @returns {string}
+ */
+function renderReferences(refs) {
+  if (refs.length === 0) return "";
+  const items = refs.map(({ n, citation }) => {
+    const label = escapeHtml(citation.title || citation.url || "");
+    const href  = safeHref(citation.url);
+    const link  = href
+      ? `<a href="${escapeHtml(href)}" rel="noopener noreferrer">${label}</a>`
+      : label;
+    const quote = citation.quote ? ` <q>${escapeHtml(citation.quote)}</q>` : "";
+    return `        <li id="ref-${n}" value="${n}">${link}${quote}</li>`;
+  });
+  return `
+      <ol class="references">
+${items.join("\n")}
+      </ol>`;
+}
+
 // ─── Utilities ────────────────────────────────────────────────────────────────
 
 function escapeHtml(input) {
@@ -102,6 +346,15 @@ function escapeHtml(input) {
     .replaceAll("'", "&#39;");
 }
 
+/**
+ * Only pass through web links; anything else (javascript:, data:) is dropped.
+ * @param {string|null} url
+ * @returns {string}
+ */
+function safeHref(url) {
+  return typeof url === "string" && /^https?:\/\//i.test(url) ? url : "";
+}
+
 const ROLE_LABELS = {
   user:      "👤 User",
   assistant: "🤖 Assistant",
@@ -129,6 +382,9 @@ const INLINE_CSS = `
     .role-assistant { border-left: 4px solid #10b981; }
     .role-tool    { border-left: 4px solid #f59e0b; }
     .role-label { font-size: 13px; font-weight: 600; margin: 0 0 10px; color: #6b7280; }
+    .msg-meta { margin-left: 8px; font-weight: 400; font-size: 12px; color: #9ca3af; }
+    .badge { display: inline-block; padding: 0 6px; border-radius: 4px; background: #f3f4f6; color: #4b5563; }
+    .badge-warn { background: #fef3c7; color: #92400e; }
     .content { font-size: 15px; }
     .text-part { margin: 0 0 10px; white-space: pre-wrap; word-break: break-word; }
     pre {
@@ -138,11 +394,59 @@ const INLINE_CSS = `
       font-size: 13px;
     }
     code { font-family: "Cascadia Code", "Fira Code", Consolas, monospace; }
+    .markdown { margin: 0 0 10px; word-break: break-word; }
+    .markdown > :first-child { margin-top: 0; }
+    .markdown > :last-child { margin-bottom: 0; }
+    .markdown p { margin: 0 0 10px; }
+    .markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6 { margin: 18px 0 8px; line-height: 1.3; }
+    .markdown h1 { font-size: 22px; } .markdown h2 { font-size: 19px; } .markdown h3 { font-size: 17px; }
+    .markdown h4, .markdown h5, .markdown h6 { font-size: 15px; }
+    .markdown ul, .markdown ol { margin: 0 0 10px; padding-left: 26px; }
+    .markdown li > ul, .markdown li > ol { margin-bottom: 0; }
+    .markdown li.task { list-style: none; margin-left: -20px; }
+    .markdown blockquote { margin: 10px 0; padding: 2px 14px; border-left: 3px solid #d1d5db; color: #4b5563; }
+    .markdown table { border-collapse: collapse; margin: 10px 0; font-size: 14px; display: block; overflow-x: auto; }
+    .markdown th, .markdown td { border: 1px solid #e5e7eb; padding: 6px 10px; }
+    .markdown th { background: #f9fafb; font-weight: 600; }
+    .markdown hr { border: 0; border-top: 1px solid #e5e7eb; margin: 16px 0; }
+    .markdown a { color: #2563eb; }
+    .markdown img { max-width: 100%; }
+    .math-inline { font-family: "Cascadia Code", "Fira Code", Consolas, monospace; font-size: 0.9em; }
+    .math-display { display: block; margin: 10px 0; overflow-x: auto; text-align: center; white-space: pre-wrap; }
+    .math.katex-rendered { font-family: inherit; font-size: 1.05em; white-space: normal; }
+    .markdown :not(pre) > code { background: #f3f4f6; border-radius: 4px; padding: 1px 5px; font-size: 0.9em; }
     .image-part img { border-radius: 8px; border: 1px solid #e5e7eb; }
     .image-placeholder { color: #9ca3af; font-style: italic; }
+    .tool-call, .execution-output { margin: 10px 0; }
+    .tool-label { font-size: 12px; font-weight: 600; color: #92400e; text-transform: uppercase; letter-spacing: 0.03em; }
+    .execution-output pre { background: #f3f4f6; color: #111827; white-space: pre-wrap; }
+    .execution-output pre.stderr { background: #fef2f2; color: #991b1b; }
+    .quote-part { margin: 10px 0; padding: 8px 14px; border-left: 3px solid #d1d5db; color: #374151; }
+    .quote-part p { margin: 0 0 6px; }
+    .quote-part cite { font-size: 13px; color: #6b7280; }
+    .reasoning { margin: 10px 0; padding: 8px 14px; background: #f9fafb; border-radius: 8px; color: #4b5563; }
+    .reasoning summary { cursor: pointer; font-size: 13px; font-weight: 600; }
+    .thought-summary { margin: 10px 0 4px; font-weight: 600; font-size: 14px; }
+    .reasoning-recap { margin: 0 0 10px; font-size: 13px; color: #6b7280; font-style: italic; }
+    .attachments { list-style: none; margin: 10px 0 0; padding: 0; font-size: 13px; }
+    .attachments a { color: #2563eb; }
+    .attachment-type, .attachment-missing { color: #9ca3af; }
+    .citation a { font-size: 11px; color: #2563eb; text-decoration: none; }
+    .references { margin: 10px 0 0; padding: 8px 0 0 24px; border-top: 1px solid #e5e7eb; font-size: 13px; color: #4b5563; }
+    .references a { color: #2563eb; }
+    .references q { color: #6b7280; }
+    .branch-group { border: 1px dashed #d1d5db; border-radius: 12px; padding: 10px; margin-bottom: 16px; }
+    .branch-tabs { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+    .branch-tab {
+      border: 1px solid #d1d5db; border-radius: 999px; background: #fff;
+      padding: 3px 12px; font-size: 12px; color: #374151; cursor: pointer;
+    }
+    .branch-tab[aria-selected="true"] { background: #111827; border-color: #111827; color: #fff; }
     @media print {
       body { background: #fff; padding: 0; }
       .message { break-inside: avoid; }
+      .branch-tabs { display: none; }
+      .branch-panel[hidden] { display: block; }
     }
 `.trim();
 
@@ -156,3 +460,49 @@ const HIGHLIGHT_INIT = `
     }
   });
 `.trim();
+
+// Render .math elements with KaTeX, if its script loaded. MathML output needs
+// no fonts or stylesheet, so the page works offline.
+const MATH_INIT = `
+  document.addEventListener("DOMContentLoaded", function() {
+    if (typeof katex === "undefined") return;
+    document.querySelectorAll(".math").forEach(function(el) {
+      katex.render(el.textContent, el, {
+        displayMode: el.classList.contains("math-display"),
+        output: "mathml",
+        throwOnError: false
+      });
+      el.classList.add("katex-rendered");
+    });
+  });
+`.trim();
+
+// Switch between branch versions; without JS the default version stays visible
+const BRANCH_INIT = `
+  document.addEventListener("click", function(event) {
+    var tab = event.target.closest && event.target.closest(".branch-tab");
+    if (!tab) return;
+    var group = tab.closest(".branch-group");
+    var index = tab.getAttribute("data-branch");
+    group.querySelectorAll(":scope > .branch-tabs > .branch-tab").forEach(function(el) {
+      el.setAttribute("aria-selected", String(el === tab));
+    });
+    group.querySelectorAll(":scope > .branch-panel").forEach(function(el) {
+      el.hidden = el.getAttribute("data-branch") !== index;
+    });
+  });
+`.trim();
+
+/**
+ * @typedef {Object} RenderContext
+ * @property {Map<string,string>} imageDataUrls
+ * @property {Map<string,string>} fileHrefs
+ * @property {Set<string>}        mainPath      – ids of the linear thread, selected by default
+ * @property {number}             nextCitation  – next free reference number
+ */
+
+/**
+ * @typedef {Object} Reference
+ * @property {number} n
+ * @property {import("../schema.js").Citation} citation
+ */
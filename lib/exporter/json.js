@@ -4,10 +4,14 @@
  * Serializes a NormalizedConversation into the canonical JSON schema
  * described in the PRD (mirrors ChatGPT's own export format).
  *
+ * `content` stays a flat readable string; `parts` keeps the typed content
+ * (tool calls, execution output, quotes, …) for lossless re-processing.
+ *
  * @param {import("../schema.js").NormalizedConversation} conversation
+ * @param {Map<string,string>} [fileHrefs]  attachment id or sandbox: URL → relative link to the exported file
  * @returns {string}  pretty-printed JSON
  */
-export function renderJsonConversation(conversation) {
+export function renderJsonConversation(conversation, fileHrefs = new Map()) {
   const payload = {
     id:          conversation.id         || "",
     title:       conversation.title      || "",
@@ -15,17 +19,104 @@ export function renderJsonConversation(conversation) {
     update_time: conversation.updateTime ?? null,
     model:       conversation.model      ?? null,
     custom_gpt:  conversation.customGptName ?? null,
-    messages: (Array.isArray(conversation.messages) ? conversation.messages : []).map((m) => ({
-      id:          m.id         || "",
-      role:        m.role       || "unknown",
-      content:     flattenPartsToText(m.parts),
-      create_time: m.createTime ?? null
-    }))
+    source:      conversation.source     ?? "history",
+    project:     conversation.projectName ?? null,
+    thread_strategy: conversation.threadStrategy ?? null,
+    messages: (Array.isArray(conversation.messages) ? conversation.messages : [])
+      .map((m) => serializeMessage(m, fileHrefs)),
+    message_tree: conversation.tree ? serializeTree(conversation.tree, fileHrefs) : null,
+    sandbox_files: Object.fromEntries(
+      Array.from(fileHrefs).filter(([key]) => key.startsWith("sandbox:"))
+    )
   };
 
   return JSON.stringify(payload, null, 2);
 }
 
+/**
+ * Serialize the full branch tree. `messages` above stays the linear thread;
+ * this keeps every edit and regeneration with its parent/child links.
+ * @param {import("../schema.js").MessageTree} tree
+ * @param {Map<string,string>} fileHrefs
+ * @returns {object}
+ */
+function serializeTree(tree, fileHrefs) {
+  return {
+    root_ids: tree.rootIds,
+    nodes: Object.values(tree.nodes).map((node) => ({
+      ...serializeMessage(node, fileHrefs),
+      parent_id:     node.parentId  ?? null,
+      children_ids:  node.childIds,
+      sibling_index: node.siblingIndex,
+      sibling_count: node.siblingCount
+    }))
+  };
+}
+
+/**
+ * @param {import("../schema.js").NormalizedMessage} m
+ * @param {Map<string,string>} fileHrefs
+ * @returns {object}
+ */
+function serializeMessage(m, fileHrefs) {
+  return {
+    id:          m.id         || "",
+    role:        m.role       || "unknown",
+    content:     flattenPartsToText(m.parts),
+    create_time: m.createTime ?? null,
+    update_time: m.updateTime ?? null,
+    model_slug:  m.modelSlug  ?? null,
+    finish_reason: m.finishReason ?? null,
+    version:     m.version ? { index: m.version.index, count: m.version.count } : null,
+    edited:      Boolean(m.edited),
+    regenerated: Boolean(m.regenerated),
+    feedback:    m.feedback   ?? null,
+    parts:       (Array.isArray(m.parts) ? m.parts : []).map(serializePart),
+    citations:   (Array.isArray(m.citations) ? m.citations : []).map((c) => ({
+      title:  c.title  ?? null,
+      url:    c.url    ?? null,
+      quote:  c.quote  ?? null,
+      marker: c.marker ?? null
+    })),
+    attachments: (Array.isArray(m.attachments) ? m.attachments : []).map((a) => ({
+      id:        a.id,
+      name:      a.name,
+      mime_type: a.mimeType,
+      size:      a.size ?? null,
+      path:      fileHrefs.get(a.id) ?? null
+    }))
+  };
+}
+
+/**
+ * @param {import("../schema.js").ContentPart} part
+ * @returns {object}
+ */
+function serializePart(part) {
+  switch (part.type) {
+    case "text":
+      return { type: "text", text: part.text };
+    case "code":
+      return { type: "code", language: part.language || "", text: part.text };
+    case "image":
+      return { type: "image", asset_id: part.assetId, width: part.width ?? null,
+        height: part.height ?? null, mime_type: part.mimeType || null };
+    case "tool_call":
+      return { type: "tool_call", tool: part.tool, language: part.language || "", text: part.text };
+    case "execution_output":
+      return { type: "execution_output", tool: part.tool, text: part.text,
+        stdout: part.stdout || "", stderr: part.stderr || "" };
+    case "quote":
+      return { type: "quote", text: part.text, title: part.title ?? null,
+        url: part.url ?? null, domain: part.domain ?? null };
+    case "reasoning":
+      return { type: "reasoning", summary: part.summary ?? null,
+        thoughts: part.thoughts.map((t) => ({ summary: t.summary, content: t.content })) };
+    default:
+      return { ...part };
+  }
+}
+
 /**
  * Flatten content parts to a plain string for the JSON schema.
  * Code blocks are rendered as fenced markdown so they remain readable.
@@ -42,6 +133,21 @@ function flattenPartsToText(parts) {
         return `\`\`\`${lang}\n${part.text}\n\`\`\``;
       }
       if (part.type === "image") return `[image: ${part.assetId}]`;
+      if (part.type === "tool_call") {
+        return `[tool call: ${part.tool}]\n\`\`\`${part.language || ""}\n${part.text}\n\`\`\``;
+      }
+      if (part.type === "execution_output") {
+        return `[output: ${part.tool}]\n\`\`\`\n${part.text || [part.stdout, part.stderr].filter(Boolean).join("\n")}\n\`\`\``;
+      }
+      if (part.type === "reasoning") {
+        const thoughts = part.thoughts.map((t) => [t.summary, t.content].filter(Boolean).join("\n"));
+        return [`[reasoning: ${part.summary || "thoughts"}]`, ...thoughts].join("\n\n");
+      }
+      if (part.type === "quote") {
+        const source = part.url || part.title || part.domain;
+        const quoted = part.text.split("\n").map((line) => `> ${line}`).join("\n");
+        return source ? `${quoted}\n> — ${source}` : quoted;
+      }
       return "";
     })
     .join("\n\n");
@@ -1,53 +1,274 @@
+import { formatDateTime } from "../naming.js";
+import { normalizeMathDelimiters } from "./math.js";
+import { rewriteSandboxLinks } from "../sandbox.js";
+
 /**
  * Markdown (GFM) Exporter
  *
  * Renders a NormalizedConversation to GitHub-Flavored Markdown:
  *   - H1 for conversation title
- *   - H2 per message role (bold-prefixed)
+ *   - H2 per message role (bold-prefixed), followed by timestamp/model metadata
  *   - Fenced code blocks with language tags
+ *   - LaTeX math normalized to $…$ / $$…$$ (GitHub, Obsidian)
+ *   - Tool calls and code-interpreter stdout/stderr as labeled fences
+ *   - Quoted sources as blockquotes with a source link
+ *   - Web-search citations as GFM footnotes
+ *   - Reasoning-model thoughts as a blockquote section
  *   - Image references as ![alt](./images/filename)
+ *   - Uploaded files as links into attachments/
+ *   - Code-interpreter `sandbox:` links rewritten to the bundled copies
+ *   - Edit/regeneration branches as labeled "Version N of M" sections
  *   - Standard links and blockquotes preserved
  *
  * @param {import("../schema.js").NormalizedConversation} conversation
  * @param {Map<string,string>} [imageFileNames]  assetId → file basename mapping
+ * @param {Map<string,string>} [fileHrefs]      attachment id or sandbox: URL → relative link to the exported file
  * @returns {string}
  */
-export function renderMarkdownConversation(conversation, imageFileNames = new Map()) {
+export function renderMarkdownConversation(conversation, imageFileNames = new Map(), fileHrefs = new Map()) {
   const title    = conversation.title || "Untitled Chat";
   const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
 
   const lines = [`# ${title}`, ""];
+  /** @type {RenderContext} */
+  const ctx = { imageFileNames, fileHrefs, nextFootnote: 1 };
 
-  for (const message of messages) {
-    const role = formatRole(message.role || "unknown");
-    lines.push(`## ${role}`);
-    lines.push("");
+  if (conversation.tree) {
+    pushThread(lines, conversation.tree.rootIds, conversation.tree, ctx);
+  } else {
+    for (const message of messages) {
+      pushMessage(lines, message, ctx);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Append a run of sibling nodes. Forks become labeled "Version N of M"
+ * sections, each holding the rest of that branch's thread.
+ *
+ * @param {string[]} lines
+ * @param {string[]} ids
+ * @param {import("../schema.js").MessageTree} tree
+ * @param {RenderContext} ctx
+ */
+function pushThread(lines, ids, tree, ctx) {
+  let current = ids.filter((id) => tree.nodes[id]);
 
-    if (!Array.isArray(message.parts) || message.parts.length === 0) {
-      lines.push("_(empty)_");
+  while (current.length === 1) {
+    const node = tree.nodes[current[0]];
+    pushMessage(lines, node, ctx);
+    current = node.childIds.filter((id) => tree.nodes[id]);
+  }
+
+  if (current.length > 1) {
+    current.forEach((id, i) => {
+      lines.push(`### 🔀 Version ${i + 1} of ${current.length}`);
       lines.push("");
-      continue;
-    }
+      pushThread(lines, [id], tree, ctx);
+    });
+    lines.push("---");
+    lines.push("");
+  }
+}
+
+/**
+ * @param {string[]} lines
+ * @param {import("../schema.js").NormalizedMessage} message
+ * @param {RenderContext} ctx
+ */
+function pushMessage(lines, message, ctx) {
+  const role = formatRole(message.role || "unknown");
+  lines.push(`## ${role}`);
+  lines.push("");
+
+  const meta = formatMessageMeta(message);
+  if (meta) {
+    lines.push(`<sub>${meta}</sub>`);
+    lines.push("");
+  }
+
+  if (!Array.isArray(message.parts) || message.parts.length === 0) {
+    lines.push("_(empty)_");
+    lines.push("");
+    return;
+  }
+
+  const footnotes  = numberCitations(message.citations, ctx);
+  const referenced = new Set();
 
-    for (const part of message.parts) {
-      if (part.type === "text") {
-        lines.push(part.text.trim() || "_(empty)_");
+  for (const part of message.parts) {
+    if (part.type === "text") {
+      const text = linkCitationMarkers(
+        normalizeMathDelimiters(rewriteSandboxLinks(part.text.trim(), ctx.fileHrefs)), footnotes, referenced);
+      lines.push(text || "_(empty)_");
+      lines.push("");
+    } else if (part.type === "code") {
+      const lang = part.language || "";
+      lines.push(`\`\`\`${lang}`);
+      lines.push(part.text);
+      lines.push("```");
+      lines.push("");
+    } else if (part.type === "image") {
+      const fileName = ctx.imageFileNames.get(part.assetId) || `${part.assetId}.png`;
+      lines.push(`![image](./images/${fileName})`);
+      lines.push("");
+    } else if (part.type === "tool_call") {
+      lines.push(`**🔧 Tool call (${part.tool})**`);
+      lines.push("");
+      lines.push(`\`\`\`${part.language || ""}`);
+      lines.push(part.text);
+      lines.push("```");
+      lines.push("");
+    } else if (part.type === "execution_output") {
+      const streams = part.stdout || part.stderr
+        ? [["stdout", part.stdout], ["stderr", part.stderr]]
+        : [["output", part.text]];
+      for (const [label, text] of streams) {
+        if (!text) continue;
+        lines.push(`**📤 ${label} (${part.tool})**`);
         lines.push("");
-      } else if (part.type === "code") {
-        const lang = part.language || "";
-        lines.push(`\`\`\`${lang}`);
-        lines.push(part.text);
+        lines.push("```text");
+        lines.push(text);
         lines.push("```");
         lines.push("");
-      } else if (part.type === "image") {
-        const fileName = imageFileNames.get(part.assetId) || `${part.assetId}.png`;
-        lines.push(`![image](./images/${fileName})`);
-        lines.push("");
       }
+    } else if (part.type === "reasoning") {
+      lines.push(`> **💭 ${part.summary || "Reasoning"}**`);
+      for (const thought of part.thoughts) {
+        lines.push(">");
+        if (thought.summary) lines.push(`> **${thought.summary}**`);
+        if (thought.summary && thought.content) lines.push(">");
+        if (thought.content) {
+          for (const line of normalizeMathDelimiters(thought.content).split("\n")) {
+            lines.push(`> ${line}`.trimEnd());
+          }
+        }
+      }
+      lines.push("");
+    } else if (part.type === "quote") {
+      for (const line of part.text.split("\n")) {
+        lines.push(`> ${line}`.trimEnd());
+      }
+      const label = part.title || part.domain || part.url;
+      if (label) {
+        lines.push(">");
+        lines.push(isWebUrl(part.url) ? `> — [${label}](${part.url})` : `> — ${label}`);
+      }
+      lines.push("");
     }
   }
 
-  return lines.join("\n");
+  pushAttachments(lines, message.attachments, ctx.fileHrefs);
+  pushFootnotes(lines, footnotes, referenced);
+}
+
+/**
+ * Timestamp, model and edit/regeneration/feedback markers as one line.
+ * @param {import("../schema.js").NormalizedMessage} message
+ * @returns {string}
+ */
+function formatMessageMeta(message) {
+  const items = [];
+  if (message.createTime != null) items.push(formatDateTime(message.createTime));
+  if (message.modelSlug) items.push(`\`${message.modelSlug}\``);
+  if (message.version) {
+    const kind = message.role === "user" ? "edit" : "version";
+    items.push(`${kind} ${message.version.index + 1}/${message.version.count}`);
+  }
+  if (message.finishReason && message.finishReason !== "stop") {
+    items.push(`finish: ${message.finishReason}`);
+  }
+  if (message.feedback) items.push(message.feedback === "up" ? "👍" : "👎");
+  return items.join(" · ");
+}
+
+/**
+ * @param {string[]} lines
+ * @param {import("../schema.js").Attachment[]|undefined} attachments
+ * @param {Map<string,string>} fileHrefs
+ */
+function pushAttachments(lines, attachments, fileHrefs) {
+  if (!Array.isArray(attachments) || attachments.length === 0) return;
+  for (const a of attachments) {
+    const href = fileHrefs.get(a.id);
+    lines.push(href
+      ? `- 📎 [${a.name}](${href}) \`${a.mimeType}\``
+      : `- 📎 ${a.name} \`${a.mimeType}\` _(not exported)_`);
+  }
+  lines.push("");
+}
+
+// ─── Citations ────────────────────────────────────────────────────────────────
+
+/**
+ * Assign conversation-wide footnote numbers to a message's citations.
+ * @param {import("../schema.js").Citation[]|undefined} citations
+ * @param {RenderContext} ctx
+ * @returns {Footnote[]}
+ */
+function numberCitations(citations, ctx) {
+  if (!Array.isArray(citations)) return [];
+  return citations.map((citation) => ({ n: ctx.nextFootnote++, citation }));
+}
+
+/**
+ * Replace inline citation markers with footnote references.
+ * @param {string} text
+ * @param {Footnote[]} footnotes
+ * @param {Set<number>} referenced  collects the numbers that were placed
+ * @returns {string}
+ */
+function linkCitationMarkers(text, footnotes, referenced) {
+  const byMarker = new Map();
+  for (const note of footnotes) {
+    if (!note.citation.marker) continue;
+    const list = byMarker.get(note.citation.marker) || [];
+    list.push(note.n);
+    byMarker.set(note.citation.marker, list);
+  }
+
+  let result = text;
+  for (const [marker, numbers] of byMarker) {
+    if (!result.includes(marker)) continue;
+    numbers.forEach((n) => referenced.add(n));
+    result = result.split(marker).join(numbers.map((n) => `[^${n}]`).join(""));
+  }
+  return result;
+}
+
+/**
+ * Emit footnote definitions. Citations never placed inline are referenced
+ * from a "Sources" line so GFM still renders them.
+ * @param {string[]} lines
+ * @param {Footnote[]} footnotes
+ * @param {Set<number>} referenced
+ */
+function pushFootnotes(lines, footnotes, referenced) {
+  if (footnotes.length === 0) return;
+
+  const unplaced = footnotes.filter((note) => !referenced.has(note.n));
+  if (unplaced.length > 0) {
+    lines.push(`Sources: ${unplaced.map((note) => `[^${note.n}]`).join(" ")}`);
+    lines.push("");
+  }
+
+  for (const { n, citation } of footnotes) {
+    const label = citation.title || citation.url;
+    const link  = isWebUrl(citation.url) ? `[${label}](${citation.url})` : label;
+    const quote = citation.quote ? ` — "${citation.quote.replace(/\s+/g, " ")}"` : "";
+    lines.push(`[^${n}]: ${link}${quote}`);
+  }
+  lines.push("");
+}
+
+/**
+ * @param {string|null} url
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  return typeof url === "string" && /^https?:\/\//i.test(url);
 }
 
 /**
@@ -64,3 +285,16 @@ function formatRole(role) {
   };
   return map[role] || role.charAt(0).toUpperCase() + role.slice(1);
 }
+
+/**
+ * @typedef {Object} RenderContext
+ * @property {Map<string,string>} imageFileNames
+ * @property {Map<string,string>} fileHrefs
+ * @property {number}             nextFootnote   – next free footnote number
+ */
+
+/**
+ * @typedef {Object} Footnote
+ * @property {number} n
+ * @property {import("../schema.js").Citation} citation
+ */
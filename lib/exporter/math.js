@@ -0,0 +1,73 @@
+/**
+ * LaTeX Math Detection
+ *
+ * ChatGPT writes math as `\( … \)` (inline) and `\[ … \]` (display), and
+ * occasionally as `$$ … $$`. These helpers find those spans so the HTML
+ * exporter can render them and the Markdown exporter can rewrite them to
+ * the `$…$` / `$$…$$` delimiters GitHub and Obsidian understand.
+ */
+
+const MATH_RE = /\\\[([\s\S]+?)\\\]|\$\$([\s\S]+?)\$\$|\\\(([\s\S]+?)\\\)/g;
+
+/** Fenced code blocks and inline code spans, which never contain math. */
+const CODE_RE = /^( {0,3})(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\2[`~]*[ \t]*(?=\n|$)|$)|(`+)[\s\S]*?[^`]\3(?!`)/gm;
+
+/**
+ * Replace every math span in `text` with the callback's result.
+ * Does not skip code; callers that see Markdown use {@link normalizeMathDelimiters}.
+ *
+ * @param {string} text
+ * @param {(span: MathSpan) => string} replacer
+ * @returns {string}
+ */
+export function replaceMath(text, replacer) {
+  return text.replace(MATH_RE, (raw, display, dollars, inline) => {
+    const tex = (display ?? dollars ?? inline).trim();
+    if (!tex) return raw;
+    return replacer({ tex, display: inline === undefined, raw });
+  });
+}
+
+/**
+ * Rewrite math delimiters in Markdown to `$…$` and `$$…$$`, leaving code
+ * untouched. Display math on its own line(s) becomes a `$$` block.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function normalizeMathDelimiters(markdown) {
+  return mapOutsideCode(markdown, (text) =>
+    text.replace(MATH_RE, (raw, display, dollars, inline, offset, whole) => {
+      const tex = (display ?? dollars ?? inline).trim();
+      if (!tex) return raw;
+      if (inline !== undefined) return `$${tex}$`;
+
+      const before = whole.slice(0, offset);
+      const after  = whole.slice(offset + raw.length);
+      const ownLine = /(^|\n)[ \t]*$/.test(before) && /^[ \t]*(\n|$)/.test(after);
+      return ownLine ? `$$\n${tex}\n$$` : `$$${tex}$$`;
+    }));
+}
+
+/**
+ * Apply `fn` to the stretches of Markdown between code blocks and spans.
+ * @param {string} markdown
+ * @param {(text: string) => string} fn
+ * @returns {string}
+ */
+function mapOutsideCode(markdown, fn) {
+  let result = "";
+  let last   = 0;
+  for (const match of markdown.matchAll(CODE_RE)) {
+    result += fn(markdown.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + fn(markdown.slice(last));
+}
+
+/**
+ * @typedef {Object} MathSpan
+ * @property {string}  tex      – LaTeX source without delimiters
+ * @property {boolean} display  – `\[ \]` or `$$ $$` rather than `\( \)`
+ * @property {string}  raw      – the matched text including delimiters
+ */
@@ -2,137 +2,423 @@
  * ZIP Packager
  *
  * Assembles the final ZIP archive from a batch of exported conversation data.
- * Uses the bundled JSZip library (lib/jszip.min.js).
+ * Conversations are written one at a time through the streaming writer in
+ * zip_stream.js; a record may be passed as a loader so it is only read back
+ * (e.g. from IndexedDB) when its turn comes and can be dropped right after.
+ *
+ * With a maximum archive size the export is split into parts
+ * (`…_part2.zip`, `…_part3.zip`, …), each with its own root folder of the
+ * same name. A conversation and its files always stay in one part; every
+ * part gets an index.html that links across parts, and the first part a
+ * manifest.json mapping each conversation to its part.
+ *
+ * {@link writeToFolder} writes the same layout into a folder the user picked
+ * (lib/export_folder.js) instead of an archive.
  *
  * Folder layout (per PRD §6.2):
  *   export_YYYY-MM-DD/
  *   ├── index.html
+ *   ├── manifest.json                   (split exports, first part only)
+ *   ├── changes.json                    (incremental exports only)
+ *   ├── assets/
+ *   │   └── katex.min.js                (when an HTML chat contains math)
  *   ├── chats/
  *   │   ├── YYYY-MM-DD_title.html
  *   │   ├── YYYY-MM-DD_title.md
- *   │   └── YYYY-MM-DD_title.json
+ *   │   ├── YYYY-MM-DD_title.json
+ *   │   └── YYYY-MM-DD_title.raw.json   (untouched API payload)
  *   ├── custom-gpts/
  *   │   └── <gpt-name>/
  *   │       └── ...
- *   └── images/
- *       └── <conv-slug>_0.png
+ *   ├── projects/
+ *   │   └── <project-name>/
+ *   │       └── ...
+ *   ├── archived/
+ *   │   └── ...
+ *   ├── images/
+ *   │   └── <conv-slug>_0.png
+ *   ├── attachments/
+ *   │   └── <conv-slug>/
+ *   │       └── <original file name>
+ *   └── sandbox/
+ *       └── <conv-slug>/
+ *           └── <code-interpreter output file>
  */
 
-import { buildFileName, getFolderPrefix, formatDate, slugify } from "../naming.js";
+import { buildFileName, getFolderPrefix, formatDate, slugify, pathToRoot, sanitizeFileName } from "../naming.js";
 import { renderHtmlConversation }      from "./html.js";
 import { renderMarkdownConversation }  from "./markdown.js";
 import { renderJsonConversation }      from "./json.js";
+import { renderChangesJson }           from "../ledger.js";
+import { createZipWriter, createBlobSink, prepareEntry, entrySize } from "./zip_stream.js";
+
+/** Output format → file extension and index.html link label. */
+const FORMAT_FILES = {
+  html:     { ext: "html",     label: "HTML" },
+  markdown: { ext: "md",       label: "MD" },
+  json:     { ext: "json",     label: "JSON" },
+  raw:      { ext: "raw.json", label: "RAW" }
+};
+
+/** Bundled KaTeX, written once per archive (or folder) and shared by its HTML chats. */
+const MATH_ASSET = "assets/katex.min.js";
+
+/** Smallest accepted maximum archive size; below it the per-part overhead dominates. */
+export const MIN_ARCHIVE_MB = 50;
+
+/** Room kept in each part for index.html, manifest.json and the summary, which are written last. */
+const TRAILER_RESERVE_BYTES    = 64 * 1024;
+const TRAILER_RESERVE_PER_CHAT = 512;
 
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
- * Package exported conversations into a ZIP blob.
+ * Package exported conversations into one ZIP blob, or several parts when
+ * `maxArchiveBytes` is set.
+ *
+ * Peak memory is one conversation's files: each record is resolved, written
+ * and released before the next one is loaded.
  *
- * @param {ConvExportRecord[]} records
- * @param {string[]} formats    subset of ["html","markdown","json"]
+ * @param {RecordSource[]} records
+ * @param {string[]} formats    subset of ["html","markdown","json","raw"]
  * @param {string} template     naming template, e.g. "{date}_{title}"
  * @param {FailureRecord[]} [failures]  conversations that errored during extraction
  * @param {ProgressCallback} [onProgress]
- * @returns {Promise<Blob>}     ZIP file blob
+ * @param {import("../ledger.js").ChangeSet|null} [changes]  written as changes.json for incremental exports
+ * @param {number} [maxArchiveBytes]  0 = a single archive; a conversation larger than this gets a part of its own
+ * @returns {Promise<ZipVolume[]>}  in part order; the first is the only one without a `_partN` suffix
  */
-export async function packageZip(records, formats, template, failures = [], onProgress) {
-  const JSZip = await loadJSZip();
-  const zip   = new JSZip();
+export async function packageZip(records, formats, template, failures = [], onProgress, changes = null, maxArchiveBytes = 0) {
   const highlightSource = formats.includes("html")
-    ? await loadHighlightSource()
+    ? await loadBundledSource("lib/highlight.min.js")
+    : "";
+  const mathSource = formats.includes("html")
+    ? await loadBundledSource("lib/katex.min.js")
     : "";
 
+  const mathEntry  = mathSource ? await prepareEntry(mathSource) : null;
+
   const rootFolder = `chatgpt-export_${formatDate(Date.now() / 1000)}`;
-  const usedNames  = new Set();
+  const naming     = { usedNames: new Set(), previous: new Map() };
+  const volumes    = [openVolume(rootFolder, 1)];
+  const reserve    = TRAILER_RESERVE_BYTES + TRAILER_RESERVE_PER_CHAT * records.length;
 
   /** @type {IndexEntry[]} */
   const indexEntries = [];
+  /** @type {SummaryEntry[]} */
+  const summaryEntries = [];
 
   for (let i = 0; i < records.length; i++) {
-    const record = records[i];
-    const conv   = record.conversation;
+    const source = records[i];
+    const record = typeof source === "function" ? await source() : source;
+    const rendered = renderRecord(record, formats, template, naming, highlightSource, mathEntry !== null);
+    const { indexEntry, summaryEntry } = rendered;
+    const files = [];
+    for (const { path, data, compress } of rendered.files) {
+      files.push({ path, entry: await prepareEntry(data, { compress }) });
+    }
+    // The part this chat lands in needs KaTeX too, unless it already has it.
+    const withAssets = (volume) => (rendered.usesMath && !volume.hasMath
+      ? [...files, { path: MATH_ASSET, entry: mathEntry }]
+      : files);
+
+    // Start a new part when this conversation would push the current one
+    // past the limit; an empty part takes it whatever its size.
+    let volume = volumes[volumes.length - 1];
+    const size = withAssets(volume).reduce((n, f) => n + entrySize(`${volume.root}/${f.path}`, f.entry), 0);
+    if (maxArchiveBytes > 0 && volume.conversations > 0 &&
+        volume.zip.projectedSize + size + reserve > maxArchiveBytes) {
+      volume = openVolume(rootFolder, volumes.length + 1);
+      volumes.push(volume);
+    }
+    for (const file of withAssets(volume)) {
+      await volume.zip.addEntry(`${volume.root}/${file.path}`, file.entry);
+    }
+    volume.hasMath ||= rendered.usesMath;
+    volume.conversations++;
 
-    const baseName   = buildFileName(conv, template, usedNames);
-    const folderPfx  = getFolderPrefix(conv);
-    const imageMap   = new Map(); // assetId → relative file path for Markdown
+    indexEntries.push({ ...indexEntry, part: volume.part });
+    summaryEntries.push(summaryEntry);
 
-    // ── Images ──────────────────────────────────────────────────────────────
-    const dataUrlMap = new Map(); // assetId → data URL for HTML embed
+    onProgress?.(i + 1, records.length);
+  }
 
-    if (Array.isArray(record.images)) {
-      for (let j = 0; j < record.images.length; j++) {
-        const img    = record.images[j];
-        const imgName = `${slugify(baseName)}_${j}.png`;
-        const imgPath = `${rootFolder}/images/${imgName}`;
+  const first = volumes[0];
 
-        // Store raw bytes in ZIP (for Markdown/JSON)
-        zip.file(imgPath, img.bytes);
-        imageMap.set(img.assetId, imgName);
+  // ── Index HTML ─────────────────────────────────────────────────────────────
+  if (formats.includes("html")) {
+    for (const volume of volumes) {
+      await volume.zip.addFile(`${volume.root}/index.html`, buildIndexHtml(indexEntries, volume, volumes));
+    }
+  }
 
-        // Build data URL for HTML embedding
-        const b64 = arrayBufferToBase64(img.bytes);
-        dataUrlMap.set(img.assetId, `data:${img.mimeType || "image/png"};base64,${b64}`);
-      }
+  // ── Part Manifest ──────────────────────────────────────────────────────────
+  if (volumes.length > 1) {
+    await first.zip.addFile(`${first.root}/manifest.json`, buildManifest(indexEntries, volumes));
+  }
+
+  // ── Change List ────────────────────────────────────────────────────────────
+  if (changes) {
+    await first.zip.addFile(`${first.root}/changes.json`, renderChangesJson(changes));
+  }
+
+  // ── Summary Report ─────────────────────────────────────────────────────────
+  const summary = buildSummaryReport(summaryEntries, failures, formats, changes, volumes.length);
+  await first.zip.addFile(`${first.root}/export-summary.txt`, summary);
+
+  // ── Finish and return blobs ────────────────────────────────────────────────
+  const result = [];
+  for (const volume of volumes) {
+    await volume.zip.close();
+    result.push({ fileName: `${volume.root}.zip`, blob: volume.sink.finish("application/zip") });
+  }
+  return result;
+}
+
+/**
+ * Write the export into a folder instead of a ZIP: the layout of one
+ * archive's root folder, file by file.
+ *
+ * Made for folders that are exported into again and again: files whose
+ * content did not change are left alone, and a conversation already in the
+ * folder keeps its file names even if its date or title changed. The list of
+ * conversations written so far is kept in `export-index.json`, so index.html
+ * stays complete after incremental runs.
+ *
+ * @param {import("../export_folder.js").FolderWriter} folder
+ * @param {RecordSource[]} records
+ * @param {string[]} formats
+ * @param {string} template
+ * @param {FailureRecord[]} [failures]
+ * @param {ProgressCallback} [onProgress]
+ * @param {import("../ledger.js").ChangeSet|null} [changes]
+ * @returns {Promise<{ written: number, unchanged: number }>}  file counts
+ */
+export async function writeToFolder(folder, records, formats, template, failures = [], onProgress, changes = null) {
+  const highlightSource = formats.includes("html")
+    ? await loadBundledSource("lib/highlight.min.js")
+    : "";
+  const mathSource = formats.includes("html")
+    ? await loadBundledSource("lib/katex.min.js")
+    : "";
+
+  const previous = parseFolderIndex(await folder.readText(FOLDER_INDEX_FILE));
+  const naming   = { usedNames: new Set([...previous.values()].map((e) => e.baseName)), previous };
+  const counts   = { written: 0, unchanged: 0 };
+  let mathWritten = false;
+  const write    = async (path, data) => {
+    if (await folder.writeFile(path, data)) counts.written++;
+    else counts.unchanged++;
+  };
+
+  /** @type {Map<string, IndexEntry>} */
+  const indexById = new Map(previous);
+  /** @type {SummaryEntry[]} */
+  const summaryEntries = [];
+
+  for (let i = 0; i < records.length; i++) {
+    const source = records[i];
+    const record = typeof source === "function" ? await source() : source;
+    const { files, indexEntry, summaryEntry, usesMath } =
+      renderRecord(record, formats, template, naming, highlightSource, mathSource !== "");
+    for (const file of files) {
+      await write(file.path, file.data);
     }
+    if (usesMath && !mathWritten) {
+      await write(MATH_ASSET, mathSource);
+      mathWritten = true;
+    }
+    indexById.set(indexEntry.id, { ...indexEntry, part: 1 });
+    summaryEntries.push(summaryEntry);
+
+    onProgress?.(i + 1, records.length);
+  }
 
-    // ── Per-format artifacts ─────────────────────────────────────────────────
-    if (formats.includes("html")) {
-      const html = renderHtmlConversation(conv, dataUrlMap, highlightSource);
-      zip.file(`${rootFolder}/${folderPfx}${baseName}.html`, html);
+  const entries = [...indexById.values()];
+  if (formats.includes("html")) {
+    await write("index.html", buildIndexHtml(entries, FOLDER_VOLUME, [FOLDER_VOLUME]));
+  }
+  await write(FOLDER_INDEX_FILE, renderFolderIndex(entries));
+  if (changes) {
+    await write("changes.json", renderChangesJson(changes));
+  }
+  await write("export-summary.txt", buildSummaryReport(summaryEntries, failures, formats, changes));
+  return counts;
+}
+
+/**
+ * Coerce the "max archive size" preference (MB; empty or 0 = no limit).
+ *
+ * @param {unknown} value
+ * @returns {number}  0, or a whole number of MB no smaller than {@link MIN_ARCHIVE_MB}
+ */
+export function normalizeArchiveSizeMb(value) {
+  const n = value == null || value === "" ? NaN : Math.floor(Number(value));
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return Math.max(MIN_ARCHIVE_MB, n);
+}
+
+// ─── Conversation Files ───────────────────────────────────────────────────────
+
+/**
+ * Render one record's files, with paths relative to the archive's root
+ * folder.
+ *
+ * @param {ConvExportRecord} record
+ * @param {string[]} formats
+ * @param {string} template
+ * @param {NamingState} naming
+ * @param {string} highlightSource
+ * @param {boolean} withMath  KaTeX is available to write as {@link MATH_ASSET}
+ * @returns {{ files: PendingFile[], indexEntry: Omit<IndexEntry, "part">, summaryEntry: SummaryEntry, usesMath: boolean }}
+ *   `usesMath`: the HTML file loads {@link MATH_ASSET}, which the caller writes
+ */
+function renderRecord(record, formats, template, naming, highlightSource, withMath) {
+  const conv = record.conversation;
+  /** @type {PendingFile[]} */
+  const files = [];
+  const add = (path, data, { compress = true } = {}) => {
+    files.push({ path, data, compress });
+  };
+
+  const previous   = naming.previous.get(conv.id);
+  const baseName   = previous ? previous.baseName : buildFileName(conv, template, naming.usedNames);
+  const folderPfx  = previous ? previous.folder : getFolderPrefix(conv);
+  const imageMap   = new Map(); // assetId → relative file path for Markdown
+
+  // ── Images ────────────────────────────────────────────────────────────────
+  const dataUrlMap = new Map(); // assetId → data URL for HTML embed
+
+  if (Array.isArray(record.images)) {
+    for (let j = 0; j < record.images.length; j++) {
+      const img    = record.images[j];
+      const imgName = `${slugify(baseName)}_${j}.png`;
+
+      // Store raw bytes in ZIP (for Markdown/JSON); images are already compressed
+      add(`images/${imgName}`, img.bytes, { compress: false });
+      imageMap.set(img.assetId, imgName);
+
+      // Build data URL for HTML embedding
+      const b64 = arrayBufferToBase64(img.bytes);
+      dataUrlMap.set(img.assetId, `data:${img.mimeType || "image/png"};base64,${b64}`);
     }
+  }
+
+  // ── Attachments ───────────────────────────────────────────────────────────
+  const fileHrefs = new Map(); // attachment id / sandbox: URL → path relative to the chat file
 
-    if (formats.includes("markdown")) {
-      const md = renderMarkdownConversation(conv, imageMap);
-      zip.file(`${rootFolder}/${folderPfx}${baseName}.md`, md);
+  if (Array.isArray(record.attachments)) {
+    const attachmentDir = `attachments/${slugify(baseName)}/`;
+    const usedFiles     = new Set();
+    for (const file of record.attachments) {
+      const fileName = uniqueFileName(sanitizeFileName(file.name), usedFiles);
+      add(`${attachmentDir}${fileName}`, file.bytes);
+      fileHrefs.set(file.id, `${pathToRoot(folderPfx)}${attachmentDir}${encodeURIComponent(fileName)}`);
     }
+  }
 
-    if (formats.includes("json")) {
-      const json = renderJsonConversation(conv);
-      zip.file(`${rootFolder}/${folderPfx}${baseName}.json`, json);
+  // ── Code-interpreter sandbox files ────────────────────────────────────────
+  if (Array.isArray(record.sandboxFiles)) {
+    const sandboxDir = `sandbox/${slugify(baseName)}/`;
+    const usedFiles  = new Set();
+    for (const file of record.sandboxFiles) {
+      const fileName = uniqueFileName(sanitizeFileName(file.name), usedFiles);
+      add(`${sandboxDir}${fileName}`, file.bytes);
+      fileHrefs.set(file.ref, `${pathToRoot(folderPfx)}${sandboxDir}${encodeURIComponent(fileName)}`);
     }
+  }
 
-    indexEntries.push({
-      title:    conv.title || "Untitled Chat",
-      folder:   folderPfx,
-      baseName,
-      formats
-    });
+  // ── Per-format artifacts ───────────────────────────────────────────────────
+  let usesMath = false;
+  if (formats.includes("html")) {
+    const mathSrc = withMath ? `${pathToRoot(folderPfx)}${MATH_ASSET}` : "";
+    const html = renderHtmlConversation(conv, dataUrlMap, highlightSource, fileHrefs, mathSrc);
+    usesMath = mathSrc !== "" && html.includes(`<script src="${mathSrc}">`);
+    add(`${folderPfx}${baseName}.html`, html);
+  }
 
-    onProgress?.(i + 1, records.length);
+  if (formats.includes("markdown")) {
+    const md = renderMarkdownConversation(conv, imageMap, fileHrefs);
+    add(`${folderPfx}${baseName}.md`, md);
   }
 
-  // ── Index HTML ─────────────────────────────────────────────────────────────
-  if (formats.includes("html")) {
-    const indexHtml = buildIndexHtml(indexEntries);
-    zip.file(`${rootFolder}/index.html`, indexHtml);
+  if (formats.includes("json")) {
+    const json = renderJsonConversation(conv, fileHrefs);
+    add(`${folderPfx}${baseName}.json`, json);
   }
 
-  // ── Summary Report ─────────────────────────────────────────────────────────
-  const summary = buildSummaryReport(records, failures);
-  zip.file(`${rootFolder}/export-summary.txt`, summary);
+  const hasRaw = typeof record.rawPayload === "string";
+  if (formats.includes("raw") && hasRaw) {
+    add(`${folderPfx}${baseName}.raw.json`, record.rawPayload);
+  }
 
-  // ── Generate and return blob ───────────────────────────────────────────────
-  return zip.generateAsync({ type: "blob", compression: "DEFLATE",
-    compressionOptions: { level: 6 } });
+  return {
+    files,
+    usesMath,
+    indexEntry: {
+      id:       conv.id,
+      title:    conv.title || "Untitled Chat",
+      folder:   folderPfx,
+      baseName,
+      formats:  hasRaw ? formats : formats.filter((f) => f !== "raw")
+    },
+    summaryEntry: {
+      id:                 conv.id,
+      title:              conv.title,
+      threadStrategy:     conv.threadStrategy,
+      attachmentFailures: record.attachmentFailures || [],
+      domShortfall:       record.domShortfall || null,
+      hasRaw
+    }
+  };
+}
+
+/**
+ * @param {string} rootFolder
+ * @param {number} part  1-based
+ * @returns {Volume}
+ */
+function openVolume(rootFolder, part) {
+  const sink = createBlobSink();
+  return {
+    part,
+    root:          part === 1 ? rootFolder : `${rootFolder}_part${part}`,
+    sink,
+    zip:           createZipWriter(sink),
+    conversations: 0,
+    hasMath:       false
+  };
 }
 
 // ─── Index HTML ───────────────────────────────────────────────────────────────
 
 /**
+ * Index of every conversation in the export. In a split export each part
+ * carries the full list; links into other parts go through the sibling
+ * folder that part extracts to.
+ *
  * @param {IndexEntry[]} entries
+ * @param {Pick<Volume, "part"|"root">} volume   the part this index is written to
+ * @param {Pick<Volume, "part"|"root">[]} volumes
  * @returns {string}
  */
-function buildIndexHtml(entries) {
-  const rows = entries.map(({ title, folder, baseName, formats }) => {
+function buildIndexHtml(entries, volume, volumes) {
+  const split = volumes.length > 1;
+  const rows = entries.map(({ title, folder, baseName, formats, part }) => {
+    const base = part === volume.part ? "./" : `../${volumes[part - 1].root}/`;
     const links = formats
-      .filter((f) => f === "html" || f === "markdown" || f === "json")
+      .filter((f) => FORMAT_FILES[f])
       .map((f) => {
-        const ext = f === "markdown" ? "md" : f;
-        return `<a href="./${folder}${baseName}.${ext}">${ext.toUpperCase()}</a>`;
+        const { ext, label } = FORMAT_FILES[f];
+        return `<a href="${base}${folder}${baseName}.${ext}">${label}</a>`;
       })
       .join(" &middot; ");
-    return `<li><span class="title">${escHtml(title)}</span> &mdash; ${links}</li>`;
+    const partTag = split ? ` <span class="part">part ${part}</span>` : "";
+    return `<li><span class="title">${escHtml(title)}</span>${partTag} &mdash; ${links}</li>`;
   });
+  const partNote = split
+    ? ` in ${volumes.length} parts (this is part ${volume.part}; extract all parts into the same folder to follow every link)`
+    : "";
 
   return `<!doctype html>
 <html lang="en">
@@ -146,6 +432,7 @@ function buildIndexHtml(entries) {
     ul{list-style:none;padding:0}
     li{padding:8px 0;border-bottom:1px solid #e5e7eb}
     .title{font-weight:600}
+    .part{font-size:12px;color:#6b7280}
     a{color:#2563eb;text-decoration:none}
     a:hover{text-decoration:underline}
   </style>
@@ -156,45 +443,242 @@ function buildIndexHtml(entries) {
     ${rows.join("\n    ")}
   </ul>
   <p style="margin-top:24px;font-size:12px;color:#6b7280">
-    Exported by ChatGPT Conversation Exporter &middot; ${entries.length} conversation(s)
+    Exported by ChatGPT Conversation Exporter &middot; ${entries.length} conversation(s)${partNote}
   </p>
 </body>
 </html>`;
 }
 
+// ─── Folder Index ─────────────────────────────────────────────────────────────
+
+const FOLDER_INDEX_FILE = "export-index.json";
+
+/** A folder export is laid out like a single archive part with no root folder. */
+const FOLDER_VOLUME = { part: 1, root: "" };
+
+/**
+ * @param {IndexEntry[]} entries
+ * @returns {string}
+ */
+function renderFolderIndex(entries) {
+  return JSON.stringify({
+    updated_at: new Date().toISOString(),
+    conversations: entries.map((e) => ({
+      id:        e.id,
+      title:     e.title,
+      folder:    e.folder,
+      base_name: e.baseName,
+      formats:   e.formats
+    }))
+  }, null, 2);
+}
+
+/**
+ * Read back `export-index.json`. A missing, hand-edited or corrupt file only
+ * costs the stable names, so anything unexpected is skipped.
+ *
+ * @param {string|null} text
+ * @returns {Map<string, IndexEntry>}
+ */
+function parseFolderIndex(text) {
+  const entries = new Map();
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch {
+    return entries;
+  }
+  for (const c of Array.isArray(parsed?.conversations) ? parsed.conversations : []) {
+    const valid = typeof c?.id === "string" && typeof c.base_name === "string" && typeof c.folder === "string" &&
+      !`${c.folder}${c.base_name}`.split("/").includes("..") && Array.isArray(c.formats);
+    if (!valid) continue;
+    entries.set(c.id, {
+      id:       c.id,
+      title:    String(c.title ?? "Untitled Chat"),
+      folder:   c.folder,
+      baseName: c.base_name,
+      formats:  c.formats.filter((f) => typeof f === "string"),
+      part:     1
+    });
+  }
+  return entries;
+}
+
+// ─── Part Manifest ────────────────────────────────────────────────────────────
+
+/**
+ * `manifest.json` for a split export (snake_case like the JSON exporter):
+ * the parts, and which part holds each conversation's files.
+ *
+ * @param {IndexEntry[]} entries
+ * @param {Volume[]} volumes
+ * @returns {string}
+ */
+function buildManifest(entries, volumes) {
+  return JSON.stringify({
+    generated_at: new Date().toISOString(),
+    parts: volumes.map((v) => ({
+      part:          v.part,
+      file:          `${v.root}.zip`,
+      folder:        v.root,
+      conversations: v.conversations
+    })),
+    conversations: entries.map((e) => ({
+      id:     e.id,
+      title:  e.title,
+      part:   e.part,
+      folder: volumes[e.part - 1].root,
+      files:  e.formats.filter((f) => FORMAT_FILES[f]).map((f) => `${e.folder}${e.baseName}.${FORMAT_FILES[f].ext}`)
+    }))
+  }, null, 2);
+}
+
 // ─── Summary Report ───────────────────────────────────────────────────────────
 
 /**
- * @param {ConvExportRecord[]} records
+ * @param {SummaryEntry[]} records
  * @param {FailureRecord[]} failures
+ * @param {string[]} formats
+ * @param {import("../ledger.js").ChangeSet|null} [changes]
+ * @param {number} [parts]  archive parts written
  * @returns {string}
  */
-function buildSummaryReport(records, failures) {
+function buildSummaryReport(records, failures, formats, changes = null, parts = 1) {
   const lines = [
     "ChatGPT Conversation Exporter — Export Summary",
     "=".repeat(50),
     `Exported at : ${new Date().toISOString()}`,
     `Successful  : ${records.length}`,
-    `Failed      : ${failures.length}`,
-    ""
+    `Failed      : ${failures.length}`
   ];
+  if (parts > 1) {
+    lines.push(`Parts       : ${parts} (see manifest.json)`);
+  }
+  lines.push("");
+  if (changes) {
+    const since = changes.previousExportAt == null ? "first export" : new Date(changes.previousExportAt).toISOString();
+    lines.push(`Changes since last export (${since}), see changes.json:`);
+    lines.push(`  - added: ${changes.added.length}`);
+    lines.push(`  - updated: ${changes.updated.length}`);
+    lines.push(`  - deleted: ${changes.deleted.length}`);
+    lines.push("");
+  }
+  const strategies = countBy(records, (r) => r.threadStrategy || "unknown");
+  if (strategies.size > 0) {
+    lines.push("Thread selection:");
+    for (const [strategy, count] of strategies) {
+      lines.push(`  - ${strategy}: ${count}`);
+    }
+    lines.push("");
+  }
   if (failures.length > 0) {
     lines.push("Failed Conversations:");
-    for (const f of failures) {
-      lines.push(`  - ${f.id} ("${f.title}"): ${f.error}`);
+    pushGroupedFailures(lines, failures, (f) => `${f.id} ("${f.title}"): ${f.error}`);
+    lines.push("");
+  }
+  const missingFiles = records.flatMap((r) =>
+    r.attachmentFailures.map((f) => ({ ...f, conversation: r })));
+  if (missingFiles.length > 0) {
+    lines.push("Attachments Not Exported:");
+    pushGroupedFailures(lines, missingFiles, (f) => `${f.name} (${f.id}) in "${f.conversation.title}": ${f.error}`);
+    lines.push("");
+  }
+  const truncated = records.filter((r) => r.domShortfall);
+  if (truncated.length > 0) {
+    lines.push("Possibly Truncated (page showed fewer turns than the API reports):");
+    for (const r of truncated) {
+      lines.push(`  - ${r.id} ("${r.title}"): ` +
+        `${r.domShortfall.domCount} of ${r.domShortfall.apiCount} user turns`);
     }
     lines.push("");
   }
+  if (formats.includes("raw")) {
+    const missingRaw = records.filter((r) => !r.hasRaw);
+    if (missingRaw.length > 0) {
+      lines.push("Raw Payload Not Exported (extracted from page, API unavailable):");
+      for (const r of missingRaw) {
+        lines.push(`  - ${r.id} ("${r.title}")`);
+      }
+      lines.push("");
+    }
+  }
   lines.push("Formats exported: " + (records.length > 0 ? "see individual files" : "n/a"));
   return lines.join("\n");
 }
 
+/** Summary headings per failure kind, in report order. */
+const FAILURE_KIND_LABELS = {
+  auth_expired: "Auth expired",
+  forbidden:    "Access denied",
+  rate_limited: "Rate limited",
+  not_found:    "Not found",
+  network:      "Network error",
+  http:         "HTTP error",
+  other:        "Other"
+};
+
+/**
+ * Append failures grouped under one sub-heading per kind, so a run that hit
+ * rate limits reads differently from one with a few deleted chats.
+ *
+ * @template {{ kind?: string }} T
+ * @param {string[]} lines
+ * @param {T[]} items
+ * @param {(item: T) => string} formatItem
+ */
+function pushGroupedFailures(lines, items, formatItem) {
+  const kindOf = (item) => (item.kind && item.kind in FAILURE_KIND_LABELS ? item.kind : "other");
+  const counts = countBy(items, kindOf);
+  for (const [kind, label] of Object.entries(FAILURE_KIND_LABELS)) {
+    if (!counts.has(kind)) continue;
+    lines.push(`  ${label} (${counts.get(kind)}):`);
+    for (const item of items) {
+      if (kindOf(item) === kind) lines.push(`    - ${formatItem(item)}`);
+    }
+  }
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => string} keyFn
+ * @returns {Map<string, number>}
+ */
+function countBy(items, keyFn) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
 function escHtml(s) {
   return String(s).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
 }
 
+/**
+ * Return `name`, or `name-2.ext`, `name-3.ext`, … if already taken.
+ * @param {string} name
+ * @param {Set<string>} used
+ * @returns {string}
+ */
+function uniqueFileName(name, used) {
+  const dot  = name.lastIndexOf(".");
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const ext  = dot > 0 ? name.slice(dot) : "";
+  let candidate = name;
+  let suffix = 2;
+  while (used.has(candidate)) {
+    candidate = `${stem}-${suffix}${ext}`;
+    suffix++;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
 function arrayBufferToBase64(buffer) {
   let binary = "";
   const bytes = new Uint8Array(buffer);
@@ -203,30 +687,16 @@ function arrayBufferToBase64(buffer) {
 }
 
 /**
- * Load JSZip from the extension's bundled copy.
- * @returns {Promise<typeof JSZip>}
- */
-async function loadJSZip() {
-  if (typeof globalThis.JSZip !== "undefined") return globalThis.JSZip;
-  // Dynamically import the bundled build (works in content-script context)
-  const url = chrome.runtime.getURL("lib/jszip.min.js");
-  await import(url);
-  if (typeof globalThis.JSZip === "undefined") {
-    throw new Error("JSZip failed to load from bundled lib/jszip.min.js");
-  }
-  return globalThis.JSZip;
-}
-
-/**
- * Read bundled highlight.js source so each exported HTML file remains
- * self-contained and works offline.
+ * Read a bundled script (highlight.js, KaTeX) so exported HTML files work
+ * offline.
+ * @param {string} path  extension-relative path, e.g. "lib/highlight.min.js"
  * @returns {Promise<string>}
  */
-async function loadHighlightSource() {
-  const url = chrome.runtime.getURL("lib/highlight.min.js");
+async function loadBundledSource(path) {
+  const url = chrome.runtime.getURL(path);
   const resp = await fetch(url);
   if (!resp.ok) {
-    throw new Error(`Failed to load bundled highlight.js (${resp.status})`);
+    throw new Error(`Failed to load bundled ${path} (${resp.status})`);
   }
   return resp.text();
 }
@@ -237,6 +707,22 @@ async function loadHighlightSource() {
  * @typedef {Object} ConvExportRecord
  * @property {import("../schema.js").NormalizedConversation} conversation
  * @property {ImageRecord[]} [images]
+ * @property {import("../attachments.js").AttachmentRecord[]}  [attachments]
+ * @property {import("../sandbox.js").SandboxFileRecord[]}    [sandboxFiles]
+ * @property {import("../attachments.js").AttachmentFailure[]} [attachmentFailures]  – uploads and sandbox files
+ * @property {string|null} [rawPayload]  – untouched /backend-api/conversation body, for the "raw" format
+ * @property {DomShortfall|null} [domShortfall]  – set when DOM extraction saw fewer turns than the API
+ */
+
+/**
+ * A record, or a loader that produces it when packaging reaches it.
+ * @typedef {ConvExportRecord|(() => Promise<ConvExportRecord>)} RecordSource
+ */
+
+/**
+ * @typedef {Object} DomShortfall
+ * @property {number} domCount  – user turns extracted from the page
+ * @property {number} apiCount  – user turns in the API payload
  */
 
 /**
@@ -251,14 +737,58 @@ async function loadHighlightSource() {
  * @property {string} id
  * @property {string} title
  * @property {string} error
+ * @property {import("../request.js").FailureKind} [kind]  – groups the entry in the summary report
+ */
+
+/**
+ * @typedef {Object} ZipVolume
+ * @property {string} fileName  – e.g. "chatgpt-export_2024-05-01_part2.zip"
+ * @property {Blob}   blob
+ */
+
+/**
+ * An archive part being written.
+ * @typedef {Object} Volume
+ * @property {number} part           – 1-based
+ * @property {string} root           – root folder inside the ZIP, also its file name stem
+ * @property {ReturnType<typeof createBlobSink>} sink
+ * @property {import("./zip_stream.js").ZipWriter} zip
+ * @property {number} conversations  – written to this part so far
+ * @property {boolean} hasMath       – {@link MATH_ASSET} is already in this part
+ */
+
+/**
+ * @typedef {Object} PendingFile
+ * @property {string}  path      – relative to the archive root folder
+ * @property {string|ArrayBuffer} data
+ * @property {boolean} compress  – false for already-compressed data such as images
+ */
+
+/**
+ * @typedef {Object} NamingState
+ * @property {Set<string>} usedNames             – base names taken so far
+ * @property {Map<string, IndexEntry>} previous  – conversation id → names it already has in the folder
+ */
+
+/**
+ * What the summary report needs from a record once its files are written.
+ * @typedef {Object} SummaryEntry
+ * @property {string} id
+ * @property {string} title
+ * @property {string} [threadStrategy]
+ * @property {import("../attachments.js").AttachmentFailure[]} attachmentFailures
+ * @property {DomShortfall|null} domShortfall
+ * @property {boolean} hasRaw
  */
 
 /**
  * @typedef {Object} IndexEntry
+ * @property {string}   id
  * @property {string}   title
  * @property {string}   folder
  * @property {string}   baseName
  * @property {string[]} formats
+ * @property {number}   part  – archive part holding the files
  */
 
 /**
@@ -0,0 +1,336 @@
+/**
+ * Streaming ZIP Writer
+ *
+ * Writes a ZIP archive entry by entry into a sink instead of building it in
+ * memory, so an export never holds more than one file's bytes (plus its
+ * compressed copy) at a time. Entries are deflated with the platform
+ * CompressionStream ("deflate-raw") and stored as-is when that does not make
+ * them smaller. ZIP64 records are added automatically once an offset
+ * reaches 4 GiB or the archive reaches 65 535 entries.
+ *
+ * The default sink folds chunks into a Blob every few megabytes; Chrome keeps
+ * large blobs in its blob store (on disk when needed), not in page memory.
+ *
+ * Entry data can be compressed ahead of writing ({@link prepareEntry}) so a
+ * caller can measure a group of files and pick the archive they go into.
+ */
+
+const SIG_LOCAL        = 0x04034b50;
+const SIG_CENTRAL      = 0x02014b50;
+const SIG_EOCD         = 0x06054b50;
+const SIG_ZIP64_EOCD   = 0x06064b50;
+const SIG_ZIP64_LOCATE = 0x07064b50;
+
+const METHOD_STORE   = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8      = 0x0800;
+const VERSION        = 20;   // 2.0: deflate
+const VERSION_ZIP64  = 45;   // 4.5: ZIP64 extensions
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+/** End-of-archive records, with room for the ZIP64 pair. */
+const TRAILER_BYTES = 22 + 56 + 20;
+
+const encoder = new TextEncoder();
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {ZipSink} sink
+ * @returns {ZipWriter}
+ */
+export function createZipWriter(sink) {
+  /** @type {CentralEntry[]} */
+  const entries = [];
+  const { time, date } = dosDateTime(new Date());
+  let offset = 0;
+  let centralBytes = 0;
+  let closed = false;
+
+  async function write(bytes) {
+    await sink.write(bytes);
+    offset += bytes.length;
+  }
+
+  async function addEntry(path, prepared) {
+    if (closed) throw new Error("ZIP archive already closed");
+    const name  = encoder.encode(path);
+    const body  = prepared.body;
+    const entry = {
+      name,
+      method:     prepared.method,
+      crc:        prepared.crc,
+      compSize:   body.length,
+      size:       prepared.size,
+      offset
+    };
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, SIG_LOCAL, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, FLAG_UTF8, true);
+    header.setUint16(8, entry.method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, entry.crc, true);
+    header.setUint32(18, entry.compSize, true);
+    header.setUint32(22, entry.size, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+
+    await write(concatBytes([new Uint8Array(header.buffer), name]));
+    await write(body);
+    entries.push(entry);
+    centralBytes += 46 + name.length + (entry.offset >= MAX_32 ? 12 : 0);
+  }
+
+  return {
+    get bytesWritten() {
+      return offset;
+    },
+
+    /** Size of the archive if it were closed now. */
+    get projectedSize() {
+      return offset + centralBytes + TRAILER_BYTES;
+    },
+
+    async addFile(path, data, opts) {
+      await addEntry(path, await prepareEntry(data, opts));
+    },
+
+    addEntry,
+
+    async close() {
+      if (closed) return;
+      closed = true;
+
+      const cdStart = offset;
+      for (const entry of entries) {
+        await write(centralHeader(entry, time, date));
+      }
+      const cdSize = offset - cdStart;
+
+      // A field equal to its maximum is the "see ZIP64" sentinel, so that
+      // value itself already needs the ZIP64 records.
+      const needsZip64 = entries.length >= MAX_16 || cdStart >= MAX_32 || cdSize >= MAX_32;
+      if (needsZip64) {
+        await write(zip64EndRecords(entries.length, cdStart, cdSize, offset));
+      }
+
+      const eocd = new DataView(new ArrayBuffer(22));
+      eocd.setUint32(0, SIG_EOCD, true);
+      eocd.setUint16(8, Math.min(entries.length, MAX_16), true);
+      eocd.setUint16(10, Math.min(entries.length, MAX_16), true);
+      eocd.setUint32(12, Math.min(cdSize, MAX_32), true);
+      eocd.setUint32(16, Math.min(cdStart, MAX_32), true);
+      await write(new Uint8Array(eocd.buffer));
+      await sink.close?.();
+    }
+  };
+}
+
+/**
+ * Checksum and (unless `compress` is false or it would not help) deflate one
+ * file's data, ready for {@link ZipWriter.addEntry}.
+ *
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @param {{ compress?: boolean }} [opts]  `compress: false` for already-compressed data such as images
+ * @returns {Promise<PreparedEntry>}
+ */
+export async function prepareEntry(data, { compress = true } = {}) {
+  const raw      = toBytes(data);
+  const deflated = compress && raw.length > 0 ? await deflateRaw(raw) : null;
+  const useDeflate = deflated !== null && deflated.length < raw.length;
+  return {
+    method: useDeflate ? METHOD_DEFLATE : METHOD_STORE,
+    crc:    crc32(raw),
+    size:   raw.length,
+    body:   useDeflate ? deflated : raw
+  };
+}
+
+/**
+ * Bytes an entry adds to an archive: local header, data and central record.
+ *
+ * @param {string} path
+ * @param {PreparedEntry} prepared
+ * @returns {number}
+ */
+export function entrySize(path, prepared) {
+  return 30 + 46 + 2 * encoder.encode(path).length + prepared.body.length;
+}
+
+/**
+ * Sink that collects the archive into a Blob, folding pending chunks into it
+ * every `flushBytes` so page memory stays bounded.
+ *
+ * @param {number} [flushBytes]
+ * @returns {ZipSink & { finish: (type?: string) => Blob }}
+ */
+export function createBlobSink(flushBytes = 8 * 1024 * 1024) {
+  let blob    = new Blob([]);
+  let pending = [];
+  let pendingBytes = 0;
+
+  const flush = () => {
+    if (pending.length === 0) return;
+    blob = new Blob([blob, ...pending]);
+    pending = [];
+    pendingBytes = 0;
+  };
+
+  return {
+    write(chunk) {
+      pending.push(chunk);
+      pendingBytes += chunk.length;
+      if (pendingBytes >= flushBytes) flush();
+    },
+    finish(type = "application/zip") {
+      flush();
+      return new Blob([blob], { type });
+    }
+  };
+}
+
+/**
+ * CRC-32 (IEEE) of `bytes`, as an unsigned integer.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  let crc = MAX_32;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ MAX_32) >>> 0;
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ZipSink
+ * @property {(chunk: Uint8Array) => (void|Promise<void>)} write
+ * @property {() => (void|Promise<void>)} [close]  – called once after the end-of-archive record
+ */
+
+/**
+ * @typedef {Object} ZipWriter
+ * @property {number} bytesWritten
+ * @property {number} projectedSize  – bytes written plus the central directory and trailer still to come
+ * @property {(path: string, data: string|ArrayBuffer|Uint8Array, opts?: { compress?: boolean }) => Promise<void>} addFile
+ *   – `compress: false` for already-compressed data such as images
+ * @property {(path: string, prepared: PreparedEntry) => Promise<void>} addEntry
+ * @property {() => Promise<void>} close  – writes the central directory; no entries may follow
+ */
+
+/**
+ * @typedef {Object} PreparedEntry
+ * @property {number}     method  – 0 stored, 8 deflated
+ * @property {number}     crc
+ * @property {number}     size    – uncompressed length
+ * @property {Uint8Array} body    – bytes as written to the archive
+ */
+
+/**
+ * @typedef {Object} CentralEntry
+ * @property {Uint8Array} name
+ * @property {number} method
+ * @property {number} crc
+ * @property {number} compSize
+ * @property {number} size
+ * @property {number} offset   – of the local header
+ */
+
+// ─── Records ──────────────────────────────────────────────────────────────────
+
+/** @param {CentralEntry} entry */
+function centralHeader(entry, time, date) {
+  const zip64 = entry.offset >= MAX_32;
+  const extraLen = zip64 ? 12 : 0;
+  const view = new DataView(new ArrayBuffer(46 + extraLen));
+  view.setUint32(0, SIG_CENTRAL, true);
+  view.setUint16(4, zip64 ? VERSION_ZIP64 : VERSION, true);
+  view.setUint16(6, zip64 ? VERSION_ZIP64 : VERSION, true);
+  view.setUint16(8, FLAG_UTF8, true);
+  view.setUint16(10, entry.method, true);
+  view.setUint16(12, time, true);
+  view.setUint16(14, date, true);
+  view.setUint32(16, entry.crc, true);
+  view.setUint32(20, entry.compSize, true);
+  view.setUint32(24, entry.size, true);
+  view.setUint16(28, entry.name.length, true);
+  view.setUint16(30, extraLen, true);
+  view.setUint32(42, zip64 ? MAX_32 : entry.offset, true);
+  if (zip64) {
+    // ZIP64 extended information: only the header offset overflowed.
+    view.setUint16(46, 0x0001, true);
+    view.setUint16(48, 8, true);
+    view.setBigUint64(50, BigInt(entry.offset), true);
+  }
+  const fixed = new Uint8Array(view.buffer);
+  return concatBytes([fixed.subarray(0, 46), entry.name, fixed.subarray(46)]);
+}
+
+function zip64EndRecords(count, cdStart, cdSize, recordOffset) {
+  const view = new DataView(new ArrayBuffer(56 + 20));
+  view.setUint32(0, SIG_ZIP64_EOCD, true);
+  view.setBigUint64(4, 44n, true);
+  view.setUint16(12, VERSION_ZIP64, true);
+  view.setUint16(14, VERSION_ZIP64, true);
+  view.setBigUint64(24, BigInt(count), true);
+  view.setBigUint64(32, BigInt(count), true);
+  view.setBigUint64(40, BigInt(cdSize), true);
+  view.setBigUint64(48, BigInt(cdStart), true);
+
+  view.setUint32(56, SIG_ZIP64_LOCATE, true);
+  view.setBigUint64(64, BigInt(recordOffset), true);
+  view.setUint32(72, 1, true);
+  return new Uint8Array(view.buffer);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** @param {Uint8Array} bytes @returns {Promise<Uint8Array>} */
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** @param {string|ArrayBuffer|Uint8Array} data */
+function toBytes(data) {
+  if (typeof data === "string") return encoder.encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  throw new TypeError("ZIP entry data must be a string, ArrayBuffer or Uint8Array");
+}
+
+/** @param {Uint8Array[]} parts */
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const part of parts) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
+
+/** MS-DOS time and date fields (local time, 2-second resolution). */
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
@@ -0,0 +1,196 @@
+/**
+ * Export Filter
+ *
+ * Narrows the discovered conversation set by date range, Custom GPT, model
+ * and title. Runs in two passes: listing metadata is checked right after
+ * discovery so non-matching chats are never fetched, and the loaded
+ * conversation is checked again for what the listing does not carry
+ * (models, and everything about chats discovered by id only).
+ *
+ * Filters are plain JSON so they can travel in StartExportPayload and be
+ * persisted in ResumeState.
+ */
+
+const DAY_SECONDS = 86400;
+const DATE_RE     = /^\d{4}-\d{2}-\d{2}$/;
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate a filter and drop empty criteria.
+ *
+ * @param {ExportFilter|null|undefined} raw
+ * @returns {ExportFilter|null}  null when no criterion is set
+ * @throws {Error} on a malformed date or title pattern
+ */
+export function normalizeExportFilter(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const filter = {
+    updatedFrom:  normalizeDate(raw.updatedFrom, "Updated from"),
+    updatedTo:    normalizeDate(raw.updatedTo,   "Updated to"),
+    createdFrom:  normalizeDate(raw.createdFrom, "Created from"),
+    createdTo:    normalizeDate(raw.createdTo,   "Created to"),
+    customGpts:   normalizeList(raw.customGpts),
+    models:       normalizeList(raw.models),
+    titlePattern: typeof raw.titlePattern === "string" ? raw.titlePattern.trim() : ""
+  };
+
+  if (filter.titlePattern) {
+    try {
+      new RegExp(filter.titlePattern, "i");
+    } catch (err) {
+      throw new Error(`Invalid title pattern: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  }
+
+  const isEmpty = !filter.updatedFrom && !filter.updatedTo && !filter.createdFrom && !filter.createdTo &&
+    filter.customGpts.length === 0 && filter.models.length === 0 && !filter.titlePattern;
+  return isEmpty ? null : filter;
+}
+
+/**
+ * First pass: keep the discovered conversations whose listing metadata
+ * matches. Metas without a timestamp (explicit ids, sidebar scrape) carry
+ * no listing metadata and are kept for the second pass.
+ *
+ * @param {import("./discovery.js").ConversationMeta[]} metas
+ * @param {ExportFilter|null} filter
+ * @returns {import("./discovery.js").ConversationMeta[]}
+ */
+export function filterConversationMetas(metas, filter) {
+  if (!filter) return metas;
+  const test = compileFilter(filter);
+  return metas.filter((meta) => meta.updatedAt == null || test({
+    title:         meta.title,
+    updatedAt:     meta.updatedAt,
+    createdAt:     meta.createdAt ?? null,
+    customGptName: meta.customGptName,
+    customGptId:   meta.customGptId ?? null,
+    models:        null
+  }));
+}
+
+/**
+ * Second pass: check a loaded conversation. Listing metadata fills in what
+ * a page-extracted conversation does not know (its timestamps).
+ *
+ * @param {import("./schema.js").NormalizedConversation} conversation
+ * @param {import("./discovery.js").ConversationMeta|null} meta
+ * @param {ExportFilter|null} filter
+ * @returns {boolean}
+ */
+export function matchesExportFilter(conversation, meta, filter) {
+  if (!filter) return true;
+  const fromDom = conversation.threadStrategy === "dom";
+  const models  = [conversation.model, ...conversation.messages.map((m) => m.modelSlug)].filter(Boolean);
+
+  return compileFilter(filter)({
+    title:         conversation.title,
+    updatedAt:     fromDom ? meta?.updatedAt ?? null : conversation.updateTime ?? meta?.updatedAt ?? null,
+    createdAt:     conversation.createTime ?? meta?.createdAt ?? null,
+    customGptName: displayName(conversation) ?? displayName(meta),
+    customGptId:   conversation.customGptId ?? meta?.customGptId ?? null,
+    models:        fromDom ? null : models
+  });
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * Dates are inclusive UTC calendar days ("YYYY-MM-DD"). List criteria match
+ * case-insensitively; a conversation passes when it matches every criterion.
+ *
+ * @typedef {Object} ExportFilter
+ * @property {string}   [updatedFrom]
+ * @property {string}   [updatedTo]
+ * @property {string}   [createdFrom]
+ * @property {string}   [createdTo]
+ * @property {string[]} [customGpts]   – Custom GPT display names or g-… ids
+ * @property {string[]} [models]       – model slugs; any message's model counts
+ * @property {string}   [titlePattern] – case-insensitive regular expression
+ */
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build a predicate over the fields both passes extract. Unknown (null)
+ * dates and models pass; a Custom GPT criterion matches either the name or
+ * the id, and a chat with neither is "not a Custom GPT".
+ *
+ * @param {ExportFilter} filter
+ * @returns {(fields: FilterFields) => boolean}
+ */
+function compileFilter(filter) {
+  const updated = dayRange(filter.updatedFrom, filter.updatedTo);
+  const created = dayRange(filter.createdFrom, filter.createdTo);
+  const gpts    = new Set((filter.customGpts ?? []).map((s) => s.toLowerCase()));
+  const models  = new Set((filter.models ?? []).map((s) => s.toLowerCase()));
+  const title   = filter.titlePattern ? new RegExp(filter.titlePattern, "i") : null;
+
+  const isGpt   = (fields) => [fields.customGptName, fields.customGptId].some((v) => v && gpts.has(v.toLowerCase()));
+
+  return (fields) => {
+    if (!inRange(fields.updatedAt, updated)) return false;
+    if (!inRange(fields.createdAt, created)) return false;
+    if (gpts.size > 0 && !isGpt(fields)) return false;
+    if (models.size > 0 && fields.models && !fields.models.some((m) => models.has(m.toLowerCase()))) return false;
+    if (title && !title.test(fields.title || "")) return false;
+    return true;
+  };
+}
+
+/**
+ * @param {string|undefined} from
+ * @param {string|undefined} to
+ * @returns {{ start: number, end: number }|null}  Unix seconds, end exclusive
+ */
+function dayRange(from, to) {
+  if (!from && !to) return null;
+  return {
+    start: from ? Date.parse(`${from}T00:00:00Z`) / 1000 : -Infinity,
+    end:   to   ? Date.parse(`${to}T00:00:00Z`) / 1000 + DAY_SECONDS : Infinity
+  };
+}
+
+function inRange(value, range) {
+  return !range || value == null || (value >= range.start && value < range.end);
+}
+
+/**
+ * The Custom GPT's display name, unless only its id was known (listings and
+ * payloads fall back to the id), so a name from the other source wins.
+ *
+ * @param {{ customGptName?: string|null, customGptId?: string|null }|null} source
+ * @returns {string|null}
+ */
+function displayName(source) {
+  const name = source?.customGptName;
+  return name && name !== source.customGptId ? name : null;
+}
+
+// ─── Normalisation ────────────────────────────────────────────────────────────
+
+function normalizeDate(value, label) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) return "";
+  if (!DATE_RE.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+    throw new Error(`${label} must be a date (YYYY-MM-DD), got "${text}"`);
+  }
+  return text;
+}
+
+function normalizeList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return items.map((s) => String(s).trim()).filter(Boolean);
+}
+
+/**
+ * @typedef {Object} FilterFields
+ * @property {string}        title
+ * @property {number|null}   updatedAt
+ * @property {number|null}   createdAt
+ * @property {string|null}   customGptName
+ * @property {string|null}   customGptId
+ * @property {string[]|null} models  – null when unknown
+ */
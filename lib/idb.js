@@ -0,0 +1,44 @@
+/**
+ * IndexedDB Helpers
+ *
+ * Thin promise wrappers shared by the modules that cache data in IndexedDB:
+ * the search index (chatgpt.com origin, opened from the picker), the
+ * completed-export store (extension origin, opened by the offscreen runner)
+ * and the remembered export folder handle.
+ * Every caller treats the database as optional: when IndexedDB is missing
+ * or refuses to open, `openDatabase` resolves null and callers fall back to
+ * memory.
+ */
+
+import { logger } from "./logger.js";
+
+/**
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase) => void} upgrade  creates object stores on first open / version bump
+ * @returns {Promise<IDBDatabase|null>}
+ */
+export function openDatabase(name, version, upgrade) {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = () => upgrade(req.result);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => {
+      logger.warn(`IndexedDB "${name}" unavailable`, req.error);
+      resolve(null);
+    };
+  });
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} req
+ * @returns {Promise<T>}
+ */
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
@@ -2,42 +2,53 @@
  * Image Asset Fetcher
  *
  * Fetches image assets embedded in ChatGPT conversations.
- * Runs in the content-script context so auth cookies are sent automatically.
+ * Requests go through lib/request.js with the user's chatgpt.com cookies.
  *
  * ChatGPT stores uploaded images in file-service.openai.com;
  * generated images are served inline as data URIs in some models.
+ *
+ * `blob:` URLs captured by DOM extraction belong to the chatgpt.com tab.
+ * When they cannot be fetched here, the runner reads them back from the
+ * rendered page ({@link readBlobImageFromDom}, run as a page task).
  */
 
 import { logger } from "./logger.js";
+import { collectMessages } from "./schema.js";
+import { request } from "./request.js";
+import { runPool } from "./pool.js";
 
 /**
- * Fetch all images referenced in a conversation's messages.
+ * Fetch all images referenced in a conversation's messages, up to
+ * `concurrency` at a time. Records keep the order the images appear in.
  *
  * @param {import("./schema.js").NormalizedConversation} conversation
+ * @param {number} [concurrency]
+ * @param {PageImageReader|null} [readFromPage]  recovers `blob:` images from the chat tab
  * @returns {Promise<ImageRecord[]>}
  */
-export async function fetchConversationImages(conversation) {
-  const images = [];
-  const seen   = new Set();
+export async function fetchConversationImages(conversation, concurrency = 1, readFromPage = null) {
+  const parts = [];
+  const seen  = new Set();
 
-  const messages = Array.isArray(conversation.messages) ? conversation.messages : [];
-  for (const msg of messages) {
-    const parts = Array.isArray(msg.parts) ? msg.parts : [];
-    for (const part of parts) {
+  for (const msg of collectMessages(conversation)) {
+    const msgParts = Array.isArray(msg.parts) ? msg.parts : [];
+    for (const part of msgParts) {
       if (part.type !== "image") continue;
       if (seen.has(part.assetId)) continue;
       seen.add(part.assetId);
-
-      try {
-        const record = await fetchImageAsset(part.assetId, part.mimeType);
-        if (record) images.push(record);
-      } catch (err) {
-        logger.warn("Failed to fetch image", part.assetId, err);
-      }
+      parts.push(part);
     }
   }
 
-  return images;
+  const images = await runPool(parts, concurrency, async (part) => {
+    try {
+      return await fetchImageAsset(part.assetId, part.mimeType, readFromPage);
+    } catch (err) {
+      logger.warn("Failed to fetch image", part.assetId, err);
+      return null;
+    }
+  });
+  return images.filter(Boolean);
 }
 
 /**
@@ -46,20 +57,21 @@ export async function fetchConversationImages(conversation) {
  *
  * @param {string} assetId
  * @param {string} [mimeType]
+ * @param {PageImageReader|null} [readFromPage]
  * @returns {Promise<ImageRecord|null>}
  */
-async function fetchImageAsset(assetId, mimeType = "image/png") {
+async function fetchImageAsset(assetId, mimeType = "image/png", readFromPage = null) {
   // Handle inline data URIs (common in DOM fallback and some generated images).
   if (assetId.startsWith("data:")) {
     return decodeDataUriAsset(assetId);
   }
 
   // Blob URLs often come from in-page rendered assets and may not be fetchable
-  // directly from extension context. Try fetch first, then DOM extraction.
+  // directly from extension context. Try fetch first, then the page.
   if (assetId.startsWith("blob:")) {
     const fetched = await fetchImageFromUrl(assetId, mimeType);
     if (fetched) return fetched;
-    return extractBlobImageFromDom(assetId, mimeType);
+    return readBlobImageThroughPage(assetId, mimeType, readFromPage);
   }
 
   // Handle direct http(s) image URLs captured from the DOM.
@@ -74,14 +86,9 @@ async function fetchImageAsset(assetId, mimeType = "image/png") {
 
   let resp;
   try {
-    resp = await fetch(url, { credentials: "include" });
-  } catch {
-    logger.warn("Image fetch network error for", url);
-    return null;
-  }
-
-  if (!resp.ok) {
-    logger.warn("Image HTTP error", resp.status, "for", url);
+    resp = await request(url, {}, { label: "Image download" });
+  } catch (err) {
+    logger.warn("Image fetch failed for", url, err);
     return null;
   }
 
@@ -98,16 +105,12 @@ async function fetchImageAsset(assetId, mimeType = "image/png") {
  * @returns {Promise<ImageRecord|null>}
  */
 async function fetchImageFromUrl(url, fallbackMimeType) {
+  // A blob: URL that fails once will not recover; the DOM fallback takes over.
   let resp;
   try {
-    resp = await fetch(url, { credentials: "include" });
-  } catch {
-    logger.warn("Image fetch network error for", url);
-    return null;
-  }
-
-  if (!resp.ok) {
-    logger.warn("Image HTTP error", resp.status, "for", url);
+    resp = await request(url, {}, { label: "Image download", retries: url.startsWith("blob:") ? 0 : undefined });
+  } catch (err) {
+    logger.warn("Image fetch failed for", url, err);
     return null;
   }
 
@@ -170,14 +173,40 @@ function inferMimeTypeFromUrl(url) {
 }
 
 /**
- * Attempt to recover blob URL images directly from rendered DOM nodes.
- * This avoids extension-context blob fetch limitations.
+ * Ask the chat tab for a `blob:` image and decode its answer.
  *
  * @param {string} blobUrl
- * @param {string} fallbackMimeType
+ * @param {string} mimeType
+ * @param {PageImageReader|null} readFromPage
  * @returns {Promise<ImageRecord|null>}
  */
-async function extractBlobImageFromDom(blobUrl, fallbackMimeType) {
+async function readBlobImageThroughPage(blobUrl, mimeType, readFromPage) {
+  if (!readFromPage) {
+    logger.warn("Blob image is not fetchable and no ChatGPT tab can read it", blobUrl);
+    return null;
+  }
+  let dataUri;
+  try {
+    dataUri = await readFromPage(blobUrl, mimeType);
+  } catch (err) {
+    logger.warn("ChatGPT tab could not read blob image", blobUrl, err);
+    return null;
+  }
+  const record = dataUri ? decodeDataUriAsset(dataUri) : null;
+  return record && { ...record, assetId: blobUrl };
+}
+
+/**
+ * Recover a blob URL image from the rendered DOM nodes by drawing it to a
+ * canvas. Runs in the chatgpt.com tab (PageTask.IMAGE), which owns the blob
+ * URL. The bytes come back as a data URI because page task answers are
+ * JSON-serialized.
+ *
+ * @param {string} blobUrl
+ * @param {string} [fallbackMimeType]
+ * @returns {Promise<string|null>}  data URI, or null when the image is not on the page
+ */
+export async function readBlobImageFromDom(blobUrl, fallbackMimeType = "image/png") {
   const imgs = Array.from(document.querySelectorAll("img[src], img"));
   const img = imgs.find((node) => node.currentSrc === blobUrl || node.src === blobUrl);
   if (!img) {
@@ -207,28 +236,11 @@ async function extractBlobImageFromDom(blobUrl, fallbackMimeType) {
 
   try {
     ctx.drawImage(img, 0, 0, width, height);
+    return canvas.toDataURL(fallbackMimeType);
   } catch (err) {
     logger.warn("Failed to draw blob image to canvas", err);
     return null;
   }
-
-  const blob = await canvasToBlob(canvas, fallbackMimeType || "image/png");
-  if (!blob) {
-    logger.warn("Failed to convert canvas to blob for", blobUrl);
-    return null;
-  }
-  const bytes = await blob.arrayBuffer();
-  return {
-    assetId: blobUrl,
-    bytes,
-    mimeType: blob.type || fallbackMimeType || "image/png"
-  };
-}
-
-function canvasToBlob(canvas, mimeType) {
-  return new Promise((resolve) => {
-    canvas.toBlob((blob) => resolve(blob), mimeType);
-  });
 }
 
 function waitForImageLoad(img, timeoutMs) {
@@ -255,3 +267,12 @@ function waitForImageLoad(img, timeoutMs) {
  * @property {ArrayBuffer}  bytes
  * @property {string}       mimeType
  */
+
+/**
+ * Reads a `blob:` image from the chat tab; resolves to a data URI or null.
+ *
+ * @callback PageImageReader
+ * @param {string} blobUrl
+ * @param {string} mimeType
+ * @returns {Promise<string|null>}
+ */
@@ -0,0 +1,173 @@
+/**
+ * Export Ledger
+ *
+ * Remembers what the last successful export contained (conversation id →
+ * update time, content hash and title) so an "Only new or changed" export
+ * can skip unchanged chats and report what was added, updated or deleted
+ * since then. The ledger itself is persisted by the service worker; these
+ * helpers are pure so the content script and tests can share them.
+ */
+
+export const LEDGER_SCHEMA_VERSION = 1;
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Coerce a stored value into a ledger, starting empty when missing or from
+ * an unknown schema version.
+ *
+ * @param {*} raw
+ * @returns {ExportLedger}
+ */
+export function normalizeLedger(raw) {
+  if (!raw || typeof raw !== "object" || raw.schemaVersion !== LEDGER_SCHEMA_VERSION) {
+    return { schemaVersion: LEDGER_SCHEMA_VERSION, exportedAt: null, entries: {} };
+  }
+  return {
+    schemaVersion: LEDGER_SCHEMA_VERSION,
+    exportedAt:    typeof raw.exportedAt === "number" ? raw.exportedAt : null,
+    entries:       raw.entries && typeof raw.entries === "object" ? raw.entries : {}
+  };
+}
+
+/**
+ * SHA-256 over the parts of a normalized conversation that end up in the
+ * export, so a bumped `update_time` with identical content is not re-exported.
+ *
+ * @param {import("./schema.js").NormalizedConversation} conversation
+ * @returns {Promise<string>}  hex digest
+ */
+export async function hashConversation(conversation) {
+  const text   = JSON.stringify([conversation.title, conversation.messages, conversation.tree]);
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Keep the discovered conversations that are new or updated since the last
+ * export. Metas without `updatedAt` cannot be compared and are kept; the
+ * content hash decides for those once loaded.
+ *
+ * @param {import("./discovery.js").ConversationMeta[]} metas
+ * @param {ExportLedger} ledger
+ * @returns {import("./discovery.js").ConversationMeta[]}
+ */
+export function selectChangedMetas(metas, ledger) {
+  return metas.filter((meta) => {
+    const entry = ledger.entries[meta.id];
+    return !entry || meta.updatedAt == null || entry.updateTime == null || meta.updatedAt > entry.updateTime;
+  });
+}
+
+/**
+ * Ledger entries whose conversation is missing from a complete account
+ * listing. Returns nothing for an empty listing, which more likely means
+ * discovery failed than that every chat was deleted.
+ *
+ * @param {ExportLedger} ledger
+ * @param {import("./discovery.js").ConversationMeta[]} listing  unfiltered full-scope discovery
+ * @returns {LedgerChange[]}
+ */
+export function findDeletedEntries(ledger, listing) {
+  if (listing.length === 0) return [];
+  const present = new Set(listing.map((m) => m.id));
+  return Object.entries(ledger.entries)
+    .filter(([id]) => !present.has(id))
+    .map(([id, entry]) => ({ id, title: entry.title ?? "", updateTime: entry.updateTime ?? null }));
+}
+
+/**
+ * Describe this export relative to the previous ledger: the exported chats
+ * split into added and updated, plus the deletions found during discovery.
+ *
+ * @param {ExportLedger} ledger  the ledger as it was before this run
+ * @param {{ conversation: ExportedConversation }[]} records  export records, or just their identifying fields
+ * @param {LedgerChange[]} deleted
+ * @returns {ChangeSet}
+ */
+export function buildChangeSet(ledger, records, deleted) {
+  /** @type {ChangeSet} */
+  const changes = { previousExportAt: ledger.exportedAt, added: [], updated: [], deleted };
+  for (const { conversation } of records) {
+    const previous = ledger.entries[conversation.id];
+    const change   = { id: conversation.id, title: conversation.title, updateTime: conversation.updateTime ?? null };
+    if (previous) {
+      changes.updated.push({ ...change, previousUpdateTime: previous.updateTime ?? null });
+    } else {
+      changes.added.push(change);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Fold this run's entries into the ledger and drop deleted conversations.
+ *
+ * @param {ExportLedger} ledger
+ * @param {Map<string, LedgerEntry>} entries
+ * @param {string[]} [deletedIds]
+ * @returns {ExportLedger}  a new ledger; the input is not modified
+ */
+export function updateLedger(ledger, entries, deletedIds = []) {
+  const next = { ...ledger.entries, ...Object.fromEntries(entries) };
+  for (const id of deletedIds) delete next[id];
+  return { schemaVersion: LEDGER_SCHEMA_VERSION, exportedAt: Date.now(), entries: next };
+}
+
+/**
+ * Serialize a change set as `changes.json` (snake_case like the JSON exporter).
+ *
+ * @param {ChangeSet} changes
+ * @returns {string}
+ */
+export function renderChangesJson(changes) {
+  const toIso   = (ms) => (ms == null ? null : new Date(ms).toISOString());
+  const toEntry = (c) => ({ id: c.id, title: c.title, update_time: c.updateTime });
+  return JSON.stringify({
+    generated_at:       new Date().toISOString(),
+    previous_export_at: toIso(changes.previousExportAt),
+    added:   changes.added.map(toEntry),
+    updated: changes.updated.map((c) => ({ ...toEntry(c), previous_update_time: c.previousUpdateTime })),
+    deleted: changes.deleted.map(toEntry)
+  }, null, 2);
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} ExportLedger
+ * @property {number}      schemaVersion
+ * @property {number|null} exportedAt  – ms timestamp of the last successful export
+ * @property {Record<string, LedgerEntry>} entries
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {number|null} updateTime  – Unix seconds, as listed at export time
+ * @property {string}      hash        – {@link hashConversation} digest
+ * @property {string}      title
+ */
+
+/**
+ * The fields of an exported conversation that the change set reports.
+ * @typedef {Object} ExportedConversation
+ * @property {string}      id
+ * @property {string}      title
+ * @property {number|null} [updateTime]
+ */
+
+/**
+ * @typedef {Object} LedgerChange
+ * @property {string}      id
+ * @property {string}      title
+ * @property {number|null} updateTime
+ * @property {number|null} [previousUpdateTime]  – updated entries only
+ */
+
+/**
+ * @typedef {Object} ChangeSet
+ * @property {number|null}    previousExportAt
+ * @property {LedgerChange[]} added
+ * @property {LedgerChange[]} updated
+ * @property {LedgerChange[]} deleted
+ */
@@ -1,7 +1,8 @@
 /**
  * Typed message contract for all chrome.runtime.sendMessage calls.
  * All message types are centralized here to prevent typos and enable
- * consistent handling across popup, service worker, and content script.
+ * consistent handling across popup, service worker, offscreen document
+ * and content script.
  */
 
 /** @enum {string} */
@@ -18,21 +19,44 @@ export const MsgType = {
   CANCEL_EXPORT: "CANCEL_EXPORT",
   GET_RESUME_STATE: "GET_RESUME_STATE",
 
-  // Export execution (service worker -> content script)
+  // Export ledger and resume state (offscreen -> service worker)
+  GET_LEDGER: "GET_LEDGER",
+  SAVE_LEDGER: "SAVE_LEDGER",
+  CLEAR_RESUME_STATE: "CLEAR_RESUME_STATE",
+
+  // Export execution (service worker -> offscreen document)
   RUN_EXPORT: "RUN_EXPORT",
   STOP_EXPORT: "STOP_EXPORT",
+
+  // Page access (offscreen -> service worker -> content script)
+  PAGE_TASK: "PAGE_TASK",
   CONTENT_SCRIPT_READY: "CONTENT_SCRIPT_READY",
   PAGE_CONTEXT_STATUS: "PAGE_CONTEXT_STATUS",
 
-  // Download trigger (content script -> service worker)
+  // Download trigger (offscreen -> service worker)
   TRIGGER_DOWNLOAD: "TRIGGER_DOWNLOAD",
 
-  // Progress events (content script -> service worker -> popup)
+  // Progress events (offscreen -> service worker -> popup)
   EXPORT_PROGRESS: "EXPORT_PROGRESS",
   EXPORT_COMPLETE: "EXPORT_COMPLETE",
   EXPORT_ERROR: "EXPORT_ERROR",
 };
 
+/**
+ * DOM-dependent steps the offscreen pipeline asks the chatgpt.com tab to do.
+ * @enum {string}
+ */
+export const PageTask = {
+  CONTEXT:  "context",   // → { conversationId: string|null } from the tab URL
+  SELECT:   "select",    // open the Selected Chats picker → string[]
+  EXTRACT:  "extract",   // { id } → NormalizedConversation read from the rendered chat, navigating if needed
+  NAVIGATE: "navigate",  // { id } → open that chat in the tab
+  IMAGE:    "image"      // { url, mimeType } → data URI of a blob: image drawn from the page, or null
+};
+
+/** `target` of messages meant for the offscreen document only. */
+export const OFFSCREEN_TARGET = "offscreen";
+
 /**
  * @typedef {Object} HealthCheckResponse
  * @property {boolean} ok
@@ -44,22 +68,42 @@ export const MsgType = {
  * @typedef {Object} Preferences
  * @property {string[]} defaultFormats  - e.g. ["html","markdown"]
  * @property {string}   namingTemplate  - e.g. "{date}_{title}"
+ * @property {number}   [concurrency]   - conversations / images fetched in parallel (1–6, default 3)
+ * @property {number}   [maxArchiveMb]  - split the export into ZIP parts of at most this size (0 = one ZIP; minimum 50)
+ * @property {ExportDestination} [destination] - pre-selected destination (default "zip")
  */
 
 /**
  * @typedef {"current"|"selected"|"full"} ExportScope
  */
 
+/**
+ * "zip" downloads the archive; "folder" writes into the folder picked in
+ * popup/folder.html (lib/export_folder.js).
+ * @typedef {"zip"|"folder"} ExportDestination
+ */
+
 /**
  * @typedef {Object} StartExportPayload
  * @property {ExportScope} scope
- * @property {string[]}    formats       - subset of ["html","markdown","json"]
+ * @property {string[]}    formats       - subset of ["html","markdown","json","raw"]
  * @property {string[]}    [conversationIds] - required when scope === "selected"
+ * @property {ExportOptions} [options]
+ * @property {import("./filter.js").ExportFilter|null} [filter] - narrows the discovered set; see lib/filter.js
+ * @property {boolean}     [incremental] - only conversations new or changed since the last export (lib/ledger.js)
+ * @property {boolean}     [resume]      - continue the interrupted export in resumeState instead of starting over
+ * @property {ExportDestination} [destination] - default "zip"
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {boolean} [includeBranches] - keep every edit/regeneration branch, not just the linear thread
+ * @property {boolean} [includeReasoning] - keep reasoning-model "thinking" segments
  */
 
 /**
  * @typedef {Object} ProgressPayload
- * @property {"init"|"discovering"|"exporting"|"packaging"|"done"|"error"} phase
+ * @property {"init"|"discovering"|"exporting"|"packaging"|"writing"|"done"|"error"} phase
  * @property {number}       completed
  * @property {number}       total
  * @property {number|null}  etaSeconds
@@ -72,8 +116,35 @@ export const MsgType = {
  * @property {string}   exportId
  * @property {ExportScope} scope
  * @property {string[]} formats
+ * @property {ExportOptions} [options]
+ * @property {import("./filter.js").ExportFilter|null} [filter] - re-applied on resume
+ * @property {boolean}  [incremental]
+ * @property {ExportDestination} [destination]
  * @property {"started"|"in_progress"|"done"|"cancelled"} status
  * @property {number}   startedAt
  * @property {string[]} [allIds]      - full list discovered during this run
  * @property {string[]} [completedIds]
  */
+
+/**
+ * @typedef {Object} RunExportMessage
+ * @property {"RUN_EXPORT"} type
+ * @property {"offscreen"}  target
+ * @property {number}       tabId    - chatgpt.com tab used for DOM steps
+ * @property {StartExportPayload} payload
+ */
+
+/**
+ * @typedef {Object} PageTaskMessage
+ * @property {"PAGE_TASK"} type
+ * @property {number}      [tabId]  - set by the offscreen document; the service worker relays to that tab
+ * @property {PageTask}    task
+ * @property {Object}      [args]
+ */
+
+/**
+ * @typedef {Object} PageTaskResponse
+ * @property {boolean} ok
+ * @property {*}       [result]
+ * @property {string}  [error]
+ */
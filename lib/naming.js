@@ -80,15 +80,60 @@ export function formatDate(unixSeconds) {
 }
 
 /**
- * Determine whether a conversation belongs to a Custom GPT and return
- * the folder path prefix for it.
+ * Format a Unix-seconds timestamp as "YYYY-MM-DD HH:MM UTC".
+ * UTC keeps exported files identical regardless of the exporting machine.
+ * @param {number|null} unixSeconds
+ * @returns {string}  empty string when the timestamp is unknown
+ */
+export function formatDateTime(unixSeconds) {
+  if (unixSeconds == null) return "";
+  const iso = new Date(unixSeconds * 1000).toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+/**
+ * Return the folder path prefix for a conversation: its project, the
+ * archive, its Custom GPT, or the regular chats folder, in that order.
  *
  * @param {import("./schema.js").NormalizedConversation} conversation
- * @returns {string}  e.g. "custom-gpts/MyGPT/" or "chats/"
+ * @returns {string}  e.g. "projects/my-project/", "archived/", "custom-gpts/MyGPT/" or "chats/"
  */
 export function getFolderPrefix(conversation) {
+  if (conversation.source === "project") {
+    return `projects/${slugify(conversation.projectName || "untitled-project")}/`;
+  }
+  if (conversation.source === "archived") {
+    return "archived/";
+  }
   if (conversation.customGptName) {
     return `custom-gpts/${slugify(conversation.customGptName)}/`;
   }
   return "chats/";
 }
+
+/**
+ * Relative path from a file inside `folderPrefix` back to the export root.
+ *
+ * @param {string} folderPrefix  e.g. "chats/" or "custom-gpts/my-gpt/"
+ * @returns {string}  e.g. "../" or "../../"
+ */
+export function pathToRoot(folderPrefix) {
+  const depth = String(folderPrefix).split("/").filter(Boolean).length;
+  return "../".repeat(depth);
+}
+
+/**
+ * Make a user-supplied file name safe to use as a single ZIP path segment
+ * while keeping it recognisable (case, spaces and extension are preserved).
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function sanitizeFileName(name) {
+  const cleaned = String(name)
+    .replace(/[\u0000-\u001f\u007f]/g, "")   // control characters
+    .replace(/[\\/:*?"<>|]/g, "_")            // path separators and reserved chars
+    .replace(/^[.\s]+|[.\s]+$/g, "")          // no hidden files or trailing dots
+    .slice(0, 120);
+  return cleaned || "file";
+}
@@ -0,0 +1,51 @@
+/**
+ * Page Bridge
+ *
+ * The export pipeline runs in the offscreen document, which has no access
+ * to the chatgpt.com page. The few steps that need the page's DOM (reading
+ * the open chat and its blob: images, the Selected Chats picker, navigation
+ * fallback) are sent as PAGE_TASK messages; the service worker relays them
+ * to the tab's content script and re-injects it if the tab was reloaded
+ * meanwhile.
+ */
+
+import { MsgType, PageTask } from "./messages.js";
+
+/**
+ * @param {number} tabId  the chatgpt.com tab the export was started from
+ * @returns {PageBridge}
+ */
+export function createPageBridge(tabId) {
+  /**
+   * @param {import("./messages.js").PageTask} task
+   * @param {Object} [args]
+   */
+  async function run(task, args = {}) {
+    /** @type {import("./messages.js").PageTaskResponse|undefined} */
+    const resp = await chrome.runtime.sendMessage({ type: MsgType.PAGE_TASK, tabId, task, args });
+    if (!resp?.ok) {
+      throw new Error(resp?.error || `ChatGPT tab did not answer page task "${task}"`);
+    }
+    return resp.result;
+  }
+
+  return {
+    tabId,
+    currentConversationId: async () => (await run(PageTask.CONTEXT)).conversationId ?? null,
+    selectConversations:   () => run(PageTask.SELECT),
+    extractConversation:   (id) => run(PageTask.EXTRACT, { id }),
+    navigateTo:            (id) => run(PageTask.NAVIGATE, { id }),
+    readImage:             (url, mimeType) => run(PageTask.IMAGE, { url, mimeType })
+  };
+}
+
+/**
+ * @typedef {Object} PageBridge
+ * @property {number} tabId
+ * @property {() => Promise<string|null>} currentConversationId  – chat open in the tab, from its URL
+ * @property {() => Promise<string[]>}    selectConversations    – ids picked in the in-page selector
+ * @property {(id: string) => Promise<import("./schema.js").NormalizedConversation>} extractConversation
+ *   – read a chat from the rendered page, navigating the tab to it first if needed
+ * @property {(id: string) => Promise<void>} navigateTo
+ * @property {import("./images.js").PageImageReader} readImage  – a blob: image from the open chat, as a data URI
+ */
@@ -0,0 +1,77 @@
+/**
+ * Bounded Worker Pool
+ *
+ * Runs async work over a list with a fixed number of calls in flight. Used
+ * for conversation and image fetches; request pacing and 429 pauses still
+ * come from the shared limiter in request.js, so more workers never means
+ * more than the backend allows.
+ */
+
+export const MIN_CONCURRENCY     = 1;
+export const MAX_CONCURRENCY     = 6;
+export const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Run `worker` over `items` with at most `concurrency` calls in flight.
+ *
+ * Results keep the input order whatever order the calls finish in. The first
+ * rejection stops new items from starting and is rethrown once the calls
+ * already in flight have settled; a cancelled token stops new items the
+ * same way and leaves their result slots `undefined`.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @param {{ cancelled: boolean }} [token]
+ * @returns {Promise<R[]>}
+ */
+export async function runPool(items, concurrency, worker, token = { cancelled: false }) {
+  const results = new Array(items.length).fill(undefined);
+  let next    = 0;
+  let failure = null;
+
+  async function lane() {
+    while (next < items.length && !failure && !token.cancelled) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (err) {
+        failure ??= { err };
+      }
+    }
+  }
+
+  const lanes = Math.min(items.length, clampConcurrency(concurrency));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  if (failure) throw failure.err;
+  return results;
+}
+
+/**
+ * Coerce a stored or user-entered worker count into the supported range.
+ *
+ * @param {unknown} value
+ * @param {number} [fallback]
+ * @returns {number}
+ */
+export function clampConcurrency(value, fallback = DEFAULT_CONCURRENCY) {
+  const n = value == null || value === "" ? NaN : Math.floor(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(MAX_CONCURRENCY, Math.max(MIN_CONCURRENCY, n));
+}
+
+/**
+ * Serialize sections that must not overlap, e.g. navigating the page to a
+ * chat and reading its DOM while other workers keep fetching over the API.
+ *
+ * @returns {<R>(fn: () => Promise<R>) => Promise<R>}
+ */
+export function createLock() {
+  let tail = Promise.resolve();
+  return (fn) => {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Request Layer
+ *
+ * Every backend and file download request goes through `request()`:
+ *   - retries network errors, 429 and 5xx with jittered exponential backoff
+ *   - honours `Retry-After` (seconds or HTTP date) on 429/503
+ *   - paces chatgpt.com/backend-api calls through one global rate limiter;
+ *     a 429 pauses the limiter so concurrent callers back off together
+ *   - turns final failures into typed errors the summary report can group
+ *
+ * Requests are sent with `credentials: "include"`, so the user's chatgpt.com
+ * session applies both in the offscreen export runner (via the host
+ * permission) and in the content script.
+ */
+
+import { logger } from "./logger.js";
+
+const BACKEND_PREFIX = "https://chatgpt.com/backend-api/";
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const settings = {
+  retries:         4,
+  baseDelayMs:     1000,
+  maxDelayMs:      30000,
+  maxRetryAfterMs: 120000,
+  minIntervalMs:   200    // at most 5 backend-api request starts per second
+};
+
+/** Global limiter state: next free start slot and any 429-imposed pause. */
+const limiter = { nextSlot: 0, pausedUntil: 0 };
+
+// ─── Error Classes ───────────────────────────────────────────────────────────
+
+/** A request that failed for good (after any retries). */
+export class RequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number|null, url?: string, cause?: unknown }} [details]
+   */
+  constructor(message, { status = null, url = "", cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name   = "RequestError";
+    this.status = status;
+    this.url    = url;
+  }
+}
+
+/** 401: the ChatGPT session is gone; retrying will not help. */
+export class AuthExpiredError extends RequestError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AuthExpiredError";
+  }
+}
+
+/**
+ * 403: this one resource is off limits (a chat shared without access, a
+ * file from another workspace). The session itself still works.
+ */
+export class ForbiddenError extends RequestError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ForbiddenError";
+  }
+}
+
+/** 429 persisted through every retry. */
+export class RateLimitedError extends RequestError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RateLimitedError";
+  }
+}
+
+/** 404/410: the conversation or file no longer exists. */
+export class NotFoundError extends RequestError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "NotFoundError";
+  }
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Fetch with retries and rate limiting; resolves only with an ok response.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @param {RequestOptions} [opts]
+ * @returns {Promise<Response>}
+ * @throws {RequestError} (or a subclass) once retries are exhausted
+ */
+export async function request(url, init = {}, opts = {}) {
+  const label   = opts.label || describeUrl(url);
+  const retries = opts.retries ?? settings.retries;
+  const paced   = url.startsWith(BACKEND_PREFIX);
+
+  for (let attempt = 0; ; attempt++) {
+    if (paced) await acquireSlot();
+
+    let resp;
+    try {
+      resp = await fetch(url, { credentials: "include", ...init });
+    } catch (err) {
+      if (attempt >= retries) {
+        throw new RequestError(`${label} network error: ${err instanceof Error ? err.message : String(err)}`,
+          { url, cause: err });
+      }
+      await backoff(label, attempt, null, "network error");
+      continue;
+    }
+
+    if (resp.ok) return resp;
+
+    const status = resp.status;
+    const message = `${label} returned ${status}`;
+    if (status === 401) throw new AuthExpiredError(message, { status, url });
+    if (status === 403) throw new ForbiddenError(message, { status, url });
+    if (status === 404 || status === 410) throw new NotFoundError(message, { status, url });
+    if (!RETRYABLE_STATUS.has(status)) throw new RequestError(message, { status, url });
+
+    const retryAfterMs = parseRetryAfter(resp.headers?.get?.("retry-after"));
+    if (status === 429 && paced) {
+      limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + (retryAfterMs ?? backoffDelay(attempt)));
+    }
+    if (attempt >= retries) {
+      throw status === 429
+        ? new RateLimitedError(`${message} (rate limited after ${attempt + 1} attempts)`, { status, url })
+        : new RequestError(message, { status, url });
+    }
+    await backoff(label, attempt, retryAfterMs, status);
+  }
+}
+
+/**
+ * {@link request} and parse the body as JSON.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @param {RequestOptions} [opts]
+ * @returns {Promise<*>}
+ */
+export async function requestJson(url, init = {}, opts = {}) {
+  const resp = await request(url, init, opts);
+  return resp.json();
+}
+
+/**
+ * Short failure category for grouping in the summary report.
+ *
+ * @param {unknown} err
+ * @returns {FailureKind}
+ */
+export function classifyError(err) {
+  if (err instanceof AuthExpiredError) return "auth_expired";
+  if (err instanceof ForbiddenError)   return "forbidden";
+  if (err instanceof RateLimitedError) return "rate_limited";
+  if (err instanceof NotFoundError)    return "not_found";
+  if (err instanceof RequestError)     return err.status == null ? "network" : "http";
+  return "other";
+}
+
+/**
+ * Override retry and pacing settings (tests, or a future settings screen).
+ * @param {Partial<typeof settings>} overrides
+ */
+export function configureRequests(overrides) {
+  Object.assign(settings, overrides);
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [label]    – names the endpoint in errors, e.g. "Conversation API"
+ * @property {number} [retries]  – retry budget after the first attempt (default 4)
+ */
+
+/**
+ * @typedef {"auth_expired"|"forbidden"|"rate_limited"|"not_found"|"network"|"http"|"other"} FailureKind
+ */
+
+// ─── Backoff & Rate Limiting ──────────────────────────────────────────────────
+
+/**
+ * Reserve the next start slot synchronously, then wait for it, so
+ * concurrent callers queue up instead of firing together.
+ */
+async function acquireSlot() {
+  const now   = Date.now();
+  const start = Math.max(now, limiter.nextSlot, limiter.pausedUntil);
+  limiter.nextSlot = start + settings.minIntervalMs;
+  if (start > now) await sleep(start - now);
+}
+
+/** Exponential delay with "equal jitter": half fixed, half random. */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+async function backoff(label, attempt, retryAfterMs, reason) {
+  const delay = retryAfterMs ?? backoffDelay(attempt);
+  logger.warn(`${label}: ${reason}; retry ${attempt + 1} in ${Math.round(delay)}ms`);
+  await sleep(delay);
+}
+
+/**
+ * @param {string|null|undefined} header  delta-seconds or an HTTP date
+ * @returns {number|null}  ms to wait, capped; null when absent or unparseable
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  if (!Number.isFinite(ms)) return null;
+  return Math.min(settings.maxRetryAfterMs, Math.max(0, ms));
+}
+
+function describeUrl(url) {
+  try {
+    const { host, pathname } = new URL(url);
+    return `${host}${pathname.length > 40 ? `${pathname.slice(0, 40)}…` : pathname}`;
+  } catch {
+    return "Request";
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
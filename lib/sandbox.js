@@ -0,0 +1,135 @@
+/**
+ * Code Interpreter Sandbox File Fetcher
+ *
+ * Assistant answers link to files the code interpreter wrote, e.g.
+ * `[Download the chart](sandbox:/mnt/data/chart.png)`. Those links only
+ * resolve inside ChatGPT, so this module downloads each referenced file
+ * through the conversation's interpreter download endpoint. Requests carry
+ * the user's chatgpt.com cookies.
+ */
+
+import { logger } from "./logger.js";
+import { collectMessages } from "./schema.js";
+import { request, requestJson, classifyError } from "./request.js";
+
+const CONV_API = "https://chatgpt.com/backend-api/conversation";
+
+const SANDBOX_REF_RE = /sandbox:(\/mnt\/data\/[^\s)\]"'<>]+)/g;
+
+/**
+ * Download every sandbox file referenced from a conversation's text.
+ * Failures are collected instead of thrown; the link is left as-is.
+ *
+ * @param {import("./schema.js").NormalizedConversation} conversation
+ * @returns {Promise<{ files: SandboxFileRecord[], failures: import("./attachments.js").AttachmentFailure[] }>}
+ */
+export async function fetchSandboxFiles(conversation) {
+  const files    = [];
+  const failures = [];
+  const seen     = new Set();
+
+  for (const msg of collectMessages(conversation)) {
+    for (const ref of findSandboxRefs(msg)) {
+      if (seen.has(ref)) continue;
+      seen.add(ref);
+
+      const path = ref.slice("sandbox:".length);
+      try {
+        files.push(await fetchSandboxFile(conversation.id, msg.id, ref, path));
+      } catch (err) {
+        logger.warn("Failed to fetch sandbox file", ref, err);
+        failures.push({
+          id:    ref,
+          name:  sandboxFileName(path),
+          error: err instanceof Error ? err.message : String(err),
+          kind:  classifyError(err)
+        });
+      }
+    }
+  }
+
+  return { files, failures };
+}
+
+/**
+ * Point `sandbox:/mnt/data/…` links at the bundled local copies. Longer
+ * references are replaced first so a path never matches inside another.
+ * Shared by the Markdown and HTML renderers.
+ *
+ * @param {string} text
+ * @param {Map<string,string>} fileHrefs  as built by the packager; non-sandbox keys are ignored
+ * @returns {string}
+ */
+export function rewriteSandboxLinks(text, fileHrefs) {
+  const refs = Array.from(fileHrefs.keys())
+    .filter((key) => key.startsWith("sandbox:"))
+    .sort((a, b) => b.length - a.length);
+  let result = text;
+  for (const ref of refs) {
+    result = result.split(ref).join(fileHrefs.get(ref));
+  }
+  return result;
+}
+
+/**
+ * @param {import("./schema.js").NormalizedMessage} message
+ * @returns {string[]}  unique `sandbox:/mnt/data/…` references in text parts
+ */
+function findSandboxRefs(message) {
+  const refs  = new Set();
+  const parts = Array.isArray(message.parts) ? message.parts : [];
+  for (const part of parts) {
+    if (part.type !== "text") continue;
+    for (const match of part.text.matchAll(SANDBOX_REF_RE)) {
+      refs.add(match[0]);
+    }
+  }
+  return Array.from(refs);
+}
+
+/**
+ * @param {string} conversationId
+ * @param {string} messageId   message that produced the link
+ * @param {string} ref         full `sandbox:` reference
+ * @param {string} path        sandbox path, e.g. "/mnt/data/chart.png"
+ * @returns {Promise<SandboxFileRecord>}
+ */
+async function fetchSandboxFile(conversationId, messageId, ref, path) {
+  const query = `message_id=${encodeURIComponent(messageId)}&sandbox_path=${encodeURIComponent(safeDecode(path))}`;
+  const meta = await requestJson(
+    `${CONV_API}/${encodeURIComponent(conversationId)}/interpreter/download?${query}`, {},
+    { label: "Interpreter download API" }
+  );
+  if (!meta?.download_url) {
+    throw new Error(meta?.error_code || "No download URL returned");
+  }
+
+  const resp = await request(meta.download_url, {}, { label: "File download" });
+
+  return {
+    ref,
+    name:     meta.file_name || sandboxFileName(path),
+    mimeType: resp.headers.get("content-type") || "application/octet-stream",
+    bytes:    await resp.arrayBuffer()
+  };
+}
+
+function sandboxFileName(path) {
+  return safeDecode(path.split("/").pop() || "file");
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * @typedef {Object} SandboxFileRecord
+ * @property {string}       ref       – original reference, e.g. "sandbox:/mnt/data/chart.png"
+ * @property {string}       name      – file name
+ * @property {string}       mimeType
+ * @property {ArrayBuffer}  bytes
+ */
@@ -6,73 +6,53 @@
  * before being handed to the HTML, Markdown, or JSON exporter.
  *
  * Extraction pipeline:
- *   1. fetchConversationData(id)  → raw API response
+ *   1. fetchConversationData(id)  → raw API response body (kept for the "raw" format)
  *   2. normalizeConversation(raw) → NormalizedConversation
  *   3. validateConversation(conv) → NormalizedConversation (with fallbacks applied)
  */
 
 import { logger } from "./logger.js";
+import { domToParts } from "./dom_markdown.js";
+import { request } from "./request.js";
 
 const CONV_API = "https://chatgpt.com/backend-api/conversation";
 
 // ─── Fetch ────────────────────────────────────────────────────────────────────
 
 /**
- * Fetch the full conversation payload from the ChatGPT backend.
- * Runs in the content-script context so credentials are included.
+ * Fetch the full conversation payload from the ChatGPT backend and normalize
+ * it. Credentials are included. This only talks to the API: reading a chat
+ * from the rendered page needs the chatgpt.com tab, so the offscreen runner
+ * falls back to it through lib/page_bridge.js when this throws.
  *
  * @param {string} id  conversation UUID
+ * @param {import("./messages.js").ExportOptions} [options]
+ * @param {(body: string) => void} [onRawPayload]  receives the untouched API body
  * @returns {Promise<NormalizedConversation>}
+ * @throws {import("./request.js").RequestError} when the request fails, so
+ *   callers can tell auth, rate-limit and not-found failures apart
  */
-export async function fetchAndNormalizeConversation(id) {
-  const currentId = getCurrentConversationIdFromUrl();
-  const allowDomFallback = currentId === id;
-
-  // Fast path: when exporting the currently open chat, prefer DOM extraction first.
-  // This avoids noisy/blocked API calls in environments where backend-api is denied.
-  if (allowDomFallback) {
-    const domFirst = extractConversationFromDom(id);
-    if (domFirst.messages.length > 0) {
-      logger.info("Using active DOM extraction for current conversation", id);
-      return validateConversation(domFirst);
-    }
-  }
-
-  try {
-    const resp = await fetch(`${CONV_API}/${id}`, { credentials: "include" });
-    if (!resp.ok) {
-      throw new Error(`Conversation API returned ${resp.status} for id=${id}`);
-    }
-    const raw = await resp.json();
-    const normalized = validateConversation(normalizeConversation(raw));
-    if (normalized.messages.length > 0) {
-      return normalized;
-    }
-    if (allowDomFallback) {
-      logger.warn("API payload had no exportable messages; falling back to DOM extraction", id);
-    } else {
-      logger.warn("API payload had no exportable messages; skipping DOM fallback for non-active chat", id);
-    }
-  } catch (err) {
-    if (allowDomFallback) {
-      logger.warn("Conversation API fetch failed; falling back to DOM extraction", id, err);
-    } else {
-      logger.warn("Conversation API fetch failed; skipping DOM fallback for non-active chat", id, err);
-    }
-  }
-
-  if (allowDomFallback) {
-    const domFallback = extractConversationFromDom(id);
-    if (domFallback.messages.length > 0) {
-      return validateConversation(domFallback);
-    }
+export async function fetchAndNormalizeConversation(id, options = {}, onRawPayload) {
+  const body = await fetchConversationData(id);
+  onRawPayload?.(body);
+  const normalized = validateConversation(normalizeConversation(JSON.parse(body), options));
+  if (normalized.messages.length === 0) {
+    throw new Error(`API payload for id=${id} had no exportable messages`);
   }
+  return normalized;
+}
 
-  throw new Error(
-    allowDomFallback
-      ? `Unable to extract conversation id=${id} from API or DOM`
-      : `Unable to extract conversation id=${id} from API (DOM fallback is only available for the active chat)`
-  );
+/**
+ * Fetch the conversation payload exactly as the backend returned it.
+ * The body text is not re-serialized so archives stay byte-for-byte
+ * re-processable by future exporters.
+ *
+ * @param {string} id  conversation UUID
+ * @returns {Promise<string>}  JSON response body
+ */
+export async function fetchConversationData(id) {
+  const resp = await request(`${CONV_API}/${id}`, {}, { label: `Conversation API (id=${id})` });
+  return resp.text();
 }
 
 /**
@@ -86,15 +66,30 @@ export function extractConversationFromActiveDom(id) {
   return validateConversation(extractConversationFromDom(id));
 }
 
+/**
+ * All messages of a conversation, including alternate branches when the
+ * branch tree was kept.
+ *
+ * @param {NormalizedConversation} conversation
+ * @returns {NormalizedMessage[]}
+ */
+export function collectMessages(conversation) {
+  if (conversation.tree) {
+    return Object.values(conversation.tree.nodes);
+  }
+  return Array.isArray(conversation.messages) ? conversation.messages : [];
+}
+
 // ─── Normalisation ────────────────────────────────────────────────────────────
 
 /**
  * Normalize a raw ChatGPT conversation API response into the canonical schema.
  *
  * @param {*} raw  raw API response object
+ * @param {import("./messages.js").ExportOptions} [options]
  * @returns {NormalizedConversation}
  */
-function normalizeConversation(raw) {
+export function normalizeConversation(raw, options = {}) {
   if (!raw || typeof raw !== "object") {
     return makeEmpty("");
   }
@@ -105,13 +100,21 @@ function normalizeConversation(raw) {
   const createTime = toUnixSeconds(raw.create_time);
   const updateTime = toUnixSeconds(raw.update_time);
 
-  const customGptName = raw.gizmo_id
-    ? String(raw.meta?.gizmo?.display?.name ?? raw.gizmo_id)
-    : null;
-
-  const messages = extractMessages(raw.mapping ?? {});
-
-  return { id, title, createTime, updateTime, model, customGptName, messages };
+  // Project chats carry the project's gizmo id; that is not a Custom GPT.
+  const inProject = raw.gizmo_type === "snorlax" || String(raw.gizmo_id || "").startsWith("g-p-");
+  const customGptId   = raw.gizmo_id && !inProject ? String(raw.gizmo_id) : null;
+  const customGptName = customGptId ? String(raw.meta?.gizmo?.display?.name ?? customGptId) : null;
+  const source      = inProject ? "project" : raw.is_archived === true ? "archived" : "history";
+  const projectName = inProject ? String(raw.gizmo_id || "") || null : null;
+
+  const currentNode = trimString(raw.current_node);
+  const { messages, threadStrategy } = currentNode && raw.mapping?.[currentNode]
+    ? { messages: extractCurrentThread(raw.mapping, currentNode, options), threadStrategy: "current_node" }
+    : { messages: extractMessages(raw.mapping ?? {}, options), threadStrategy: "last_child" };
+  const tree     = options.includeBranches ? extractMessageTree(raw.mapping ?? {}, options) : null;
+
+  return { id, title, createTime, updateTime, model, customGptName, customGptId, source, projectName,
+           messages, tree, threadStrategy };
 }
 
 /**
@@ -127,22 +130,55 @@ function validateConversation(conv) {
     updateTime:    conv.updateTime    ?? null,
     model:         conv.model         ?? null,
     customGptName: conv.customGptName ?? null,
+    customGptId:   conv.customGptId   ?? null,
+    source:        conv.source        ?? "history",
+    projectName:   conv.projectName   ?? null,
     messages:      Array.isArray(conv.messages)
       ? conv.messages.filter(isValidMessage)
-      : []
+      : [],
+    tree:          conv.tree && typeof conv.tree === "object" ? conv.tree : null,
+    threadStrategy: conv.threadStrategy ?? "last_child"
   };
 }
 
 // ─── Message Extraction ───────────────────────────────────────────────────────
 
+/**
+ * Linearize the thread the ChatGPT UI actually shows: start at the
+ * conversation's `current_node` and follow `parent` links up to the root.
+ *
+ * @param {Record<string, *>} mapping
+ * @param {string} currentNode  mapping key of the visible leaf
+ * @param {import("./messages.js").ExportOptions} [options]
+ * @returns {NormalizedMessage[]}
+ */
+function extractCurrentThread(mapping, currentNode, options = {}) {
+  const ordered = [];
+  const visited = new Set();
+
+  let key = currentNode;
+  while (key && mapping[key] && !visited.has(key)) {
+    visited.add(key);
+    const msg = extractMessage(mapping[key], options, mapping);
+    if (msg) ordered.push(msg);
+    key = mapping[key].parent;
+  }
+
+  return ordered.reverse();
+}
+
 /**
  * Walk the mapping (node graph) ChatGPT uses internally and flatten it into
  * a chronologically ordered array of normalized messages.
  *
+ * Fallback for payloads without `current_node`: at every fork the last
+ * child (most recent edit or regeneration) is followed.
+ *
  * @param {Record<string, *>} mapping
+ * @param {import("./messages.js").ExportOptions} [options]
  * @returns {NormalizedMessage[]}
  */
-function extractMessages(mapping) {
+function extractMessages(mapping, options = {}) {
   if (!mapping || typeof mapping !== "object") return [];
 
   // Build parent→children adjacency for topological traversal
@@ -159,7 +195,7 @@ function extractMessages(mapping) {
   function walk(node) {
     if (!node || visited.has(node.id)) return;
     visited.add(node.id);
-    const msg = extractMessage(node);
+    const msg = extractMessage(node, options, mapping);
     if (msg) ordered.push(msg);
     const children = Array.isArray(node.children) ? node.children : [];
     // Only follow the last child (latest branch) to avoid duplicates
@@ -174,14 +210,89 @@ function extractMessages(mapping) {
   return ordered;
 }
 
+/**
+ * Walk the full mapping graph and keep every branch: edited prompts and
+ * regenerated answers become sibling nodes under a shared parent.
+ *
+ * Nodes without displayable content (system prompts, empty tool stubs) are
+ * collapsed so their children attach to the nearest displayable ancestor.
+ *
+ * @param {Record<string, *>} mapping
+ * @param {import("./messages.js").ExportOptions} [options]
+ * @returns {MessageTree}
+ */
+function extractMessageTree(mapping, options = {}) {
+  /** @type {MessageTree} */
+  const tree = { rootIds: [], nodes: {} };
+  if (!mapping || typeof mapping !== "object") return tree;
+
+  const idSet   = new Set(Object.keys(mapping));
+  const visited = new Set();
+
+  const rootKeys = Object.keys(mapping).filter((key) => {
+    const parent = mapping[key]?.parent;
+    return !parent || !idSet.has(parent);
+  });
+
+  // Depth-first with an explicit stack: chats can be thousands of nodes
+  // deep. Each frame walks mapping keys and appends the displayable nodes
+  // it reaches to `out`, the child list of the nearest displayable ancestor;
+  // hidden nodes pass their children up to that same list.
+  /** @type {{ rawIds: string[], next: number, parentId: string|null, out: string[] }[]} */
+  const stack = [{ rawIds: rootKeys, next: 0, parentId: null, out: tree.rootIds }];
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    if (frame.next >= frame.rawIds.length) {
+      stack.pop();
+      continue;
+    }
+    const rawId = frame.rawIds[frame.next++];
+    if (!idSet.has(rawId) || visited.has(rawId)) continue;
+    visited.add(rawId);
+
+    const node     = mapping[rawId];
+    const children = Array.isArray(node?.children) ? node.children : [];
+    const msg      = extractMessage(node, options, mapping);
+    if (!msg || tree.nodes[msg.id]) {
+      stack.push({ rawIds: children, next: 0, parentId: frame.parentId, out: frame.out });
+      continue;
+    }
+
+    const treeNode = { ...msg, parentId: frame.parentId, childIds: [], siblingIndex: 0, siblingCount: 1 };
+    tree.nodes[msg.id] = treeNode;
+    frame.out.push(msg.id);
+    stack.push({ rawIds: children, next: 0, parentId: msg.id, out: treeNode.childIds });
+  }
+
+  assignSiblingIndexes(tree.rootIds, tree.nodes);
+  for (const node of Object.values(tree.nodes)) {
+    assignSiblingIndexes(node.childIds, tree.nodes);
+  }
+
+  return tree;
+}
+
+/**
+ * @param {string[]} ids
+ * @param {Record<string, TreeMessage>} nodes
+ */
+function assignSiblingIndexes(ids, nodes) {
+  ids.forEach((id, index) => {
+    nodes[id].siblingIndex = index;
+    nodes[id].siblingCount = ids.length;
+  });
+}
+
 /**
  * Extract a single normalized message from a mapping node.
  * Returns null for system/internal nodes with no displayable content.
  *
  * @param {*} node
+ * @param {import("./messages.js").ExportOptions} [options]
+ * @param {Record<string, *>} [mapping]  full node graph, used to detect edits/regenerations
  * @returns {NormalizedMessage|null}
  */
-function extractMessage(node) {
+function extractMessage(node, options = {}, mapping = {}) {
   const m = node?.message;
   if (!m) return null;
 
@@ -189,26 +300,168 @@ function extractMessage(node) {
   if (role === "system") return null; // skip system prompt nodes
 
   const createTime = toUnixSeconds(m.create_time);
-  const parts = extractContentParts(m.content);
+  const parts = extractContentParts(m.content, m)
+    .filter((part) => options.includeReasoning || part.type !== "reasoning");
 
   if (parts.length === 0) return null;
 
+  const version = detectVersion(node, mapping);
+
   return {
-    id:         String(m.id || node.id || ""),
+    id:           String(m.id || node.id || ""),
     role,
     createTime,
-    parts
+    updateTime:   toUnixSeconds(m.update_time),
+    parts,
+    citations:    extractCitations(m.metadata, rawContentText(m.content)),
+    attachments:  extractAttachments(m.metadata),
+    modelSlug:    trimString(m.metadata?.model_slug) || null,
+    finishReason: trimString(m.metadata?.finish_details?.type) || null,
+    version,
+    edited:       role === "user" && version !== null && version.index > 0,
+    regenerated:  role === "assistant" && version !== null && version.index > 0,
+    feedback:     normalizeFeedback(m.metadata)
   };
 }
 
+/**
+ * Position of a node among its parent's children. A user node with
+ * siblings is an edited prompt; an assistant node with siblings is a
+ * regenerated answer.
+ *
+ * @param {*} node
+ * @param {Record<string, *>} mapping
+ * @returns {{index: number, count: number}|null}  null when there are no alternatives
+ */
+function detectVersion(node, mapping) {
+  const siblings = mapping?.[node?.parent]?.children;
+  if (!Array.isArray(siblings) || siblings.length < 2) return null;
+  const index = siblings.indexOf(node.id);
+  return index === -1 ? null : { index, count: siblings.length };
+}
+
+/**
+ * Thumbs-up/down rating the user left on a message, when the payload has it.
+ * @param {*} metadata
+ * @returns {"up"|"down"|null}
+ */
+function normalizeFeedback(metadata) {
+  const raw = metadata?.feedback?.rating ?? metadata?.feedback ?? metadata?.rating;
+  const value = typeof raw === "string" ? raw.toLowerCase().replace(/[^a-z]/g, "") : raw;
+  if (value === "thumbsup" || value === "up" || value === "positive" || value === 1) return "up";
+  if (value === "thumbsdown" || value === "down" || value === "negative" || value === -1) return "down";
+  return null;
+}
+
+/**
+ * Uploaded documents listed in `metadata.attachments`. Image uploads are
+ * skipped here because they already arrive as `image_asset_pointer` parts.
+ *
+ * @param {*} metadata
+ * @returns {Attachment[]}
+ */
+function extractAttachments(metadata) {
+  const raw = Array.isArray(metadata?.attachments) ? metadata.attachments : [];
+  const attachments = [];
+  for (const a of raw) {
+    const id       = trimString(a?.id);
+    const mimeType = trimString(a?.mime_type) || "application/octet-stream";
+    if (!id || mimeType.startsWith("image/")) continue;
+    attachments.push({
+      id,
+      name: trimString(a?.name) || id,
+      mimeType,
+      size: typeof a?.size === "number" ? a.size : null
+    });
+  }
+  return attachments;
+}
+
+// ─── Citations ────────────────────────────────────────────────────────────────
+
+/**
+ * Collect web-search citations from a message's metadata.
+ *
+ * Two shapes exist in the wild:
+ *   - `content_references`: { matched_text, items: [{ title, url, snippet }] }
+ *     where `matched_text` is the inline marker left in the answer text.
+ *   - legacy `citations`: { start_ix, end_ix, metadata: { title, url, text } }
+ *     where the marker is the slice of the raw text between the indexes.
+ *
+ * @param {*} metadata
+ * @param {string} rawText  untrimmed message text the legacy indexes refer to
+ * @returns {Citation[]}
+ */
+function extractCitations(metadata, rawText) {
+  /** @type {Citation[]} */
+  const citations = [];
+  const refs = Array.isArray(metadata?.content_references) ? metadata.content_references : [];
+
+  for (const ref of refs) {
+    const marker = typeof ref?.matched_text === "string" && ref.matched_text.trim()
+      ? ref.matched_text
+      : null;
+    const items = Array.isArray(ref?.items) ? ref.items : [];
+    for (const item of items) {
+      pushCitation(citations, marker, item?.title, item?.url, item?.snippet);
+    }
+    if (items.length === 0 && ref?.url) {
+      pushCitation(citations, marker, ref.title, ref.url, ref.snippet);
+    }
+  }
+
+  const legacy = Array.isArray(metadata?.citations) ? metadata.citations : [];
+  for (const c of legacy) {
+    const hasRange = Number.isInteger(c?.start_ix) && Number.isInteger(c?.end_ix);
+    const marker   = hasRange ? rawText.slice(c.start_ix, c.end_ix) || null : null;
+    pushCitation(citations, marker, c?.metadata?.title, c?.metadata?.url, c?.metadata?.text);
+  }
+
+  return citations;
+}
+
+/**
+ * Append a citation unless it carries nothing linkable or repeats one already
+ * recorded (same marker and URL, or an unmarked footnote for a known URL).
+ *
+ * @param {Citation[]} citations
+ * @param {string|null} marker
+ * @param {*} title
+ * @param {*} url
+ * @param {*} quote
+ */
+function pushCitation(citations, marker, title, url, quote) {
+  const cleanUrl   = trimString(url) || null;
+  const cleanTitle = trimString(title) || null;
+  if (!cleanUrl && !cleanTitle) return;
+
+  const duplicate = citations.some((c) =>
+    c.url === cleanUrl && (c.marker === marker || marker === null));
+  if (duplicate) return;
+
+  citations.push({ marker, title: cleanTitle, url: cleanUrl, quote: trimString(quote) || null });
+}
+
+/**
+ * Joined, untrimmed text of a message's string parts.
+ * @param {*} content
+ * @returns {string}
+ */
+function rawContentText(content) {
+  if (typeof content === "string") return content;
+  const parts = Array.isArray(content?.parts) ? content.parts : [];
+  return parts.map((p) => (typeof p === "string" ? p : p?.text || "")).join("");
+}
+
 /**
  * Extract content parts from a message's content field.
  * Handles both the legacy string format and the modern parts array.
  *
  * @param {*} content
+ * @param {*} [message]  the raw message, for author/recipient/metadata context
  * @returns {ContentPart[]}
  */
-function extractContentParts(content) {
+function extractContentParts(content, message = null) {
   if (!content) return [];
 
   // Legacy: content is a plain string
@@ -229,16 +482,63 @@ function extractContentParts(content) {
   }
 
   // Code block: { content_type: "code", language, text }
+  // Addressed to a tool (recipient "python", "browser", …) it is a tool call.
   if (content.content_type === "code") {
-    const language = String(content.language || "").trim();
-    const text     = String(content.text || "").trim();
-    return text ? [{ type: "code", language, text }] : [];
+    const language  = normalizeLanguage(content.language);
+    const text      = String(content.text || "").trim();
+    const recipient = trimString(message?.recipient);
+    if (!text) return [];
+    if (recipient && recipient !== "all") {
+      return [{ type: "tool_call", tool: recipient, language, text }];
+    }
+    return [{ type: "code", language, text }];
+  }
+
+  // Code interpreter result: { content_type: "execution_output", text }
+  if (content.content_type === "execution_output") {
+    return extractExecutionOutput(content, message);
+  }
+
+  // Tool failure: { content_type: "system_error", name, text }
+  if (content.content_type === "system_error") {
+    const stderr = String(content.text || "").trim();
+    return stderr
+      ? [{ type: "execution_output", tool: toolName(message), text: "", stdout: "", stderr }]
+      : [];
   }
 
-  // Tether / image reference
-  if (content.content_type === "tether_browsing_display" ||
-      content.content_type === "tether_quote") {
-    return []; // skip navigation result snippets
+  // Quoted source: { content_type: "tether_quote", url, domain, title, text }
+  if (content.content_type === "tether_quote") {
+    const text = String(content.text || "").trim();
+    if (!text) return [];
+    return [{
+      type:   "quote",
+      text,
+      title:  trimString(content.title) || null,
+      url:    trimString(content.url) || null,
+      domain: trimString(content.domain) || null
+    }];
+  }
+
+  // Browsing tool result page: { content_type: "tether_browsing_display", result, summary }
+  if (content.content_type === "tether_browsing_display") {
+    const text = String(content.result || content.summary || "").trim();
+    if (!text) return [];
+    return [{ type: "quote", text, title: trimString(content.summary) || null, url: null, domain: null }];
+  }
+
+  // Reasoning model chain of thought: { content_type: "thoughts", thoughts: [{ summary, content }] }
+  if (content.content_type === "thoughts") {
+    const thoughts = (Array.isArray(content.thoughts) ? content.thoughts : [])
+      .map((t) => ({ summary: trimString(t?.summary), content: trimString(t?.content) }))
+      .filter((t) => t.summary || t.content);
+    return thoughts.length > 0 ? [{ type: "reasoning", summary: null, thoughts }] : [];
+  }
+
+  // Reasoning duration note: { content_type: "reasoning_recap", content: "Thought for 12s" }
+  if (content.content_type === "reasoning_recap") {
+    const summary = trimString(content.content);
+    return summary ? [{ type: "reasoning", summary, thoughts: [] }] : [];
   }
 
   // Image upload: { content_type: "multimodal_text", parts: [...] }
@@ -265,11 +565,60 @@ function extractContentParts(content) {
   return [];
 }
 
+/**
+ * Split a code-interpreter result into its stdout/stderr streams. The joined
+ * `text` is kept as-is; streams come from `metadata.aggregate_result` when
+ * present. Charts emitted by the run become image parts.
+ *
+ * @param {*} content
+ * @param {*} message
+ * @returns {ContentPart[]}
+ */
+function extractExecutionOutput(content, message) {
+  const text    = String(content.text || "").trim();
+  const outputs = message?.metadata?.aggregate_result?.messages;
+  const streams = { stdout: [], stderr: [] };
+  const images  = [];
+
+  for (const out of Array.isArray(outputs) ? outputs : []) {
+    if (out?.message_type === "stream" && typeof out.text === "string") {
+      (out.stream_name === "stderr" ? streams.stderr : streams.stdout).push(out.text);
+    } else if (out?.message_type === "image" && out.image_url) {
+      images.push({
+        type:     "image",
+        assetId:  String(out.image_url),
+        width:    out.width  ?? null,
+        height:   out.height ?? null,
+        mimeType: "image/png"
+      });
+    }
+  }
+
+  const stdout = streams.stdout.join("").trim();
+  const stderr = streams.stderr.join("").trim();
+  const parts  = [];
+  if (text || stdout || stderr) {
+    parts.push({ type: "execution_output", tool: toolName(message), text, stdout, stderr });
+  }
+  return parts.concat(images);
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+function toolName(message) {
+  return trimString(message?.author?.name) || trimString(message?.recipient) || "tool";
+}
+
+function normalizeLanguage(raw) {
+  const language = String(raw || "").trim();
+  return language === "unknown" ? "" : language;
+}
+
 function makeEmpty(id) {
   return { id, title: "Untitled Chat", createTime: null, updateTime: null,
-           model: null, customGptName: null, messages: [] };
+           model: null, customGptName: null, customGptId: null, source: "history", projectName: null,
+           messages: [], tree: null,
+           threadStrategy: "last_child" };
 }
 
 function isValidMessage(m) {
@@ -302,14 +651,10 @@ function detectModel(raw) {
   return null;
 }
 
-function getCurrentConversationIdFromUrl() {
-  const match = window.location.pathname.match(/\/c\/([a-z0-9-]+)/i);
-  return match ? match[1] : null;
-}
-
 /**
  * Fallback extractor for when backend API access fails.
- * Reads rendered chat messages from the live DOM.
+ * Reads rendered chat messages from the live DOM and converts each one back
+ * to GFM text with code blocks and images in document order.
  *
  * @param {string} id
  * @returns {NormalizedConversation}
@@ -320,51 +665,21 @@ function extractConversationFromDom(id) {
 
   for (const el of messageEls) {
     const role = String(el.getAttribute("data-message-author-role") || "unknown");
-    const parts = [];
-
-    // Text blocks
-    const textNodes = Array.from(el.querySelectorAll("p, li, blockquote"));
-    if (textNodes.length > 0) {
-      const text = textNodes
-        .map((node) => node.textContent || "")
-        .join("\n")
-        .trim();
-      if (text) {
-        parts.push({ type: "text", text });
-      }
-    }
-
-    // Code blocks
-    for (const codeEl of el.querySelectorAll("pre code")) {
-      const cls = codeEl.className || "";
-      const m = cls.match(/language-([a-z0-9_+-]+)/i);
-      const language = m ? m[1] : "";
-      const text = (codeEl.textContent || "").trim();
-      if (text) {
-        parts.push({ type: "code", language, text });
-      }
-    }
-
-    // Images
-    for (const imgEl of el.querySelectorAll("img[src]")) {
-      const src = imgEl.getAttribute("src") || "";
-      if (!src) continue;
-      // DOM fallback cannot reliably recover asset ids; keep src as an opaque identifier.
-      parts.push({
-        type: "image",
-        assetId: src,
-        width: imgEl.naturalWidth || null,
-        height: imgEl.naturalHeight || null,
-        mimeType: "image/png"
-      });
-    }
+    const parts = domToParts(el);
 
     if (parts.length > 0) {
       messages.push({
         id: `${id}_${messages.length}`,
         role,
         createTime: null,
-        parts
+        updateTime: null,
+        parts,
+        modelSlug: el.getAttribute("data-message-model-slug") || null,
+        finishReason: null,
+        version: null,
+        edited: false,
+        regenerated: false,
+        feedback: null
       });
     }
   }
@@ -377,7 +692,12 @@ function extractConversationFromDom(id) {
     updateTime: Math.floor(Date.now() / 1000),
     model: null,
     customGptName: null,
-    messages
+    customGptId: null,
+    source: "history",
+    projectName: null,
+    messages,
+    tree: null,
+    threadStrategy: "dom"
   };
 }
 
@@ -390,8 +710,20 @@ function extractConversationFromDom(id) {
  * @property {number|null}       createTime   – Unix seconds
  * @property {number|null}       updateTime   – Unix seconds
  * @property {string|null}       model        – e.g. "gpt-4o"
- * @property {string|null}       customGptName
- * @property {NormalizedMessage[]} messages
+ * @property {string|null}       customGptName  – display name, or the gizmo id when the payload has none
+ * @property {string|null}       customGptId    – "g-…" gizmo id
+ * @property {import("./discovery.js").ConversationSource} source
+ * @property {string|null}       projectName  – project display name (or its gizmo id when unknown)
+ * @property {NormalizedMessage[]} messages   – the linear thread
+ * @property {MessageTree|null}    tree       – every branch; only set in branch-aware mode
+ * @property {ThreadStrategy}      threadStrategy – how `messages` was linearized
+ */
+
+/**
+ * @typedef {"current_node"|"last_child"|"dom"} ThreadStrategy
+ *   current_node – walked up from the API's `current_node` (the branch shown in the UI)
+ *   last_child   – followed the last child at every fork (no `current_node` in payload)
+ *   dom          – read from the rendered page
  */
 
 /**
@@ -399,11 +731,54 @@ function extractConversationFromDom(id) {
  * @property {string}        id
  * @property {string}        role     – "user" | "assistant" | "tool"
  * @property {number|null}   createTime
+ * @property {number|null}   [updateTime]
  * @property {ContentPart[]} parts
+ * @property {Citation[]}    [citations]  – web sources; absent for DOM-extracted messages
+ * @property {Attachment[]}  [attachments] – uploaded non-image files
+ * @property {string|null}   [modelSlug]   – model that produced the message, e.g. "gpt-4o"
+ * @property {string|null}   [finishReason] – "stop" | "max_tokens" | "interrupted" | …
+ * @property {{index: number, count: number}|null} [version]  – 0-based position among alternatives
+ * @property {boolean}       [edited]      – user prompt that replaced an earlier version
+ * @property {boolean}       [regenerated] – assistant answer that replaced an earlier version
+ * @property {"up"|"down"|null} [feedback]
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string}      id        – file id, e.g. "file-abc123"
+ * @property {string}      name      – original file name
+ * @property {string}      mimeType
+ * @property {number|null} size      – bytes
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {string|null} marker  – inline marker in the text parts, e.g. "【6†source】"
+ * @property {string|null} title
+ * @property {string|null} url
+ * @property {string|null} quote   – quoted span from the source
  */
 
 /**
- * @typedef {TextPart|CodePart|ImagePart} ContentPart
+ * @typedef {Object} MessageTree
+ * @property {string[]}                    rootIds
+ * @property {Record<string, TreeMessage>} nodes    – keyed by message id
+ */
+
+/**
+ * @typedef {NormalizedMessage & TreeLinks} TreeMessage
+ */
+
+/**
+ * @typedef {Object} TreeLinks
+ * @property {string|null} parentId
+ * @property {string[]}    childIds
+ * @property {number}      siblingIndex  – 0-based position among the parent's children
+ * @property {number}      siblingCount
+ */
+
+/**
+ * @typedef {TextPart|CodePart|ImagePart|ToolCallPart|ExecutionOutputPart|QuotePart|ReasoningPart} ContentPart
  */
 
 /**
@@ -427,3 +802,39 @@ function extractConversationFromDom(id) {
  * @property {number|null}   height
  * @property {string}        mimeType
  */
+
+/**
+ * Code or a query an assistant sent to a tool (code interpreter, browser, …).
+ * @typedef {Object} ToolCallPart
+ * @property {"tool_call"} type
+ * @property {string}      tool      – recipient, e.g. "python"
+ * @property {string}      language
+ * @property {string}      text
+ */
+
+/**
+ * @typedef {Object} ExecutionOutputPart
+ * @property {"execution_output"} type
+ * @property {string}             tool    – producing tool, e.g. "python"
+ * @property {string}             text    – combined output as shown in the UI
+ * @property {string}             stdout
+ * @property {string}             stderr
+ */
+
+/**
+ * A quoted source or browsing result.
+ * @typedef {Object} QuotePart
+ * @property {"quote"}      type
+ * @property {string}       text
+ * @property {string|null}  title
+ * @property {string|null}  url
+ * @property {string|null}  domain
+ */
+
+/**
+ * Reasoning-model "thinking" output. Only kept when the export opts in.
+ * @typedef {Object} ReasoningPart
+ * @property {"reasoning"}   type
+ * @property {string|null}   summary   – recap such as "Thought for 12 seconds"
+ * @property {{summary: string, content: string}[]} thoughts
+ */
@@ -0,0 +1,238 @@
+/**
+ * Full-Text Search Index
+ *
+ * Backs the "Message text" mode of the Selected Chats picker. Conversations
+ * are fetched once through the normal normalization path, reduced to their
+ * message text and cached in IndexedDB, so later searches (even after a page
+ * reload) only fetch chats that changed since they were indexed.
+ *
+ * The cache lives in the chatgpt.com origin's IndexedDB, next to the data
+ * it was built from; nothing leaves the browser.
+ */
+
+import { logger } from "./logger.js";
+import { fetchAndNormalizeConversation } from "./schema.js";
+import { openDatabase, requestToPromise } from "./idb.js";
+
+const DB_NAME    = "cgpt-exporter-search";
+const DB_VERSION = 1;
+const STORE      = "conversations";
+
+/** Part types whose `text` is searchable. Reasoning and images are skipped. */
+const TEXT_PARTS = new Set(["text", "code", "tool_call", "execution_output", "quote"]);
+
+const SNIPPET_RADIUS = 60;
+
+/** Entries already read or built during this page session. @type {Map<string, SearchEntry>} */
+const memoryCache = new Map();
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Make sure every conversation in `metas` has an up-to-date index entry,
+ * fetching only the missing or stale ones.
+ *
+ * @param {import("./discovery.js").ConversationMeta[]} metas
+ * @param {(done: number, total: number, entries: Map<string, SearchEntry>) => void} [onProgress]
+ * @param {{ cancelled: boolean }} [token]  set `cancelled` to stop early; nothing is
+ *   cached after that, so a cancelled build cannot refill a cleared index
+ * @returns {Promise<Map<string, SearchEntry>>}  id → entry for the indexed subset of `metas`
+ */
+export async function buildSearchIndex(metas, onProgress, token = { cancelled: false }) {
+  const db = await openSearchDb();
+  if (db && memoryCache.size === 0) {
+    const stored = await readAllEntries(db);
+    if (!token.cancelled) for (const entry of stored) memoryCache.set(entry.id, entry);
+  }
+
+  const entries = new Map();
+  const stale   = [];
+  for (const meta of metas) {
+    const cached = memoryCache.get(meta.id);
+    if (cached && (meta.updatedAt == null || (cached.updateTime ?? -Infinity) >= meta.updatedAt)) {
+      entries.set(meta.id, cached);
+    } else {
+      stale.push(meta);
+    }
+  }
+  onProgress?.(entries.size, metas.length, entries);
+
+  for (const meta of stale) {
+    if (token.cancelled) break;
+    try {
+      const conversation = await fetchAndNormalizeConversation(meta.id);
+      if (token.cancelled) break;
+      const entry = toSearchEntry(conversation, meta);
+      memoryCache.set(entry.id, entry);
+      entries.set(entry.id, entry);
+      if (db) await putEntry(db, entry).catch((err) => logger.warn("Search index write failed", meta.id, err));
+    } catch (err) {
+      logger.warn("Could not index conversation", meta.id, err);
+    }
+    onProgress?.(entries.size, metas.length, entries);
+  }
+
+  db?.close();
+  return entries;
+}
+
+/**
+ * Find the indexed conversations containing every word of `query` (in the
+ * title or any message), with highlighted snippets from the matching messages.
+ *
+ * @param {Iterable<SearchEntry>} entries
+ * @param {string} query
+ * @param {number} [maxSnippets]
+ * @returns {Map<string, SearchHit>}  id → hit
+ */
+export function searchConversationText(entries, query, maxSnippets = 3) {
+  const words = String(query || "").split(/\s+/).filter(Boolean);
+  /** @type {Map<string, SearchHit>} */
+  const hits = new Map();
+  if (words.length === 0) return hits;
+
+  const patterns = words.map((w) => new RegExp(escapeRegExp(w), "gi"));
+  const any      = new RegExp(words.map(escapeRegExp).join("|"), "gi");
+
+  for (const entry of entries) {
+    const texts = [entry.title, ...entry.messages.map((m) => m.text)];
+    if (!patterns.every((re) => texts.some((t) => testFrom0(re, t)))) continue;
+
+    const snippets = [];
+    let matchCount = 0;
+    for (const message of entry.messages) {
+      const matches = Array.from(message.text.matchAll(any));
+      if (matches.length === 0) continue;
+      matchCount += matches.length;
+      if (snippets.length < maxSnippets) {
+        snippets.push({ role: message.role, ...makeSnippet(message.text, matches[0].index, matches[0][0].length, any) });
+      }
+    }
+    hits.set(entry.id, { id: entry.id, matchCount, snippets });
+  }
+  return hits;
+}
+
+/**
+ * Forget every cached entry, in memory and in IndexedDB.
+ * @returns {Promise<void>}
+ */
+export async function clearSearchIndex() {
+  memoryCache.clear();
+  const db = await openSearchDb();
+  if (!db) return;
+  await requestToPromise(db.transaction(STORE, "readwrite").objectStore(STORE).clear());
+  db.close();
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} SearchEntry
+ * @property {string}      id
+ * @property {string}      title
+ * @property {number|null} updateTime  – listing update time when indexed (Unix seconds)
+ * @property {{ role: string, text: string }[]} messages
+ */
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {string}   id
+ * @property {number}   matchCount
+ * @property {Snippet[]} snippets
+ */
+
+/**
+ * @typedef {Object} Snippet
+ * @property {string} role
+ * @property {string} text                       – excerpt with whitespace collapsed
+ * @property {[number, number][]} highlights     – [start, end) ranges of query words in `text`
+ */
+
+// ─── Indexing ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {import("./schema.js").NormalizedConversation} conversation
+ * @param {import("./discovery.js").ConversationMeta} meta
+ * @returns {SearchEntry}
+ */
+function toSearchEntry(conversation, meta) {
+  const messages = [];
+  for (const message of conversation.messages) {
+    const text = message.parts
+      .filter((p) => TEXT_PARTS.has(p.type) && typeof p.text === "string")
+      .map((p) => p.text)
+      .join("\n")
+      .trim();
+    if (text) messages.push({ role: message.role, text });
+  }
+  return {
+    id:         meta.id,
+    title:      conversation.title || meta.title || "",
+    updateTime: meta.updatedAt ?? conversation.updateTime ?? null,
+    messages
+  };
+}
+
+// ─── Snippets ─────────────────────────────────────────────────────────────────
+
+/**
+ * Cut an excerpt around one match, collapse whitespace, then locate every
+ * query word inside it for highlighting.
+ *
+ * @param {string} text
+ * @param {number} index   start of the match in `text`
+ * @param {number} length
+ * @param {RegExp} any     global pattern matching any query word
+ * @returns {{ text: string, highlights: [number, number][] }}
+ */
+function makeSnippet(text, index, length, any) {
+  let start = Math.max(0, index - SNIPPET_RADIUS);
+  let end   = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < index) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > index + length) end = space;
+  }
+
+  const excerpt = (start > 0 ? "…" : "") + text.slice(start, end).replace(/\s+/g, " ").trim() + (end < text.length ? "…" : "");
+  const highlights = Array.from(excerpt.matchAll(any), (m) => /** @type {[number, number]} */ ([m.index, m.index + m[0].length]));
+  return { text: excerpt, highlights };
+}
+
+function testFrom0(re, text) {
+  re.lastIndex = 0;
+  return re.test(text);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ─── IndexedDB ────────────────────────────────────────────────────────────────
+
+/**
+ * Open the cache database, or resolve null when IndexedDB is unavailable
+ * (private mode, tests) so the index works from memory only.
+ *
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openSearchDb() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => db.createObjectStore(STORE, { keyPath: "id" }));
+}
+
+/** @returns {Promise<SearchEntry[]>} */
+function readAllEntries(db) {
+  return requestToPromise(db.transaction(STORE, "readonly").objectStore(STORE).getAll())
+    .catch((err) => {
+      logger.warn("Search index cache read failed", err);
+      return [];
+    });
+}
+
+function putEntry(db, entry) {
+  return requestToPromise(db.transaction(STORE, "readwrite").objectStore(STORE).put(entry));
+}
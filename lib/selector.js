@@ -0,0 +1,549 @@
+/**
+ * Conversation Selector Overlay
+ *
+ * The in-page picker shown for the Selected Chats scope: search, sort,
+ * shift-click range selection, select-all-visible and a live counter.
+ * "Message text" mode searches inside conversations through the cached
+ * full-text index in lib/search_index.js and shows highlighted snippets.
+ *
+ * Rows are virtualized — only those in view (plus a small overscan) exist
+ * in the DOM, and the selection lives in a Set keyed by id — so accounts
+ * with thousands of conversations stay responsive.
+ */
+
+import { logger } from "./logger.js";
+import { formatDate } from "./naming.js";
+import { buildSearchIndex, searchConversationText, clearSearchIndex } from "./search_index.js";
+
+const ROW_HEIGHT     = 40;
+const HIT_ROW_HEIGHT = 76;   // title line + one snippet line
+const OVERSCAN       = 8;
+const TEXT_SEARCH_DELAY_MS = 150;
+
+/** Sort key → comparator over ConversationMeta. */
+const SORTS = {
+  "updated-desc": (a, b) => (b.updatedAt ?? -Infinity) - (a.updatedAt ?? -Infinity),
+  "updated-asc":  (a, b) => (a.updatedAt ?? Infinity) - (b.updatedAt ?? Infinity),
+  "title-asc":    (a, b) => titleOf(a).localeCompare(titleOf(b)),
+  "title-desc":   (a, b) => titleOf(b).localeCompare(titleOf(a))
+};
+
+const SORT_LABELS = {
+  "updated-desc": "Newest first",
+  "updated-asc":  "Oldest first",
+  "title-asc":    "Title A–Z",
+  "title-desc":   "Title Z–A"
+};
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Show the selector overlay and resolve with the ids the user confirmed,
+ * or an empty list when cancelled.
+ *
+ * @param {(onProgress: (ids: string[]) => void) => Promise<import("./discovery.js").ConversationMeta[]>} loadMetas
+ * @returns {Promise<string[]>}
+ */
+export function openConversationSelector(loadMetas) {
+  return new Promise((resolve) => {
+    const view = buildSelectorOverlay(resolve);
+    document.body.appendChild(view.overlay);
+    view.search.focus();
+    void populateSelector(view, loadMetas);
+  });
+}
+
+/**
+ * Rows matching every word of `query` (title, Custom GPT or project name,
+ * case-insensitive), in the requested order.
+ *
+ * @param {import("./discovery.js").ConversationMeta[]} metas
+ * @param {string} query
+ * @param {SelectorSort} sort
+ * @returns {import("./discovery.js").ConversationMeta[]}
+ */
+export function queryConversations(metas, query, sort = "updated-desc") {
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const rows  = words.length === 0 ? metas.slice() : metas.filter((meta) => {
+    const haystack = [titleOf(meta), meta.customGptName, meta.projectName].filter(Boolean).join(" ").toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+  return rows.sort(SORTS[sort] ?? SORTS["updated-desc"]);
+}
+
+/**
+ * Ids from `fromId` to `toId` inclusive, in row order. Falls back to just
+ * `toId` when the anchor is no longer among the rows (e.g. after a search).
+ *
+ * @param {import("./discovery.js").ConversationMeta[]} rows
+ * @param {string|null} fromId
+ * @param {string} toId
+ * @returns {string[]}
+ */
+export function rangeBetween(rows, fromId, toId) {
+  const to   = rows.findIndex((m) => m.id === toId);
+  const from = fromId == null ? -1 : rows.findIndex((m) => m.id === fromId);
+  if (to < 0) return [];
+  if (from < 0) return [toId];
+  const [start, end] = from <= to ? [from, to] : [to, from];
+  return rows.slice(start, end + 1).map((m) => m.id);
+}
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {"updated-desc"|"updated-asc"|"title-asc"|"title-desc"} SelectorSort
+ */
+
+/**
+ * @typedef {Object} SelectorView
+ * @property {HTMLElement}      overlay
+ * @property {HTMLInputElement} search
+ * @property {(metas: import("./discovery.js").ConversationMeta[]) => void} setMetas
+ * @property {(text: string, isError?: boolean) => void} setMessage
+ */
+
+// ─── Overlay ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build the overlay DOM and wire its state. Nothing is rendered into the
+ * list until {@link SelectorView.setMetas} is called.
+ *
+ * @param {(ids: string[]) => void} onConfirm
+ * @returns {SelectorView}
+ */
+function buildSelectorOverlay(onConfirm) {
+  const state = {
+    metas:    [],
+    rows:     [],
+    selected: new Set(),
+    anchorId: null,
+    query:    "",
+    sort:     /** @type {SelectorSort} */ ("updated-desc"),
+    message:  null,
+    mode:     /** @type {"title"|"text"} */ ("title"),
+    /** @type {Map<string, import("./search_index.js").SearchEntry>} */
+    index:    new Map(),
+    /** @type {Map<string, import("./search_index.js").SearchHit>|null} */
+    hits:     null,
+    indexToken: null
+  };
+
+  const overlay = el("div", `
+    position: fixed; inset: 0; z-index: 99999;
+    background: rgba(0,0,0,0.55);
+    display: flex; align-items: flex-start; justify-content: flex-end;
+    font-family: "Segoe UI", sans-serif;
+  `);
+  overlay.id = "cgpt-exporter-selector";
+
+  const panel = el("div", `
+    width: 560px; max-width: 100vw; height: 100vh;
+    background: #fff; color: #111;
+    display: flex; flex-direction: column;
+    box-shadow: -4px 0 20px rgba(0,0,0,0.3);
+  `);
+
+  const header = el("div", `
+    padding: 14px 16px 10px; border-bottom: 1px solid #e5e7eb;
+    display: flex; flex-direction: column; gap: 10px;
+  `);
+  header.appendChild(el("div", "font-weight: 600; font-size: 15px;", "Select conversations to export"));
+
+  const controls = el("div", "display: flex; gap: 8px;");
+  const mode = /** @type {HTMLSelectElement} */ (el("select", `
+    padding: 7px 8px; font-size: 13px; color: #111; background: #fff;
+    border: 1px solid #d1d5db; border-radius: 8px;
+  `));
+  mode.title = "Search in";
+  for (const [value, label] of [["title", "Titles"], ["text", "Message text"]]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    mode.appendChild(option);
+  }
+  const search = /** @type {HTMLInputElement} */ (el("input", `
+    flex: 1; padding: 7px 10px; font-size: 13px;
+    border: 1px solid #d1d5db; border-radius: 8px; color: #111; background: #fff;
+  `));
+  search.type = "search";
+  search.placeholder = "Search titles, GPTs, projects…";
+  const sort = /** @type {HTMLSelectElement} */ (el("select", `
+    padding: 7px 8px; font-size: 13px; color: #111; background: #fff;
+    border: 1px solid #d1d5db; border-radius: 8px;
+  `));
+  for (const [value, label] of Object.entries(SORT_LABELS)) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    sort.appendChild(option);
+  }
+  controls.appendChild(mode);
+  controls.appendChild(search);
+  controls.appendChild(sort);
+  header.appendChild(controls);
+
+  const indexBar = el("div", "display: none; gap: 8px; align-items: center; font-size: 12px; color: #6b7280;");
+  const indexStatus = el("span", "flex: 1;");
+  const clearIndexBtn = el("button", `
+    padding: 3px 8px; background: #e7ebf0; color: #111;
+    border: none; border-radius: 6px; cursor: pointer; font-size: 12px;
+  `, "Clear index");
+  clearIndexBtn.title = "Delete the cached message text and re-index";
+  indexBar.appendChild(indexStatus);
+  indexBar.appendChild(clearIndexBtn);
+  header.appendChild(indexBar);
+
+  const columns = el("label", `
+    display: grid; grid-template-columns: 24px 1fr 130px 86px; gap: 8px; align-items: center;
+    padding: 6px 16px; font-size: 12px; color: #6b7280; border-bottom: 1px solid #e5e7eb;
+    cursor: pointer; user-select: none;
+  `);
+  const selectAll = /** @type {HTMLInputElement} */ (el("input", "margin: 0; cursor: pointer;"));
+  selectAll.type = "checkbox";
+  selectAll.title = "Select all visible";
+  columns.appendChild(selectAll);
+  columns.appendChild(el("span", "", "Title"));
+  columns.appendChild(el("span", "", "Custom GPT"));
+  columns.appendChild(el("span", "", "Updated"));
+
+  const viewport = el("div", "flex: 1; overflow-y: auto; position: relative;");
+  const spacer   = el("div", "position: relative;");
+  viewport.appendChild(spacer);
+
+  const footer = el("div", `
+    padding: 12px 16px; border-top: 1px solid #e5e7eb;
+    display: flex; gap: 8px; align-items: center;
+  `);
+  const counter = el("span", "flex: 1; font-size: 13px; color: #374151;");
+  const confirmBtn = el("button", `
+    padding: 9px 14px; background: #111827; color: #fff;
+    border: none; border-radius: 8px; cursor: pointer; font-size: 13px;
+  `);
+  const cancelBtn = el("button", `
+    padding: 9px 14px; background: #e7ebf0; color: #111;
+    border: none; border-radius: 8px; cursor: pointer; font-size: 13px;
+  `, "Cancel");
+  footer.appendChild(counter);
+  footer.appendChild(confirmBtn);
+  footer.appendChild(cancelBtn);
+
+  panel.appendChild(header);
+  panel.appendChild(columns);
+  panel.appendChild(viewport);
+  panel.appendChild(footer);
+  overlay.appendChild(panel);
+
+  // ── Rendering ──────────────────────────────────────────────────────────────
+
+  let frame = 0;
+  const scheduleRows = () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = 0;
+      renderRows();
+    });
+  };
+
+  function renderRows() {
+    if (state.message) {
+      spacer.style.height = "auto";
+      spacer.replaceChildren(el("div", `padding: 12px 16px; font-size: 13px; color: ${state.message.isError ? "#b91c1c" : "#6b7280"};`,
+        state.message.text));
+      return;
+    }
+
+    const total  = state.rows.length;
+    const height = state.hits ? HIT_ROW_HEIGHT : ROW_HEIGHT;
+    const first  = Math.max(0, Math.floor(viewport.scrollTop / height) - OVERSCAN);
+    const last   = Math.min(total, Math.ceil((viewport.scrollTop + viewport.clientHeight) / height) + OVERSCAN);
+    spacer.style.height = `${total * height}px`;
+
+    const nodes = [];
+    for (let i = first; i < last; i++) {
+      const meta = state.rows[i];
+      nodes.push(buildSelectorRow(meta, i * height, height, state.selected.has(meta.id), state.hits?.get(meta.id)));
+    }
+    if (total === 0) {
+      nodes.push(el("div", "padding: 12px 16px; font-size: 13px; color: #6b7280;",
+        state.metas.length === 0
+          ? "No conversations found. Expand your chat history in the left sidebar and retry."
+          : state.mode === "text" && state.indexToken
+            ? "No matches in the conversations indexed so far."
+            : "No conversations match your search."));
+      spacer.style.height = "auto";
+    }
+    spacer.replaceChildren(...nodes);
+  }
+
+  function renderSummary() {
+    const visibleSelected = state.rows.filter((m) => state.selected.has(m.id)).length;
+    selectAll.checked       = state.rows.length > 0 && visibleSelected === state.rows.length;
+    selectAll.indeterminate = visibleSelected > 0 && visibleSelected < state.rows.length;
+
+    const shown = state.rows.length < state.metas.length
+      ? ` · ${state.rows.length} of ${state.metas.length} shown`
+      : "";
+    counter.textContent = `${state.selected.size} selected${shown}`;
+    confirmBtn.textContent = state.selected.size > 0 ? `Export ${state.selected.size} selected` : "Export selected";
+    confirmBtn.disabled = state.selected.size === 0;
+    confirmBtn.style.opacity = confirmBtn.disabled ? "0.5" : "1";
+  }
+
+  function refresh() {
+    if (state.mode === "text" && state.query.trim()) {
+      state.hits = searchConversationText(state.index.values(), state.query);
+      state.rows = queryConversations(state.metas.filter((m) => state.hits.has(m.id)), "", state.sort);
+    } else {
+      state.hits = null;
+      state.rows = queryConversations(state.metas, state.mode === "title" ? state.query : "", state.sort);
+    }
+    renderRows();
+    renderSummary();
+  }
+
+  let refreshTimer = 0;
+  const scheduleRefresh = (delay) => {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refresh, delay);
+  };
+
+  /** Index every listed conversation's text, refreshing results as it goes. */
+  function startIndexing() {
+    if (state.indexToken || state.metas.length === 0) return;
+    const token = { cancelled: false };
+    state.indexToken = token;
+    indexStatus.textContent = "Preparing full-text index…";
+
+    void buildSearchIndex(state.metas, (done, total, entries) => {
+      if (token.cancelled) return;
+      state.index = entries;
+      indexStatus.textContent = done < total
+        ? `Indexing message text… ${done} / ${total} (results update as chats are indexed)`
+        : `Searching message text of ${total} conversations`;
+      if (state.query.trim()) scheduleRefresh(250);
+    }, token).then((entries) => {
+      if (token.cancelled) return;
+      state.index = entries;
+      const missing = state.metas.length - entries.size;
+      indexStatus.textContent = `Searching message text of ${entries.size} conversations` +
+        (missing > 0 ? ` (${missing} could not be loaded)` : "");
+      refresh();
+    }).catch((err) => {
+      logger.error("Full-text indexing failed", err);
+      if (state.indexToken === token) state.indexToken = null;
+      indexStatus.textContent = "Full-text index failed; see the console for details.";
+    });
+  }
+
+  function stopIndexing() {
+    if (state.indexToken) state.indexToken.cancelled = true;
+    state.indexToken = null;
+  }
+
+  // ── Interaction ────────────────────────────────────────────────────────────
+
+  const close = (ids) => {
+    stopIndexing();
+    clearTimeout(refreshTimer);
+    document.removeEventListener("keydown", onKeydown, true);
+    overlay.remove();
+    onConfirm(ids);
+  };
+  const onKeydown = (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      close([]);
+    }
+  };
+  document.addEventListener("keydown", onKeydown, true);
+
+  search.addEventListener("input", () => {
+    state.query = search.value;
+    viewport.scrollTop = 0;
+    if (state.mode === "text") scheduleRefresh(TEXT_SEARCH_DELAY_MS);
+    else refresh();
+  });
+  mode.addEventListener("change", () => {
+    state.mode = mode.value === "text" ? "text" : "title";
+    search.placeholder = state.mode === "text" ? "Search message text…" : "Search titles, GPTs, projects…";
+    indexBar.style.display = state.mode === "text" ? "flex" : "none";
+    if (state.mode === "text") startIndexing();
+    viewport.scrollTop = 0;
+    refresh();
+    search.focus();
+  });
+  clearIndexBtn.addEventListener("click", () => {
+    stopIndexing();
+    state.index = new Map();
+    refresh();
+    void clearSearchIndex()
+      .catch((err) => logger.warn("Could not clear the search index", err))
+      .then(() => {
+        if (state.mode === "text") startIndexing();
+      });
+  });
+  sort.addEventListener("change", () => {
+    state.sort = /** @type {SelectorSort} */ (sort.value);
+    refresh();
+  });
+  viewport.addEventListener("scroll", scheduleRows, { passive: true });
+
+  spacer.addEventListener("click", (e) => {
+    const row = e.target instanceof Element ? e.target.closest("[data-id]") : null;
+    if (!row) return;
+    e.preventDefault();
+    const id   = row.getAttribute("data-id");
+    const mark = !state.selected.has(id);
+    const ids  = e.shiftKey ? rangeBetween(state.rows, state.anchorId, id) : [id];
+    for (const rowId of ids) {
+      if (mark) state.selected.add(rowId);
+      else state.selected.delete(rowId);
+    }
+    state.anchorId = id;
+    renderRows();
+    renderSummary();
+  });
+
+  selectAll.addEventListener("change", () => {
+    const allSelected = state.rows.every((m) => state.selected.has(m.id));
+    for (const meta of state.rows) {
+      if (allSelected) state.selected.delete(meta.id);
+      else state.selected.add(meta.id);
+    }
+    renderRows();
+    renderSummary();
+  });
+
+  confirmBtn.addEventListener("click", () => {
+    // Keep the on-screen order so the export follows what the user saw.
+    close(queryConversations(state.metas, "", state.sort)
+      .filter((m) => state.selected.has(m.id))
+      .map((m) => m.id));
+  });
+  cancelBtn.addEventListener("click", () => close([]));
+
+  renderSummary();
+
+  return {
+    overlay,
+    search,
+    setMetas(metas) {
+      state.metas   = metas;
+      state.message = null;
+      if (state.mode === "text") startIndexing();
+      refresh();
+    },
+    setMessage(text, isError = false) {
+      state.message = { text, isError };
+      renderRows();
+    }
+  };
+}
+
+/**
+ * Load conversation metadata into the overlay, with progress and errors
+ * shown in place of the list.
+ *
+ * @param {SelectorView} view
+ * @param {Parameters<typeof openConversationSelector>[0]} loadMetas
+ */
+async function populateSelector(view, loadMetas) {
+  view.setMessage("Loading conversations from account history...");
+  try {
+    const metas = await loadMetas((ids) => {
+      view.setMessage(`Loading conversations... (${ids.length} found)`);
+    });
+    view.setMetas(metas);
+  } catch (err) {
+    logger.error("Failed to populate selector overlay", err);
+    view.setMessage("Failed to load conversations.", true);
+  }
+}
+
+/**
+ * Build one absolutely positioned row. Clicks are handled by the list.
+ * Full-text hits get a second line with the first highlighted snippet.
+ *
+ * @param {import("./discovery.js").ConversationMeta} meta
+ * @param {number} top     offset within the list, in px
+ * @param {number} height
+ * @param {boolean} checked
+ * @param {import("./search_index.js").SearchHit} [hit]
+ * @returns {HTMLElement}
+ */
+function buildSelectorRow(meta, top, height, checked, hit) {
+  const row = el("div", `
+    position: absolute; left: 0; right: 0; top: ${top}px; height: ${height}px;
+    display: grid; grid-template-columns: 24px 1fr 130px 86px; gap: 2px 8px; align-items: center;
+    align-content: center;
+    padding: 0 16px; box-sizing: border-box; font-size: 13px; cursor: pointer; user-select: none;
+    background: ${checked ? "#eef2ff" : "transparent"};
+  `);
+  row.setAttribute("data-id", meta.id);
+
+  const cb = /** @type {HTMLInputElement} */ (el("input", "margin: 0; cursor: pointer; pointer-events: none;"));
+  cb.type = "checkbox";
+  cb.tabIndex = -1;
+  cb.checked = checked;
+
+  const ellipsis = "overflow: hidden; text-overflow: ellipsis; white-space: nowrap;";
+  const title = el("span", ellipsis, titleOf(meta));
+  title.title = titleOf(meta);
+  const gpt = el("span", `${ellipsis} color: #6b7280;`, meta.customGptName || "");
+
+  row.appendChild(cb);
+  row.appendChild(title);
+  row.appendChild(gpt);
+  row.appendChild(el("span", "color: #6b7280; font-variant-numeric: tabular-nums;",
+    meta.updatedAt == null ? "" : formatDate(meta.updatedAt)));
+  if (hit) row.appendChild(buildSnippetLine(hit));
+  return row;
+}
+
+/**
+ * @param {import("./search_index.js").SearchHit} hit
+ * @returns {HTMLElement}
+ */
+function buildSnippetLine(hit) {
+  const line = el("div", `
+    grid-column: 2 / -1; font-size: 12px; color: #4b5563; line-height: 1.4;
+    overflow: hidden; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical;
+  `);
+  const snippet = hit.snippets[0];
+  if (snippet) {
+    line.appendChild(el("span", "color: #9ca3af;", `${snippet.role}: `));
+    let last = 0;
+    for (const [start, end] of snippet.highlights) {
+      line.appendChild(document.createTextNode(snippet.text.slice(last, start)));
+      line.appendChild(el("mark", "background: #fde68a; color: inherit; padding: 0 1px;", snippet.text.slice(start, end)));
+      last = end;
+    }
+    line.appendChild(document.createTextNode(snippet.text.slice(last)));
+  } else {
+    line.appendChild(el("span", "color: #9ca3af;", "Matched in title"));
+  }
+  if (hit.matchCount > 1) {
+    line.appendChild(el("span", "color: #9ca3af;", ` (${hit.matchCount} matches)`));
+  }
+  return line;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function titleOf(meta) {
+  return meta.title || meta.id;
+}
+
+/**
+ * @param {string} tag
+ * @param {string} css
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function el(tag, css, text) {
+  const node = document.createElement(tag);
+  if (css) node.style.cssText = css;
+  if (text != null) node.textContent = text;
+  return node;
+}
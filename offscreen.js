@@ -0,0 +1,585 @@
+/**
+ * Offscreen Export Runner
+ *
+ * Runs the export pipeline (discovery, fetching, normalization, packaging)
+ * in an offscreen document created by the service worker, so navigating or
+ * reloading the chatgpt.com tab does not end a long export. The tab is only
+ * asked for DOM-dependent steps, through lib/page_bridge.js.
+ */
+
+import { MsgType, OFFSCREEN_TARGET } from "./lib/messages.js";
+import { logger } from "./lib/logger.js";
+import { discoverConversations } from "./lib/discovery.js";
+import { normalizeExportFilter, filterConversationMetas, matchesExportFilter } from "./lib/filter.js";
+import { normalizeLedger, hashConversation, selectChangedMetas, findDeletedEntries, buildChangeSet, updateLedger } from "./lib/ledger.js";
+import { fetchAndNormalizeConversation, fetchConversationData, normalizeConversation } from "./lib/schema.js";
+import { fetchConversationImages } from "./lib/images.js";
+import { fetchConversationAttachments } from "./lib/attachments.js";
+import { fetchSandboxFiles } from "./lib/sandbox.js";
+import { packageZip, writeToFolder, normalizeArchiveSizeMb } from "./lib/exporter/packager.js";
+import { openExportFolder } from "./lib/export_folder.js";
+import { AuthExpiredError, NotFoundError, classifyError } from "./lib/request.js";
+import { runPool, clampConcurrency, createLock } from "./lib/pool.js";
+import { loadExportOutcomes, loadExportRecord, saveExportOutcome, clearExportOutcomes } from "./lib/export_store.js";
+import { createPageBridge } from "./lib/page_bridge.js";
+
+let activeRun = null;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || typeof message !== "object" || message.target !== OFFSCREEN_TARGET) {
+    return false;
+  }
+
+  if (message.type === MsgType.RUN_EXPORT) {
+    if (activeRun && !activeRun.cancelled) {
+      sendResponse({ ok: false, message: "An export is already running" });
+      return true;
+    }
+
+    const runToken = { cancelled: false };
+    activeRun = runToken;
+    logger.info("RUN_EXPORT received in offscreen document", message.payload);
+    void executeExport(message.payload, runToken, createPageBridge(message.tabId)).finally(() => {
+      if (activeRun === runToken) {
+        activeRun = null;
+      }
+    });
+    sendResponse({ ok: true, message: "Export runner started" });
+    return true;
+  }
+
+  if (message.type === MsgType.STOP_EXPORT) {
+    if (activeRun) {
+      activeRun.cancelled = true;
+      logger.info("STOP_EXPORT received in offscreen document");
+    }
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  return false;
+});
+
+// ─── Main Export Pipeline ─────────────────────────────────────────────────────
+
+/**
+ * Full end-to-end export pipeline running in the offscreen document:
+ *   discover → fetch + normalize → fetch images + attachments → assemble ZIP → download
+ * or, for the folder destination, write the same files into the chosen folder.
+ * DOM-dependent steps go through `page` to the chatgpt.com tab.
+ *
+ * @param {import("./lib/messages.js").StartExportPayload} payload
+ * @param {{ cancelled: boolean }} runToken
+ * @param {import("./lib/page_bridge.js").PageBridge} page
+ */
+async function executeExport(payload, runToken, page) {
+  const enableNavigationFallback = payload.scope === "selected";
+  const navigation = { preferDom: false, used: false };
+  let originalConversationId = null;
+
+  try {
+    throwIfCancelled(runToken);
+    sendProgress({ phase: "init", completed: 0, total: 0, etaSeconds: null });
+    const filter = normalizeExportFilter(payload.filter);
+    // Check folder access before any fetching; the popup re-grants it on start.
+    const folder = payload.destination === "folder" ? await openExportFolder() : null;
+    // Only the current-chat scope and the DOM fallbacks need the tab; a full
+    // dump keeps going even when it has been closed or reloaded.
+    originalConversationId = await page.currentConversationId().catch((err) => {
+      logger.warn("ChatGPT tab unavailable; exporting through the API only", err);
+      return null;
+    });
+
+    // 1. Determine conversation IDs ─────────────────────────────────────────
+    let explicitIds = payload.conversationIds;
+    if (payload.scope === "selected" && (!explicitIds || explicitIds.length === 0)) {
+      explicitIds = await page.selectConversations();
+      throwIfCancelled(runToken);
+      if (explicitIds.length === 0) {
+        sendProgress({ phase: "done", completed: 0, total: 0, etaSeconds: 0,
+          message: "No conversations selected." });
+        return;
+      }
+    }
+
+    const discovered = await discoverConversations(
+      payload.scope,
+      explicitIds,
+      (ids) => sendProgress({
+        phase: "discovering", completed: ids.length, total: ids.length, etaSeconds: null
+      }),
+      originalConversationId
+    );
+    throwIfCancelled(runToken);
+    logger.info(`Discovered ${discovered.length} conversation(s)`);
+
+    // Filter stage: drop what the listing metadata already rules out ────────
+    let metas = filterConversationMetas(discovered, filter);
+    if (filter) {
+      logger.info(`Export filter kept ${metas.length} of ${discovered.length} conversation(s)`, filter);
+      if (metas.length === 0 && discovered.length > 0) {
+        sendProgress({ phase: "done", completed: 0, total: 0, etaSeconds: 0,
+          message: "No conversations match the filter." });
+        return;
+      }
+    }
+
+    // Incremental stage: compare against the last successful export ───────
+    const ledger  = await getLedger();
+    throwIfCancelled(runToken);
+    const deleted = payload.scope === "full" ? findDeletedEntries(ledger, discovered) : [];
+    if (payload.incremental) {
+      const changed = selectChangedMetas(metas, ledger);
+      logger.info(`Incremental export: ${changed.length} new or changed, ${deleted.length} deleted`);
+      if (changed.length === 0 && deleted.length === 0) {
+        sendProgress({ phase: "done", completed: 0, total: 0, etaSeconds: 0,
+          message: "No new or changed conversations since the last export." });
+        return;
+      }
+      metas = changed;
+    }
+
+    const total = metas.length;
+    sendProgress({ phase: "discovering", completed: 0, total, etaSeconds: null });
+
+    // Inform service worker of the full ID list for resume state
+    void chrome.runtime.sendMessage({
+      type: MsgType.EXPORT_PROGRESS,
+      payload: { phase: "discovering", completed: 0, total, etaSeconds: null,
+        allIds: metas.map((m) => m.id) }
+    });
+
+    // 2. Reload what an interrupted run of this export already finished ────
+    // Only conversations whose outcome was stored count as done; anything
+    // checkpointed but missing from the store is fetched again.
+    const rsResp = await chrome.runtime.sendMessage({ type: MsgType.GET_RESUME_STATE });
+    throwIfCancelled(runToken);
+    const exportId = rsResp?.resumeState?.exportId ?? null;
+    const stored   = exportId ? await loadExportOutcomes(exportId) : new Map();
+    throwIfCancelled(runToken);
+    const pending = metas.filter((meta) => !stored.has(meta.id));
+    if (pending.length < total) {
+      logger.info(`Resuming: ${total - pending.length} conversation(s) restored from the previous run`);
+    }
+
+    const prefs = await getPreferences();
+    throwIfCancelled(runToken);
+    const concurrency = clampConcurrency(prefs.concurrency);
+
+    // 3. Fetch + normalize conversations, `concurrency` at a time ──────────
+    /** @type {Map<string, import("./lib/ledger.js").LedgerEntry>} */
+    const ledgerEntries = new Map();
+    // Page tasks navigate the tab and read its DOM; they must not interleave.
+    const withPage  = createLock();
+    const pageAccess = {
+      page,
+      withPage,
+      activeId:      originalConversationId,
+      allowNavigate: enableNavigationFallback,
+      navigation
+    };
+    const tally     = { completed: total - pending.length, processed: 0 };
+    const startTime = Date.now();
+
+    /**
+     * @param {import("./lib/discovery.js").ConversationMeta} meta
+     * @returns {Promise<ConversationOutcome>}
+     */
+    const exportOne = async (meta) => {
+      const result = await loadConversationForExport(meta.id, runToken, pageAccess, payload.options);
+      if (result.apiFailed) {
+        navigation.preferDom = true;
+      }
+      const conversation = withDiscoverySource(result.conversation, meta);
+      throwIfCancelled(runToken);
+      if (!matchesExportFilter(conversation, meta, filter)) {
+        logger.debug("Conversation outside the export filter", meta.id);
+        return {};
+      }
+      const ledgerEntry = {
+        updateTime: meta.updatedAt ?? conversation.updateTime ?? null,
+        hash:       await hashConversation(conversation),
+        title:      conversation.title
+      };
+      if (payload.incremental && ledger.entries[meta.id]?.hash === ledgerEntry.hash) {
+        logger.debug("Conversation unchanged since the last export", meta.id);
+        return { ledgerEntry };
+      }
+      // DOM-extracted chats also fetch the payload to detect truncation,
+      // unless the API is already known to be unavailable for this run.
+      const fromDom = conversation.threadStrategy === "dom";
+      const wantsPayload = payload.formats.includes("raw") || (fromDom && !navigation.preferDom);
+      const rawPayload = result.rawPayload ?? (wantsPayload ? await fetchRawPayload(meta.id) : null);
+      throwIfCancelled(runToken);
+      const domShortfall = fromDom ? compareDomToApi(conversation, rawPayload, payload.options) : null;
+      // blob: images only exist in the tab, while it still shows this chat.
+      const readImage = fromDom
+        ? (url, mimeType) => pageAccess.withPage(() => page.readImage(url, mimeType))
+        : null;
+      const images = await fetchConversationImages(conversation, concurrency, readImage);
+      throwIfCancelled(runToken);
+      const { attachments, failures: attachmentFailures } = await fetchConversationAttachments(conversation);
+      throwIfCancelled(runToken);
+      const { files: sandboxFiles, failures: sandboxFailures } = await fetchSandboxFiles(conversation);
+      throwIfCancelled(runToken);
+      return {
+        record: {
+          conversation,
+          images,
+          attachments,
+          sandboxFiles,
+          attachmentFailures: attachmentFailures.concat(sandboxFailures),
+          rawPayload: payload.formats.includes("raw") ? rawPayload : null,
+          domShortfall
+        },
+        exported: { id: conversation.id, title: conversation.title, updateTime: conversation.updateTime ?? null },
+        ledgerEntry
+      };
+    };
+
+    /** @type {ConversationOutcome[]} */
+    const outcomes = await runPool(pending, concurrency, async (meta) => {
+      throwIfCancelled(runToken);
+      /** @type {ConversationOutcome} */
+      let outcome;
+      try {
+        outcome = await exportOne(meta);
+      } catch (err) {
+        // Every later request would fail the same way; stop and keep the
+        // resume state so the run can continue after signing in again.
+        if (err instanceof AuthExpiredError) {
+          throw new Error("Your ChatGPT session expired. Sign in again, then resume the export.");
+        }
+        if (runToken.cancelled) throw err;
+        logger.error(`Failed to export conversation ${meta.id}`, err);
+        outcome = {
+          failure: {
+            id:    meta.id,
+            title: meta.title || "Untitled Chat",
+            error: err instanceof Error ? err.message : String(err),
+            kind:  classifyError(err)
+          }
+        };
+      }
+
+      // Store before checkpointing so a resumed run never skips a chat
+      // whose data was lost. Failures are retried on resume instead. Once
+      // stored, the record is read back while packaging rather than held
+      // in memory for the rest of the run.
+      if (!outcome.failure && exportId && await saveExportOutcome(exportId, meta.id, outcome) && outcome.record) {
+        outcome = { ...outcome, record: undefined, stored: true };
+      }
+
+      tally.completed++;
+      tally.processed++;
+      const etaSeconds = estimateEta(startTime, tally.processed, total - tally.completed);
+      if (outcome.failure) {
+        sendProgress({ phase: "exporting", completed: tally.completed, total, etaSeconds });
+      } else {
+        sendCheckpoint(meta.id, tally.completed, total, etaSeconds);
+      }
+      return outcome;
+    }, runToken);
+    throwIfCancelled(runToken);
+
+    // Collect in discovery order, whatever order the workers finished in and
+    // whichever run fetched them.
+    /** @type {Map<string, ConversationOutcome>} */
+    const outcomeById = new Map(stored);
+    pending.forEach((meta, i) => outcomeById.set(meta.id, outcomes[i]));
+    /** @type {import("./lib/exporter/packager.js").RecordSource[]} */
+    const records = [];
+    const exported = [];
+    /** @type {import("./lib/exporter/packager.js").FailureRecord[]} */
+    const failures = [];
+    for (const meta of metas) {
+      const { record, stored: inStore, exported: summary, failure, ledgerEntry } = outcomeById.get(meta.id);
+      if (record) records.push(record);
+      else if (inStore) records.push(() => loadExportRecord(meta.id));
+      if (summary) exported.push({ conversation: summary });
+      if (failure) failures.push(failure);
+      if (ledgerEntry) ledgerEntries.set(meta.id, ledgerEntry);
+    }
+
+    const template = prefs.namingTemplate || "{date}_{title}";
+    const changes  = payload.incremental ? buildChangeSet(ledger, exported, deleted) : null;
+    let undelivered = null;
+
+    if (folder) {
+      // 4. Write into the chosen folder ─────────────────────────────────────
+      sendProgress({ phase: "writing", completed: 0, total: records.length, etaSeconds: null });
+      const { written, unchanged } = await writeToFolder(
+        folder,
+        records,
+        payload.formats,
+        template,
+        failures,
+        (done, tot) => sendProgress({ phase: "writing", completed: done, total: tot, etaSeconds: null }),
+        changes
+      );
+      logger.info(`Wrote ${written} file(s) to "${folder.name}", ${unchanged} unchanged`);
+    } else {
+      // 4. Package ZIP ───────────────────────────────────────────────────────
+      sendProgress({ phase: "packaging", completed: 0, total: records.length, etaSeconds: null });
+
+      const volumes = await packageZip(
+        records,
+        payload.formats,
+        template,
+        failures,
+        (done, tot) => sendProgress({ phase: "packaging", completed: done, total: tot, etaSeconds: null }),
+        changes,
+        normalizeArchiveSizeMb(prefs.maxArchiveMb) * 1024 * 1024
+      );
+
+      // 5. Trigger download(s) via service worker ────────────────────────────
+      // Object URLs live as long as this document; the service worker keeps
+      // it open until the downloads have finished reading the blobs.
+      throwIfCancelled(runToken);
+      for (const [i, { fileName, blob }] of volumes.entries()) {
+        const download = await chrome.runtime.sendMessage({
+          type: MsgType.TRIGGER_DOWNLOAD,
+          payload: { url: URL.createObjectURL(blob), fileName }
+        });
+        if (!download?.ok) {
+          logger.error(`Download of ${fileName} did not start`, download?.error);
+          undelivered = volumes.length > 1 ? `Download of part ${i + 1} of ${volumes.length}` : "The download";
+          break;
+        }
+      }
+    }
+
+    // 6. Record what this export contained for the next incremental run ────
+    // Only now, with every part handed off, is there nothing left to resume.
+    // Otherwise the run ends as an error so the resume banner stays up.
+    if (undelivered) {
+      sendProgress({
+        phase: "error", completed: 0, total: 0, etaSeconds: null,
+        message: `${undelivered} did not start; resume to retry.`
+      });
+      return;
+    }
+    await chrome.runtime.sendMessage({
+      type: MsgType.SAVE_LEDGER,
+      payload: updateLedger(ledger, ledgerEntries, deleted.map((d) => d.id))
+    });
+    await clearExportOutcomes();
+    await chrome.runtime.sendMessage({ type: MsgType.CLEAR_RESUME_STATE });
+
+    sendProgress({ phase: "done", completed: total, total, etaSeconds: 0 });
+  } catch (err) {
+    if (runToken?.cancelled) {
+      sendProgress({
+        phase: "error",
+        completed: 0,
+        total: 0,
+        etaSeconds: null,
+        message: "Export cancelled."
+      });
+      return;
+    }
+    logger.error("executeExport failed", err);
+    sendProgress({
+      phase: "error", completed: 0, total: 0, etaSeconds: null,
+      message: err instanceof Error ? err.message : String(err)
+    });
+  } finally {
+    // Put the user back on the chat they had open if a fallback moved the tab.
+    if (navigation.used && originalConversationId) {
+      void page.navigateTo(originalConversationId).catch(() => {});
+    }
+  }
+}
+
+/**
+ * How a worker reaches the chatgpt.com tab.
+ *
+ * @typedef {Object} PageAccess
+ * @property {import("./lib/page_bridge.js").PageBridge} page
+ * @property {<R>(fn: () => Promise<R>) => Promise<R>} withPage  – serializes page tasks across workers
+ * @property {string|null} activeId       – chat open in the tab when the export started
+ * @property {boolean}     allowNavigate  – selected-chats exports may move the tab to other chats
+ * @property {{ preferDom: boolean, used: boolean }} navigation
+ *   preferDom – the API returned 404 once, so go straight to the page; used – the tab was moved
+ */
+
+/**
+ * What one worker produced for one conversation. All fields are absent when
+ * the chat fell outside the export filter.
+ *
+ * @typedef {Object} ConversationOutcome
+ * @property {import("./lib/exporter/packager.js").ConvExportRecord}  [record]   – dropped once written to the export store
+ * @property {boolean}                                                [stored]   – the record is in the export store
+ * @property {import("./lib/ledger.js").ExportedConversation}         [exported] – set for every exported chat
+ * @property {import("./lib/exporter/packager.js").FailureRecord}     [failure]
+ * @property {import("./lib/ledger.js").LedgerEntry}                  [ledgerEntry]  – set for exported and unchanged chats
+ */
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** @param {import("./lib/messages.js").ProgressPayload} progress */
+function sendProgress(progress) {
+  void chrome.runtime.sendMessage({ type: MsgType.EXPORT_PROGRESS, payload: progress });
+}
+
+/**
+ * Checkpoint: notify the service worker that a conversation is done so a
+ * resumed run skips it.
+ *
+ * @param {string} id
+ * @param {number} completed
+ * @param {number} total
+ * @param {number|null} etaSeconds
+ */
+function sendCheckpoint(id, completed, total, etaSeconds) {
+  void chrome.runtime.sendMessage({
+    type: MsgType.EXPORT_PROGRESS,
+    payload: { phase: "exporting", completed, total, etaSeconds, lastCompletedId: id }
+  });
+}
+
+/** @returns {Promise<import("./lib/ledger.js").ExportLedger>} */
+async function getLedger() {
+  const resp = await chrome.runtime.sendMessage({ type: MsgType.GET_LEDGER });
+  return normalizeLedger(resp?.ledger);
+}
+
+async function getPreferences() {
+  const resp = await chrome.runtime.sendMessage({ type: MsgType.GET_PREFERENCES });
+  return resp?.preferences || {};
+}
+
+/**
+ * Remaining time at the throughput observed so far. Wall-clock time per
+ * finished item already reflects parallel workers, and conversations skipped
+ * on resume are left out so they do not make the run look faster.
+ *
+ * @param {number} startMs    when this run's fetch loop started
+ * @param {number} processed  items finished by this run
+ * @param {number} remaining  items still to do
+ * @returns {number|null}
+ */
+function estimateEta(startMs, processed, remaining) {
+  if (processed === 0) return null;
+  const elapsed = (Date.now() - startMs) / 1000;
+  const perItem = elapsed / processed;
+  return Math.round(perItem * remaining);
+}
+
+/**
+ * Carry the listing a conversation was discovered in (archived, project)
+ * over to the loaded conversation. The conversation payload itself does not
+ * name the project, and DOM extraction knows neither.
+ *
+ * @param {import("./lib/schema.js").NormalizedConversation} conversation
+ * @param {import("./lib/discovery.js").ConversationMeta} meta
+ * @returns {import("./lib/schema.js").NormalizedConversation}
+ */
+function withDiscoverySource(conversation, meta) {
+  if (!meta?.source || meta.source === "history") return conversation;
+  return {
+    ...conversation,
+    source:        meta.source,
+    projectName:   meta.projectName ?? conversation.projectName ?? null,
+    customGptName: meta.source === "project" ? null : conversation.customGptName,
+    customGptId:   meta.source === "project" ? null : conversation.customGptId
+  };
+}
+
+/**
+ * Compare a DOM-extracted conversation against the API payload. User turns
+ * are counted because tool and hidden API messages have no rendered node of
+ * their own, while every prompt does.
+ *
+ * @param {import("./lib/schema.js").NormalizedConversation} conversation
+ * @param {string|null} rawPayload
+ * @param {import("./lib/messages.js").ExportOptions} [options]
+ * @returns {import("./lib/exporter/packager.js").DomShortfall|null}  null when complete or unknown
+ */
+function compareDomToApi(conversation, rawPayload, options = {}) {
+  if (rawPayload === null) return null;
+  try {
+    const fromApi  = normalizeConversation(JSON.parse(rawPayload), options);
+    const userTurns = (messages) => messages.filter((m) => m.role === "user").length;
+    const domCount = userTurns(conversation.messages);
+    const apiCount = userTurns(fromApi.messages);
+    return domCount < apiCount ? { domCount, apiCount } : null;
+  } catch (err) {
+    logger.warn(`Could not compare DOM extraction with API payload for ${conversation.id}`, err);
+    return null;
+  }
+}
+
+/**
+ * Fetch the untouched API payload for chats that were extracted from the DOM.
+ * Best-effort: a failure is logged (and reported in the summary when the raw
+ * format was requested), but the normalized outputs are still written.
+ *
+ * @param {string} id
+ * @returns {Promise<string|null>}
+ */
+async function fetchRawPayload(id) {
+  try {
+    return await fetchConversationData(id);
+  } catch (err) {
+    logger.warn(`Raw payload unavailable for ${id}`, err);
+    return null;
+  }
+}
+
+function throwIfCancelled(runToken) {
+  if (runToken?.cancelled) {
+    throw new Error("Export cancelled");
+  }
+}
+
+/**
+ * Load a conversation for export. Primary source is the API. The chat open in
+ * the tab can fall back to its rendered DOM; for selected chats the tab may
+ * also be navigated to a chat whose API lookup failed.
+ *
+ * @param {string} id
+ * @param {{cancelled:boolean}} runToken
+ * @param {PageAccess} access
+ * @param {import("./lib/messages.js").ExportOptions} [options]
+ * @returns {Promise<{ conversation: import("./lib/schema.js").NormalizedConversation, apiFailed: boolean, rawPayload: string|null }>}
+ */
+async function loadConversationForExport(id, runToken, access, options = {}) {
+  const readFromPage = () => access.withPage(async () => {
+    throwIfCancelled(runToken);
+    if (id !== access.activeId) access.navigation.used = true;
+    return access.page.extractConversation(id);
+  });
+
+  if (access.allowNavigate && access.navigation.preferDom) {
+    return { conversation: await readFromPage(), apiFailed: false, rawPayload: null };
+  }
+
+  try {
+    let rawPayload = null;
+    const conversation = await fetchAndNormalizeConversation(id, options, (body) => { rawPayload = body; });
+    return { conversation, apiFailed: false, rawPayload };
+  } catch (err) {
+    if (!access.allowNavigate && id !== access.activeId) {
+      throw err;
+    }
+
+    logger.warn(`API load failed for ${id}; reading it from the ChatGPT tab instead`, err);
+    let conversation;
+    try {
+      conversation = await readFromPage();
+    } catch (pageErr) {
+      logger.warn(`Page fallback failed for ${id}`, pageErr);
+      throw err;
+    }
+    return {
+      conversation,
+      apiFailed: isApi404Error(err),
+      rawPayload: null
+    };
+  }
+}
+
+function isApi404Error(err) {
+  return err instanceof NotFoundError;
+}
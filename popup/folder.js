@@ -0,0 +1,49 @@
+import { loadExportFolder, saveExportFolder } from "../lib/export_folder.js";
+
+const elements = {
+  current:    document.getElementById("folder-current"),
+  pickFolder: document.getElementById("pick-folder"),
+  status:     document.getElementById("status"),
+};
+
+init().catch((error) => {
+  setStatus(error instanceof Error ? error.message : "Initialization failed");
+});
+
+async function init() {
+  elements.pickFolder.addEventListener("click", () => {
+    void pickFolder();
+  });
+  showFolder(await loadExportFolder());
+}
+
+async function pickFolder() {
+  let handle;
+  try {
+    handle = await window.showDirectoryPicker({ id: "chatgpt-export", mode: "readwrite" });
+  } catch (error) {
+    // Dismissing the picker is not an error.
+    if (error?.name !== "AbortError") {
+      setStatus(error instanceof Error ? error.message : "Could not open the folder picker");
+    }
+    return;
+  }
+
+  try {
+    await saveExportFolder(handle);
+  } catch (error) {
+    setStatus(error instanceof Error ? error.message : "Could not remember the folder");
+    return;
+  }
+  showFolder(handle);
+  setStatus("Folder saved. You can close this tab and start the export from the popup.");
+}
+
+/** @param {FileSystemDirectoryHandle|null} handle */
+function showFolder(handle) {
+  elements.current.textContent = handle ? `Current folder: ${handle.name}` : "No folder chosen";
+}
+
+function setStatus(text) {
+  elements.status.textContent = text;
+}
@@ -1,4 +1,8 @@
 import { MsgType } from "../lib/messages.js";
+import { normalizeExportFilter } from "../lib/filter.js";
+import { clampConcurrency, DEFAULT_CONCURRENCY } from "../lib/pool.js";
+import { normalizeArchiveSizeMb } from "../lib/exporter/packager.js";
+import { loadExportFolder, hasFolderPermission } from "../lib/export_folder.js";
 
 const elements = {
   exportBtn:     document.getElementById("export-btn"),
@@ -6,6 +10,8 @@ const elements = {
   settingsToggle:document.getElementById("settings-toggle"),
   settings:      document.getElementById("settings"),
   namingTemplate:document.getElementById("naming-template"),
+  concurrency:   document.getElementById("concurrency"),
+  maxArchiveMb:  document.getElementById("max-archive-mb"),
   saveSettings:  document.getElementById("save-settings"),
   resetSettings: document.getElementById("reset-settings"),
   progress:      document.getElementById("progress"),
@@ -15,9 +21,26 @@ const elements = {
   resumeText:    document.getElementById("resume-text"),
   resumeBtn:     document.getElementById("resume-btn"),
   discardBtn:    document.getElementById("discard-btn"),
+  optBranches:   document.getElementById("opt-branches"),
+  optReasoning:  document.getElementById("opt-reasoning"),
+  optIncremental:document.getElementById("opt-incremental"),
+  filters:       document.getElementById("filters"),
+  filterUpdatedFrom: document.getElementById("filter-updated-from"),
+  filterUpdatedTo:   document.getElementById("filter-updated-to"),
+  filterCreatedFrom: document.getElementById("filter-created-from"),
+  filterCreatedTo:   document.getElementById("filter-created-to"),
+  filterGpts:    document.getElementById("filter-gpts"),
+  filterModels:  document.getElementById("filter-models"),
+  filterTitle:   document.getElementById("filter-title"),
+  folderName:    document.getElementById("folder-name"),
+  chooseFolder:  document.getElementById("choose-folder"),
 };
 
 let isExportRunning = false;
+/** @type {FileSystemDirectoryHandle|null} */
+let exportFolder = null;
+/** Destination of the export started from this popup, for the completion message. */
+let activeDestination = null;
 
 init().catch((error) => {
   setStatus(error instanceof Error ? error.message : "Initialization failed");
@@ -28,17 +51,48 @@ function getSelectedScope() {
   return input ? input.value : null;
 }
 
+/** @returns {import("../lib/messages.js").ExportDestination} */
+function getSelectedDestination() {
+  const input = document.querySelector('input[name="destination"]:checked');
+  return input?.value === "folder" ? "folder" : "zip";
+}
+
 function getSelectedFormats() {
   return Array.from(document.querySelectorAll('input[name="format"]:checked')).map(
     (node) => node.value
   );
 }
 
+/** @returns {import("../lib/messages.js").ExportOptions} */
+function getSelectedOptions() {
+  return {
+    includeBranches:  elements.optBranches.checked,
+    includeReasoning: elements.optReasoning.checked
+  };
+}
+
+/**
+ * @returns {import("../lib/filter.js").ExportFilter|null}
+ * @throws {Error} when a filter field is malformed
+ */
+function getSelectedFilter() {
+  return normalizeExportFilter({
+    updatedFrom:  elements.filterUpdatedFrom.value,
+    updatedTo:    elements.filterUpdatedTo.value,
+    createdFrom:  elements.filterCreatedFrom.value,
+    createdTo:    elements.filterCreatedTo.value,
+    customGpts:   elements.filterGpts.value,
+    models:       elements.filterModels.value,
+    titlePattern: elements.filterTitle.value
+  });
+}
+
 // ─── Initialization ───────────────────────────────────────────────────────────
 
 async function init() {
   wireEvents();
   await loadPreferences();
+  await showExportFolder();
   await pingServiceWorker();
   await checkResumeState();
   updateExportButtonState();
@@ -76,12 +130,20 @@ function wireEvents() {
     void discardResume();
   });
 
+  // Native pickers close the action popup, so the folder is chosen in a tab.
+  elements.chooseFolder.addEventListener("click", () => {
+    void chrome.tabs.create({ url: chrome.runtime.getURL("popup/folder.html") });
+  });
+
   for (const radio of document.querySelectorAll('input[name="scope"]')) {
     radio.addEventListener("change", updateExportButtonState);
   }
   for (const checkbox of document.querySelectorAll('input[name="format"]')) {
     checkbox.addEventListener("change", updateExportButtonState);
   }
+  for (const radio of document.querySelectorAll('input[name="destination"]')) {
+    radio.addEventListener("change", updateExportButtonState);
+  }
 
   chrome.runtime.onMessage.addListener((message) => {
     if (!message || message.type !== MsgType.EXPORT_PROGRESS) {
@@ -92,9 +154,13 @@ function wireEvents() {
       isExportRunning = false;
       elements.progress.hidden = true;
       updateExportButtonState();
-      setStatus(payload.phase === "done"
-        ? "Export complete! Check your downloads."
-        : `Error: ${payload.message || "Unknown error"}`);
+      if (payload.phase === "error") {
+        setStatus(`Error: ${payload.message || "Unknown error"}`);
+      } else if (activeDestination === "folder") {
+        setStatus(`Export complete! Files written to "${exportFolder?.name ?? "the export folder"}".`);
+      } else {
+        setStatus("Export complete! Check your downloads.");
+      }
     } else {
       elements.progress.hidden = false;
       elements.progressText.textContent = formatProgress(payload);
@@ -107,6 +173,9 @@ function wireEvents() {
 async function startExport(resumePayload = null) {
   const scope   = resumePayload?.scope   ?? getSelectedScope();
   const formats = resumePayload?.formats ?? getSelectedFormats();
+  const options = resumePayload?.options ?? getSelectedOptions();
+  const incremental = resumePayload ? Boolean(resumePayload.incremental) : elements.optIncremental.checked;
+  const destination = resumePayload?.destination ?? getSelectedDestination();
 
   if (!scope || formats.length === 0) {
     setStatus("Select a scope and at least one format.");
@@ -114,7 +183,22 @@ async function startExport(resumePayload = null) {
     return;
   }
 
+  let filter;
+  try {
+    filter = resumePayload ? resumePayload.filter ?? null : getSelectedFilter();
+  } catch (error) {
+    elements.filters.open = true;
+    setStatus(error instanceof Error ? error.message : "Invalid filter");
+    return;
+  }
+
+  // Re-granting folder access needs this click; the offscreen runner cannot prompt.
+  if (destination === "folder" && !(await ensureFolderAccess())) {
+    return;
+  }
+
   isExportRunning = true;
+  activeDestination = destination;
   updateExportButtonState();
   elements.resumeBanner.hidden = true;
   elements.progress.hidden = false;
@@ -124,7 +208,7 @@ async function startExport(resumePayload = null) {
   try {
     const response = await chrome.runtime.sendMessage({
       type: MsgType.START_EXPORT,
-      payload: { scope, formats }
+      payload: { scope, formats, options, filter, incremental, destination, resume: Boolean(resumePayload) }
     });
     if (!response?.ok) {
       throw new Error(response?.error || "Export failed to start");
@@ -150,8 +234,25 @@ async function resumeExport() {
   const rsResp = await chrome.runtime.sendMessage({ type: MsgType.GET_RESUME_STATE });
   const state  = rsResp?.resumeState;
   if (state) {
-    await startExport({ scope: state.scope, formats: state.formats });
+    await startExport({ scope: state.scope, formats: state.formats, options: state.options, filter: state.filter,
+      incremental: state.incremental, destination: state.destination });
+  }
+}
+
+/** @returns {Promise<boolean>} whether the chosen folder can be written to */
+async function ensureFolderAccess() {
+  if (!exportFolder) {
+    setStatus("Choose a folder to save to first.");
+    return false;
+  }
+  try {
+    if (await hasFolderPermission(exportFolder, true)) return true;
+  } catch (error) {
+    setStatus(error instanceof Error ? error.message : "Folder access failed");
+    return false;
   }
+  setStatus(`Access to "${exportFolder.name}" was not granted.`);
+  return false;
 }
 
 async function discardResume() {
@@ -172,6 +273,9 @@ async function loadPreferences() {
   if (typeof prefs.namingTemplate === "string") {
     elements.namingTemplate.value = prefs.namingTemplate;
   }
+  elements.concurrency.value = String(clampConcurrency(prefs.concurrency));
+  elements.maxArchiveMb.value = String(normalizeArchiveSizeMb(prefs.maxArchiveMb));
+  setSelectedDestination(prefs.destination);
 
   if (Array.isArray(prefs.defaultFormats)) {
     const defaults = new Set(prefs.defaultFormats);
@@ -184,8 +288,13 @@ async function loadPreferences() {
 async function savePreferences() {
   const payload = {
     namingTemplate: elements.namingTemplate.value || "{date}_{title}",
-    defaultFormats: getSelectedFormats()
+    defaultFormats: getSelectedFormats(),
+    concurrency:    clampConcurrency(elements.concurrency.value),
+    maxArchiveMb:   normalizeArchiveSizeMb(elements.maxArchiveMb.value),
+    destination:    getSelectedDestination()
   };
+  elements.concurrency.value = String(payload.concurrency);
+  elements.maxArchiveMb.value = String(payload.maxArchiveMb);
 
   const response = await chrome.runtime.sendMessage({
     type: MsgType.SAVE_PREFERENCES,
@@ -200,15 +309,41 @@ async function savePreferences() {
 }
 
 async function resetPreferences() {
-  const defaults = { namingTemplate: "{date}_{title}", defaultFormats: ["html", "markdown"] };
+  const defaults = {
+    namingTemplate: "{date}_{title}",
+    defaultFormats: ["html", "markdown"],
+    concurrency:    DEFAULT_CONCURRENCY,
+    maxArchiveMb:   0,
+    destination:    "zip"
+  };
   await chrome.runtime.sendMessage({ type: MsgType.SAVE_PREFERENCES, payload: defaults });
   elements.namingTemplate.value = defaults.namingTemplate;
+  elements.concurrency.value = String(defaults.concurrency);
+  elements.maxArchiveMb.value = String(defaults.maxArchiveMb);
+  setSelectedDestination(defaults.destination);
   for (const cb of document.querySelectorAll('input[name="format"]')) {
     cb.checked = defaults.defaultFormats.includes(cb.value);
   }
   setStatus("Preferences reset.");
 }
 
+/** @param {unknown} destination */
+function setSelectedDestination(destination) {
+  const value = destination === "folder" ? "folder" : "zip";
+  for (const radio of document.querySelectorAll('input[name="destination"]')) {
+    radio.checked = radio.value === value;
+  }
+  updateExportButtonState();
+}
+
+// ─── Export Folder ────────────────────────────────────────────────────────────
+
+async function showExportFolder() {
+  exportFolder = await loadExportFolder();
+  elements.folderName.textContent = exportFolder ? exportFolder.name : "No folder chosen";
+  elements.folderName.title = elements.folderName.textContent;
+}
+
 // ─── Resume State Check ───────────────────────────────────────────────────────
 
 async function checkResumeState() {
@@ -254,4 +389,5 @@ function updateExportButtonState() {
   const hasScope = Boolean(getSelectedScope());
   const hasFormats = getSelectedFormats().length > 0;
   elements.exportBtn.disabled = isExportRunning || !hasScope || !hasFormats;
+  elements.exportBtn.textContent = getSelectedDestination() === "folder" ? "Export to Folder" : "Export & Download ZIP";
 }
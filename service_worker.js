@@ -1,11 +1,18 @@
-import { MsgType } from "./lib/messages.js";
+import { MsgType, OFFSCREEN_TARGET } from "./lib/messages.js";
 import { logger } from "./lib/logger.js";
+import { DEFAULT_CONCURRENCY } from "./lib/pool.js";
 
 const STATE_KEYS = {
   PREFERENCES: "preferences",
-  RESUME: "resumeState"
+  RESUME: "resumeState",
+  LEDGER: "exportLedger"
+};
+/** chrome.storage.session: survives service-worker restarts, not browser restarts. */
+const SESSION_KEYS = {
+  OFFSCREEN: "offscreenState"
 };
 const CONTENT_SCRIPT_READY_WAITERS = new Map();
+const OFFSCREEN_URL = "offscreen.html";
 
 chrome.runtime.onInstalled.addListener(async () => {
   const current = await chrome.storage.local.get([STATE_KEYS.PREFERENCES]);
@@ -13,7 +20,10 @@ chrome.runtime.onInstalled.addListener(async () => {
     await chrome.storage.local.set({
       [STATE_KEYS.PREFERENCES]: {
         defaultFormats: ["html", "markdown"],
-        namingTemplate: "{date}_{title}"
+        namingTemplate: "{date}_{title}",
+        concurrency:    DEFAULT_CONCURRENCY,
+        maxArchiveMb:   0,
+        destination:    "zip"
       }
     });
   }
@@ -61,7 +71,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.type === MsgType.CANCEL_EXPORT) {
     logger.info("CANCEL_EXPORT received");
-    void handleCancelExport(sender)
+    void handleCancelExport()
       .then(() => sendResponse({ ok: true }))
       .catch((err) => sendResponse({ ok: false, error: err.message }));
     return true;
@@ -111,11 +121,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === MsgType.GET_LEDGER) {
+    void chrome.storage.local
+      .get([STATE_KEYS.LEDGER])
+      .then((result) => {
+        sendResponse({
+          ok: true,
+          ledger: result[STATE_KEYS.LEDGER] || null
+        });
+      })
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+
+  if (message.type === MsgType.SAVE_LEDGER) {
+    void chrome.storage.local
+      .set({ [STATE_KEYS.LEDGER]: message.payload || null })
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ ok: false, error: err.message }));
+    return true;
+  }
+
+  // Sent by the runner once every part of the export has been delivered.
+  if (message.type === MsgType.CLEAR_RESUME_STATE) {
+    void queueResumeState(() => chrome.storage.local.remove(STATE_KEYS.RESUME))
+      .then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
   if (message.type === MsgType.EXPORT_PROGRESS) {
     const progressPayload = message.payload || {};
     logger.debug("Relaying EXPORT_PROGRESS", progressPayload);
 
-    void chrome.storage.local.get([STATE_KEYS.RESUME]).then((result) => {
+    void queueResumeState(async () => {
+      const result = await chrome.storage.local.get([STATE_KEYS.RESUME]);
       const state = result[STATE_KEYS.RESUME];
       if (!state) return;
 
@@ -123,7 +162,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         state.allIds = progressPayload.allIds;
       }
 
-      if (progressPayload.phase === "exporting" || progressPayload.phase === "packaging") {
+      if (progressPayload.phase === "exporting" || progressPayload.phase === "packaging" ||
+          progressPayload.phase === "writing") {
         state.status = "in_progress";
       }
 
@@ -141,25 +181,38 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return chrome.storage.local.set({ [STATE_KEYS.RESUME]: state });
     });
 
+    // The run is over either way; the offscreen document is recreated per export.
+    if (progressPayload.phase === "done" || progressPayload.phase === "error") {
+      void updateOffscreenState((state) => ({ ...state, runnerDone: true }));
+    }
+
     // Relay to popup (may be closed — ignore errors)
     void chrome.runtime.sendMessage(message).catch(() => {});
     return false;
   }
 
+  if (message.type === MsgType.PAGE_TASK) {
+    void relayPageTask(message)
+      .then((response) => sendResponse(response ?? { ok: false, error: "No response from the ChatGPT tab" }))
+      .catch((err) => sendResponse({ ok: false, error: err instanceof Error ? err.message : String(err) }));
+    return true;
+  }
+
   if (message.type === MsgType.TRIGGER_DOWNLOAD) {
-    const { dataUrl, fileName } = message.payload || {};
-    if (!dataUrl || !fileName) {
-      sendResponse({ ok: false, error: "Missing dataUrl or fileName" });
+    const { url, fileName } = message.payload || {};
+    if (!url || !fileName) {
+      sendResponse({ ok: false, error: "Missing url or fileName" });
       return true;
     }
-    chrome.downloads.download({ url: dataUrl, filename: fileName, saveAs: false }, (downloadId) => {
+    chrome.downloads.download({ url, filename: fileName, saveAs: false }, (downloadId) => {
       if (chrome.runtime.lastError) {
         logger.error("Download failed", chrome.runtime.lastError.message);
         sendResponse({ ok: false, error: chrome.runtime.lastError.message });
       } else {
         logger.info("Download started, id:", downloadId);
-        // Clear resume state after successful download
-        void chrome.storage.local.remove(STATE_KEYS.RESUME);
+        // The blob URL belongs to the offscreen document; keep it open
+        // until the download has read the whole file.
+        void updateOffscreenState((state) => ({ ...state, downloads: [...state.downloads, downloadId] }));
         sendResponse({ ok: true, downloadId });
       }
     });
@@ -169,23 +222,43 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false;
 });
 
+chrome.downloads.onChanged.addListener((delta) => {
+  const state = delta.state?.current;
+  if (state !== "complete" && state !== "interrupted") return;
+  void updateOffscreenState((current) =>
+    current.downloads.includes(delta.id)
+      ? { ...current, downloads: current.downloads.filter((id) => id !== delta.id) }
+      : null);
+});
+
 /**
- * Kick off an export run: persist resumeState, then send RUN_EXPORT to the
- * active chatgpt.com tab's content script.
+ * Kick off an export run: persist resumeState, make sure the chatgpt.com tab
+ * has its content script (for DOM steps), then start the pipeline in the
+ * offscreen document. A resumed run keeps the previous state's export id and
+ * progress so the pipeline can reload the conversations that run already
+ * stored.
  * @param {import("./lib/messages.js").StartExportPayload} payload
  * @param {chrome.runtime.MessageSender} sender
  */
 async function handleStartExport(payload, sender) {
+  const previous = payload?.resume
+    ? (await chrome.storage.local.get([STATE_KEYS.RESUME]))[STATE_KEYS.RESUME] || null
+    : null;
+
   /** @type {import("./lib/messages.js").ResumeState} */
   const resumeState = {
     schemaVersion: 1,
-    exportId: `exp_${Date.now()}`,
+    exportId: previous?.exportId || `exp_${Date.now()}`,
     scope: payload?.scope || "current",
     formats: payload?.formats || [],
+    options: payload?.options || {},
+    filter: payload?.filter || null,
+    incremental: Boolean(payload?.incremental),
+    destination: payload?.destination === "folder" ? "folder" : "zip",
     status: "started",
-    startedAt: Date.now(),
-    allIds: [],
-    completedIds: []
+    startedAt: previous?.startedAt || Date.now(),
+    allIds: previous?.allIds || [],
+    completedIds: previous?.completedIds || []
   };
   await chrome.storage.local.set({ [STATE_KEYS.RESUME]: resumeState });
 
@@ -199,42 +272,135 @@ async function handleStartExport(payload, sender) {
     throw new Error("No active chatgpt.com tab found — open ChatGPT first.");
   }
 
-  await sendRunExportMessage(tabId, payload);
+  await ensureContentScript(tabId);
+  await updateOffscreenState((state) => ({ ...state, runnerDone: false }));
+  await ensureOffscreenDocument();
+  /** @type {import("./lib/messages.js").RunExportMessage} */
+  const runMessage = { type: MsgType.RUN_EXPORT, target: OFFSCREEN_TARGET, tabId, payload };
+  const response = await chrome.runtime.sendMessage(runMessage);
+  if (!response?.ok) {
+    throw new Error(response?.message || "Export runner did not start");
+  }
 }
 
 /**
  * Cancel any active export run and clear resume state.
- * @param {chrome.runtime.MessageSender} sender
  */
-async function handleCancelExport(sender) {
-  await chrome.storage.local.remove(STATE_KEYS.RESUME);
+async function handleCancelExport() {
+  await queueResumeState(() => chrome.storage.local.remove(STATE_KEYS.RESUME));
+  // Best-effort signal to stop the pipeline; there is nothing to stop when
+  // no offscreen document exists.
+  await chrome.runtime.sendMessage({ type: MsgType.STOP_EXPORT, target: OFFSCREEN_TARGET }).catch(() => {});
+}
 
-  let tabId = sender?.tab?.id;
-  if (!tabId) {
-    const [tab] = await chrome.tabs.query({ active: true, url: "https://chatgpt.com/*" });
-    tabId = tab?.id;
+let resumeStateQueue = Promise.resolve();
+
+/**
+ * Serialize read-modify-write updates of the resume state, so a progress
+ * update that read it earlier cannot write it back after it was cleared.
+ *
+ * @param {() => Promise<unknown>} task
+ * @returns {Promise<void>}
+ */
+function queueResumeState(task) {
+  resumeStateQueue = resumeStateQueue.then(task).then(
+    () => {},
+    (err) => logger.warn("Could not update resume state", err)
+  );
+  return resumeStateQueue;
+}
+
+// ─── Offscreen Document ───────────────────────────────────────────────────────
+
+async function ensureOffscreenDocument() {
+  try {
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: [chrome.offscreen.Reason.BLOBS],
+      justification: "Fetch ChatGPT conversations and build the export ZIP outside the chatgpt.com tab"
+    });
+  } catch (error) {
+    const msg = error instanceof Error ? error.message : String(error);
+    if (!msg.includes("single offscreen document")) {
+      throw error;
+    }
   }
+}
+
+async function closeOffscreenDocument() {
+  await chrome.offscreen.closeDocument().catch(() => {});
+}
+
+let offscreenStateQueue = Promise.resolve();
+
+/**
+ * Apply `update` to the persisted offscreen state, then close the document
+ * once the runner has finished and no download still reads its blob URL.
+ * Updates are queued so concurrent events do not overwrite each other.
+ *
+ * @param {(state: OffscreenState) => OffscreenState|null} update  null leaves the state unchanged
+ * @returns {Promise<void>}
+ */
+function updateOffscreenState(update) {
+  offscreenStateQueue = offscreenStateQueue.then(async () => {
+    const stored = (await chrome.storage.session.get([SESSION_KEYS.OFFSCREEN]))[SESSION_KEYS.OFFSCREEN];
+    const next   = update(stored || { runnerDone: false, downloads: [] });
+    if (!next) return;
+    await chrome.storage.session.set({ [SESSION_KEYS.OFFSCREEN]: next });
+    if (next.runnerDone && next.downloads.length === 0) {
+      await closeOffscreenDocument();
+    }
+  }).catch((err) => logger.warn("Could not update offscreen document state", err));
+  return offscreenStateQueue;
+}
+
+/**
+ * @typedef {Object} OffscreenState
+ * @property {boolean}  runnerDone  – the last export run reported done or error
+ * @property {number[]} downloads   – ids of downloads still reading an offscreen blob URL
+ */
+
+// ─── Page Tasks ───────────────────────────────────────────────────────────────
 
-  if (tabId) {
-    // Best-effort signal to stop the currently running content-script pipeline.
-    await chrome.tabs.sendMessage(tabId, { type: MsgType.STOP_EXPORT }).catch(() => {});
+/**
+ * Forward a DOM step from the offscreen pipeline to the chatgpt.com tab. If
+ * the tab was reloaded (or the task itself reloaded it), wait for the fresh
+ * content script and try once more.
+ *
+ * @param {import("./lib/messages.js").PageTaskMessage} message
+ * @returns {Promise<import("./lib/messages.js").PageTaskResponse>}
+ */
+async function relayPageTask(message) {
+  const { tabId, task, args } = message;
+  if (tabId == null) {
+    return { ok: false, error: "No ChatGPT tab is attached to this export" };
   }
+  const forward = () => chrome.tabs.sendMessage(tabId, { type: MsgType.PAGE_TASK, task, args });
+  try {
+    return await forward();
+  } catch (error) {
+    const msg = error instanceof Error ? error.message : String(error);
+    if (!/Receiving end does not exist|message (port|channel) closed/i.test(msg)) {
+      throw error;
+    }
+  }
+  logger.warn("ChatGPT tab reloaded during a page task; retrying", { tabId, task });
+  await ensureContentScript(tabId);
+  return forward();
 }
 
+// ─── Content Script ───────────────────────────────────────────────────────────
+
 /**
- * Ensure the content script is present in the tab before dispatching RUN_EXPORT.
+ * Ensure the content script is present in the tab before sending it page tasks.
  * This handles the common case where the tab was opened before extension install/update.
  *
  * @param {number} tabId
- * @param {import("./lib/messages.js").StartExportPayload} payload
  */
-async function sendRunExportMessage(tabId, payload) {
+async function ensureContentScript(tabId) {
   try {
-    await chrome.tabs.sendMessage(tabId, {
-      type: MsgType.RUN_EXPORT,
-      payload
-    });
-    return;
+    const resp = await chrome.tabs.sendMessage(tabId, { type: MsgType.PAGE_CONTEXT_STATUS });
+    if (resp?.ok) return;
   } catch (error) {
     const msg = error instanceof Error ? error.message : String(error);
     if (!msg.includes("Receiving end does not exist")) {
@@ -251,11 +417,6 @@ async function sendRunExportMessage(tabId, payload) {
   if (!isReady) {
     throw new Error("Content script failed to initialize in tab. Reload ChatGPT tab and try again.");
   }
-
-  await chrome.tabs.sendMessage(tabId, {
-    type: MsgType.RUN_EXPORT,
-    payload
-  });
 }
 
 /**
@@ -9,7 +9,7 @@ echo "[1/5] Checking for dangerous dynamic code patterns"
 if rg -n \
   --glob '*.js' \
   --glob '*.html' \
-  --glob '!lib/jszip.min.js' \
+  --glob '!lib/katex.min.js' \
   --glob '!lib/highlight.min.js' \
   'eval\(|new Function\(' "$ROOT" >/dev/null; then
   echo "Found disallowed dynamic code execution pattern."
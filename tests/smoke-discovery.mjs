@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { discoverConversations } from "../lib/discovery.js";
+import { configureRequests } from "../lib/request.js";
+
+configureRequests({ retries: 1, baseDelayMs: 1, minIntervalMs: 0 });
+
+const item = (id, extra = {}) => ({ id, title: `Chat ${id}`, update_time: 1708000000, ...extra });
+
+// Canned responses keyed by path + query, mirroring the backend listings.
+const routes = {
+  "/backend-api/conversations?offset=0&limit=100&order=updated":
+    { items: [item("a"), item("b"), item("g", { gizmo_id: "g-gpt" })] },
+  "/backend-api/conversations?offset=0&limit=100&order=updated&is_archived=true":
+    { items: [item("b", { is_archived: true }), item("c", { is_archived: true })] },
+  "/backend-api/gizmos/snorlax/sidebar?conversations_per_gizmo=0":
+    { items: [{ gizmo: { gizmo: { id: "g-p-1", display: { name: "Thesis" } } } }], cursor: "next" },
+  "/backend-api/gizmos/snorlax/sidebar?conversations_per_gizmo=0&cursor=next":
+    { items: [{ gizmo: { gizmo: { id: "g-p-2", display: { name: "Broken" } } } }], cursor: null },
+  "/backend-api/gizmos/g-p-1/conversations?cursor=0":
+    { items: [item("p1", { gizmo_id: "g-p-1" })], cursor: "5" },
+  "/backend-api/gizmos/g-p-1/conversations?cursor=5":
+    { items: [item("a", { gizmo_id: "g-p-1" })], cursor: null }
+};
+
+globalThis.fetch = async (url) => {
+  const { pathname, search } = new URL(url);
+  const body = routes[pathname + search];
+  return body
+    ? { ok: true, status: 200, json: async () => body }
+    : { ok: false, status: 404, json: async () => ({}) };
+};
+
+async function testFullDumpSources() {
+  const progress = [];
+  const metas = await discoverConversations("full", undefined, (ids) => progress.push(ids.length));
+  const byId = Object.fromEntries(metas.map((m) => [m.id, m]));
+
+  assert.deepEqual(metas.map((m) => m.id).sort(), ["a", "b", "c", "g", "p1"], "deduped by id");
+  assert.equal(byId.g.source, "history");
+  assert.equal(byId.g.customGptName, "g-gpt");
+  assert.equal(byId.b.source, "archived", "archived listing wins over history");
+  assert.equal(byId.c.source, "archived");
+  assert.deepEqual([byId.p1.source, byId.p1.projectName, byId.p1.customGptName], ["project", "Thesis", null]);
+  assert.deepEqual([byId.a.source, byId.a.projectName], ["project", "Thesis"], "project listing wins over history");
+  assert.equal(progress.at(-1), 5, "progress reports every discovered id");
+}
+
+async function testHistoryFailureIsFatal() {
+  const history = "/backend-api/conversations?offset=0&limit=100&order=updated";
+  const saved = routes[history];
+  delete routes[history];
+  try {
+    await assert.rejects(discoverConversations("full"), /Could not list conversation history/,
+      "a failed history listing must not yield a truncated dump");
+  } finally {
+    routes[history] = saved;
+  }
+}
+
+async function testCurrentChat() {
+  routes["/backend-api/conversation/cur"] = item("cur", { title: "Open chat" });
+  const [meta] = await discoverConversations("current", undefined, undefined, "cur");
+  assert.deepEqual([meta.id, meta.title], ["cur", "Open chat"], "the tab's chat id comes from the caller");
+
+  const [minimal] = await discoverConversations("current", undefined, undefined, "gone");
+  assert.equal(minimal.id, "gone", "metadata lookup failures still export the chat");
+  assert.deepEqual(await discoverConversations("current"), [], "no open chat, nothing to export");
+}
+
+async function main() {
+  await testFullDumpSources();
+  await testCurrentChat();
+  await testHistoryFailureIsFatal();
+  console.log("smoke-discovery: all checks passed");
+}
+
+await main();
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { domToParts } from "../lib/dom_markdown.js";
+
+// Minimal element/text nodes: just enough of the DOM Node interface.
+function h(tag, attrs, ...children) {
+  const nodes = children.map((c) => (typeof c === "string" ? { nodeType: 3, textContent: c } : c));
+  return {
+    nodeType: 1,
+    nodeName: tag.toUpperCase(),
+    childNodes: nodes,
+    get textContent() { return nodes.map((n) => n.textContent).join(""); },
+    getAttribute: (name) => (attrs && name in attrs ? attrs[name] : null)
+  };
+}
+
+function testOrderAndInline() {
+  const el = h("div", { "data-message-author-role": "assistant" },
+    h("div", { class: "markdown prose" },
+      h("h2", null, "Setup"),
+      h("p", null, "Run ", h("code", null, "npm i"), " then see ", h("a", { href: "https://x.dev" }, "the docs"), ".\n  ",
+        h("strong", null, "Important"), " and ", h("em", null, "subtle"), "."),
+      h("pre", null,
+        h("div", null, "bash", h("button", null, "Copy code")),
+        h("div", null, h("code", { class: "hljs language-bash" }, "npm test\n"))),
+      h("p", null, "After the code.")));
+
+  assert.deepEqual(domToParts(el), [
+    { type: "text", text: "## Setup\n\nRun `npm i` then see [the docs](https://x.dev). **Important** and *subtle*." },
+    { type: "code", language: "bash", text: "npm test" },
+    { type: "text", text: "After the code." }
+  ]);
+}
+
+function testListsAndTables() {
+  const el = h("div", null,
+    h("ol", { start: "3" },
+      h("li", null, "First", h("ul", null, h("li", null, "Nested ", h("code", null, "a`b")), h("li", null, "Two"))),
+      h("li", null, "Second")),
+    h("table", null,
+      h("thead", null, h("tr", null, h("th", null, "Name"), h("th", { style: "text-align: right" }, "Count"))),
+      h("tbody", null, h("tr", null, h("td", null, "a|b"), h("td", null, "2")))),
+    h("blockquote", null, h("p", null, "Quoted"), h("p", null, "Twice")));
+
+  assert.equal(domToParts(el)[0].text, [
+    "3. First",
+    "   - Nested ``a`b``",
+    "   - Two",
+    "4. Second",
+    "",
+    "| Name | Count |",
+    "| --- | ---: |",
+    "| a\\|b | 2 |",
+    "",
+    "> Quoted",
+    ">",
+    "> Twice"
+  ].join("\n"));
+}
+
+function testUserPromptAndImages() {
+  const el = h("div", { "data-message-author-role": "user" },
+    h("div", null, h("img", { src: "https://files.example/img.png", alt: "upload" })),
+    h("div", { class: "whitespace-pre-wrap" }, "line one\n  *not emphasis*"));
+
+  assert.deepEqual(domToParts(el), [
+    { type: "image", assetId: "https://files.example/img.png", width: null, height: null, mimeType: "image/png" },
+    { type: "text", text: "line one\n  *not emphasis*" }
+  ]);
+}
+
+function testKatexSource() {
+  const katex = (cls, tex) => h("span", { class: cls },
+    h("span", { class: "katex-mathml" }, h("math", null, h("semantics", null, h("mi", null, "x"),
+      h("annotation", { encoding: "application/x-tex" }, tex)))),
+    h("span", { class: "katex-html", "aria-hidden": "true" }, "x²"));
+
+  const el = h("div", null,
+    h("p", null, "Value ", katex("katex", "x^2"), " is"),
+    h("p", null, h("span", { class: "katex-display" }, katex("katex", "\\sum_i x_i"))));
+
+  assert.equal(domToParts(el)[0].text, "Value \\(x^2\\) is\n\n\\[\\sum_i x_i\\]");
+}
+
+function main() {
+  testOrderAndInline();
+  testListsAndTables();
+  testUserPromptAndImages();
+  testKatexSource();
+  console.log("smoke-dom-markdown: all checks passed");
+}
+
+main();
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { createFolderWriter, hasFolderPermission, openExportFolder } from "../lib/export_folder.js";
+
+/** In-memory FileSystemDirectoryHandle with just the calls the writer makes; counts real writes. */
+function fakeDirectory(name, stats = { writes: 0 }) {
+  const children = new Map();
+  const notFound = () => Object.assign(new Error("not found"), { name: "NotFoundError" });
+  return {
+    name,
+    kind: "directory",
+    children,
+    stats,
+    async getDirectoryHandle(child, { create = false } = {}) {
+      if (!children.has(child)) {
+        if (!create) throw notFound();
+        children.set(child, fakeDirectory(child, stats));
+      }
+      return children.get(child);
+    },
+    async getFileHandle(child, { create = false } = {}) {
+      if (!children.has(child)) {
+        if (!create) throw notFound();
+        children.set(child, { kind: "file", bytes: new Uint8Array(0) });
+      }
+      const entry = children.get(child);
+      return {
+        getFile: async () => new Blob([entry.bytes]),
+        createWritable: async () => {
+          let pending = null;
+          return {
+            write: async (data) => { pending = new Uint8Array(data); },
+            close: async () => { entry.bytes = pending; stats.writes++; },
+            abort: async () => {}
+          };
+        }
+      };
+    }
+  };
+}
+
+async function testWriterSkipsUnchangedFiles() {
+  const root   = fakeDirectory("vault");
+  const folder = createFolderWriter(root);
+  assert.equal(folder.name, "vault");
+  assert.equal(await folder.readText("chats/missing.md"), null);
+
+  assert.equal(await folder.writeFile("chats/2024-01-01_a.md", "# A"), true);
+  assert.equal(await folder.writeFile("images/a_0.png", new Uint8Array([1, 2, 3]).buffer), true);
+  assert.equal(await folder.writeFile("index.html", "<ul></ul>"), true);
+  assert.equal(root.stats.writes, 3);
+
+  assert.equal(await folder.readText("chats/2024-01-01_a.md"), "# A");
+  assert.equal(await folder.writeFile("chats/2024-01-01_a.md", "# A"), false, "same content is not rewritten");
+  assert.equal(await folder.writeFile("images/a_0.png", new Uint8Array([1, 2, 3]).buffer), false);
+  assert.equal(await folder.writeFile("chats/2024-01-01_a.md", "# B"), true, "changed content is");
+  assert.equal(await folder.writeFile("index.html", "<ul> </ul>"), true);
+  assert.equal(root.stats.writes, 5);
+
+  assert.deepEqual([...root.children.keys()], ["chats", "images", "index.html"]);
+  assert.equal(new TextDecoder().decode(root.children.get("chats").children.get("2024-01-01_a.md").bytes), "# B");
+}
+
+async function testPermission() {
+  const calls = [];
+  const handle = (query, request) => ({
+    queryPermission:   async (opts) => { calls.push(["query", opts.mode]); return query; },
+    requestPermission: async (opts) => { calls.push(["request", opts.mode]); return request; }
+  });
+  assert.equal(await hasFolderPermission(handle("granted", "denied")), true);
+  assert.equal(await hasFolderPermission(handle("prompt", "granted")), false, "no prompt unless asked");
+  assert.equal(await hasFolderPermission(handle("prompt", "granted"), true), true);
+  assert.equal(await hasFolderPermission(handle("prompt", "denied"), true), false);
+  assert.deepEqual(calls.filter(([, mode]) => mode !== "readwrite"), []);
+}
+
+async function testNoFolderChosen() {
+  // Node has no IndexedDB, which reads the same as nothing remembered.
+  await assert.rejects(openExportFolder(), /No export folder chosen/);
+}
+
+async function main() {
+  await testWriterSkipsUnchangedFiles();
+  await testPermission();
+  await testNoFolderChosen();
+  console.log("smoke-export-folder: all checks passed");
+}
+
+await main();
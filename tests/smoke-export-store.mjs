@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+
+// Minimal in-memory IndexedDB: just the calls lib/idb.js and the store make.
+const databases = new Map();
+function fakeRequest(produce) {
+  const req = {};
+  queueMicrotask(() => {
+    try {
+      req.result = produce();
+      req.onsuccess?.();
+    } catch (err) {
+      req.error = err;
+      req.onerror?.();
+    }
+  });
+  return req;
+}
+globalThis.indexedDB = {
+  open(name) {
+    const req = {};
+    queueMicrotask(() => {
+      const isNew = !databases.has(name);
+      if (isNew) databases.set(name, new Map());
+      const stores = databases.get(name);
+      req.result = {
+        objectStoreNames:  [...stores.keys()],
+        createObjectStore: (store) => stores.set(store, new Map()),
+        deleteObjectStore: (store) => stores.delete(store),
+        transaction: () => ({
+          objectStore: (store) => {
+            const rows = stores.get(store);
+            return {
+              get:    (key) => fakeRequest(() => structuredClone(rows.get(key))),
+              getAll: () => fakeRequest(() => [...rows.values()].map((v) => structuredClone(v))),
+              put:    (value) => fakeRequest(() => rows.set(value.id, structuredClone(value))),
+              delete: (key) => fakeRequest(() => rows.delete(key)),
+              clear:  () => fakeRequest(() => rows.clear())
+            };
+          }
+        })
+      };
+      if (isNew) req.onupgradeneeded?.();
+      req.onsuccess?.();
+    });
+    return req;
+  }
+};
+
+const { loadExportOutcomes, loadExportRecord, saveExportOutcome, clearExportOutcomes } = await import("../lib/export_store.js");
+
+const record = (id) => ({
+  conversation: { id, title: `Chat ${id}`, messages: [] },
+  images: [{ assetId: "file-service://file-1", bytes: new Uint8Array([1, 2, 3]).buffer, mimeType: "image/png" }]
+});
+const rows    = () => databases.get("cgpt-exporter-runs").get("outcomes");
+const records = () => databases.get("cgpt-exporter-runs").get("records");
+
+async function testResumeRoundTrip() {
+  assert.equal((await loadExportOutcomes("exp_1")).size, 0);
+  const exported = { id: "a", title: "Chat a", updateTime: 1 };
+  assert.equal(await saveExportOutcome("exp_1", "a", { record: record("a"), exported, ledgerEntry: { updateTime: 1, hash: "h", title: "A" } }), true);
+  assert.equal(await saveExportOutcome("exp_1", "skipped", {}), true, "filtered-out chats are stored as done too");
+
+  const restored = await loadExportOutcomes("exp_1");
+  assert.deepEqual([...restored.keys()], ["a", "skipped"]);
+  const a = restored.get("a");
+  assert.equal(a.record, undefined, "records are not loaded with the outcomes");
+  assert.equal(a.stored, true);
+  assert.deepEqual(a.exported, exported);
+  assert.equal(a.ledgerEntry.hash, "h");
+  assert.deepEqual(restored.get("skipped"), { stored: false, exported: undefined, ledgerEntry: undefined });
+
+  const loaded = await loadExportRecord("a");
+  assert.equal(loaded.conversation.title, "Chat a");
+  assert.deepEqual(new Uint8Array(loaded.images[0].bytes), new Uint8Array([1, 2, 3]), "image bytes survive");
+  await assert.rejects(loadExportRecord("skipped"), /missing/);
+}
+
+async function testOtherExportsDropped() {
+  await saveExportOutcome("exp_old", "stale", { record: record("stale") });
+  const restored = await loadExportOutcomes("exp_1");
+  assert.equal(restored.has("stale"), false);
+  assert.equal(rows().has("stale"), false, "leftovers from an abandoned export are deleted");
+  assert.equal(records().has("stale"), false);
+  assert.equal(rows().size, 2);
+  assert.equal(records().size, 1);
+
+  await clearExportOutcomes();
+  assert.equal(rows().size, 0, "cleared after download");
+  assert.equal(records().size, 0);
+}
+
+async function main() {
+  await testResumeRoundTrip();
+  await testOtherExportsDropped();
+  console.log("smoke-export-store: all checks passed");
+}
+
+await main();
@@ -1,5 +1,5 @@
 import assert from "node:assert/strict";
-import { buildFileName, slugify, formatDate } from "../lib/naming.js";
+import { buildFileName, slugify, formatDate, pathToRoot, sanitizeFileName, getFolderPrefix } from "../lib/naming.js";
 import { renderJsonConversation } from "../lib/exporter/json.js";
 import { renderMarkdownConversation } from "../lib/exporter/markdown.js";
 import { renderHtmlConversation } from "../lib/exporter/html.js";
@@ -30,6 +30,85 @@ const sampleConversation = {
   ]
 };
 
+const branchedConversation = {
+  ...sampleConversation,
+  id: "conv_branch",
+  messages: [
+    { id: "u1", role: "user", createTime: null, parts: [{ type: "text", text: "Pick a color." }] },
+    { id: "a2", role: "assistant", createTime: null, parts: [{ type: "text", text: "Green." }] }
+  ],
+  tree: {
+    rootIds: ["u1"],
+    nodes: {
+      u1: { id: "u1", role: "user", createTime: null, parts: [{ type: "text", text: "Pick a color." }],
+            parentId: null, childIds: ["a1", "a2"], siblingIndex: 0, siblingCount: 1 },
+      a1: { id: "a1", role: "assistant", createTime: null, parts: [{ type: "text", text: "Blue." }],
+            parentId: "u1", childIds: [], siblingIndex: 0, siblingCount: 2 },
+      a2: { id: "a2", role: "assistant", createTime: null, parts: [{ type: "text", text: "Green." }],
+            parentId: "u1", childIds: [], siblingIndex: 1, siblingCount: 2 }
+    }
+  }
+};
+
+const toolConversation = {
+  ...sampleConversation,
+  id: "conv_tools",
+  messages: [
+    { id: "t1", role: "assistant", createTime: null,
+      parts: [{ type: "tool_call", tool: "python", language: "python", text: "print('hi')" }] },
+    { id: "t2", role: "tool", createTime: null,
+      parts: [{ type: "execution_output", tool: "python", text: "hi", stdout: "hi", stderr: "warn <x>" }] },
+    { id: "t3", role: "tool", createTime: null,
+      parts: [{ type: "quote", text: "Quoted.", title: "Example", url: "javascript:alert(1)", domain: null }] }
+  ]
+};
+
+const citedConversation = {
+  ...sampleConversation,
+  id: "conv_cite",
+  messages: [
+    { id: "c1", role: "assistant", createTime: null,
+      parts: [{ type: "text", text: "Paris is the capital【6†source】." }],
+      citations: [
+        { marker: "【6†source】", title: "Paris", url: "https://example.com/paris", quote: "Capital of France" },
+        { marker: null, title: "Atlas", url: "https://example.com/atlas", quote: null }
+      ] }
+  ]
+};
+
+const reasoningConversation = {
+  ...sampleConversation,
+  id: "conv_reason",
+  messages: [
+    { id: "r1", role: "assistant", createTime: null,
+      parts: [
+        { type: "reasoning", summary: null, thoughts: [{ summary: "Plan", content: "Check <edge> cases." }] },
+        { type: "text", text: "Done." }
+      ] }
+  ]
+};
+
+const attachmentConversation = {
+  ...sampleConversation,
+  id: "conv_files",
+  messages: [
+    { id: "f1", role: "user", createTime: null, parts: [{ type: "text", text: "Summarize these." }],
+      attachments: [
+        { id: "file-a", name: "report.pdf", mimeType: "application/pdf", size: 1024 },
+        { id: "file-b", name: "data.csv", mimeType: "text/csv", size: 10 }
+      ] }
+  ]
+};
+
+const sandboxConversation = {
+  ...sampleConversation,
+  id: "conv_sandbox",
+  messages: [
+    { id: "s1", role: "assistant", createTime: null,
+      parts: [{ type: "text", text: "[Chart](sandbox:/mnt/data/chart.png) and [zip](sandbox:/mnt/data/chart.png.zip)" }] }
+  ]
+};
+
 function testNaming() {
   assert.equal(slugify("Hello / World"), "hello-world");
   assert.equal(formatDate(1708000000), "2024-02-15");
@@ -38,6 +117,15 @@ function testNaming() {
   const a = buildFileName(sampleConversation, "{date}_{title}", used);
   const b = buildFileName(sampleConversation, "{date}_{title}", used);
   assert.notEqual(a, b, "collisions should be de-duplicated");
+
+  assert.equal(pathToRoot("chats/"), "../");
+  assert.equal(pathToRoot("custom-gpts/my-gpt/"), "../../");
+  assert.equal(sanitizeFileName("../Q3 Report: final?.xlsx"), "_Q3 Report_ final_.xlsx");
+
+  assert.equal(getFolderPrefix(sampleConversation), "chats/");
+  assert.equal(getFolderPrefix({ customGptName: "Data Analyst" }), "custom-gpts/data-analyst/");
+  assert.equal(getFolderPrefix({ source: "archived", customGptName: "Data Analyst" }), "archived/");
+  assert.equal(getFolderPrefix({ source: "project", projectName: "Thesis Notes" }), "projects/thesis-notes/");
 }
 
 function testJsonExporter() {
@@ -45,6 +133,7 @@ function testJsonExporter() {
   const parsed = JSON.parse(jsonText);
   assert.equal(parsed.id, "conv_abc123");
   assert.equal(parsed.model, "gpt-4o");
+  assert.equal(parsed.thread_strategy, null);
   assert.equal(parsed.messages.length, 2);
   assert.match(parsed.messages[1].content, /```python/);
 }
@@ -65,11 +154,177 @@ function testHtmlExporter() {
   assert.match(html, /hljs\.highlightElement/);
 }
 
+function testBranchRendering() {
+  const md = renderMarkdownConversation(branchedConversation);
+  assert.match(md, /Version 1 of 2[\s\S]*Blue\.[\s\S]*Version 2 of 2[\s\S]*Green\./);
+
+  const html = renderHtmlConversation(branchedConversation);
+  assert.match(html, /class="branch-tab" role="tab" data-branch="1" aria-selected="true"/,
+    "the linear thread's branch is selected by default");
+  assert.match(html, /data-branch="0" hidden>[\s\S]*Blue\./);
+
+  const parsed = JSON.parse(renderJsonConversation(branchedConversation));
+  assert.equal(parsed.messages.length, 2);
+  assert.deepEqual(parsed.message_tree.root_ids, ["u1"]);
+  assert.equal(parsed.message_tree.nodes.length, 3);
+  assert.equal(JSON.parse(renderJsonConversation(sampleConversation)).message_tree, null);
+}
+
+function testToolParts() {
+  const md = renderMarkdownConversation(toolConversation);
+  assert.match(md, /\*\*🔧 Tool call \(python\)\*\*\n\n```python\nprint\('hi'\)/);
+  assert.match(md, /\*\*📤 stderr \(python\)\*\*\n\n```text\nwarn <x>/);
+  assert.match(md, /^> Quoted\.$/m);
+
+  const html = renderHtmlConversation(toolConversation);
+  assert.match(html, /class="tool-call"/);
+  assert.match(html, /<pre class="stderr">warn &lt;x&gt;<\/pre>/);
+  assert.doesNotMatch(html, /javascript:alert/, "non-http quote links are dropped");
+
+  const parsed = JSON.parse(renderJsonConversation(toolConversation));
+  assert.equal(parsed.messages[1].parts[0].type, "execution_output");
+  assert.equal(parsed.messages[1].parts[0].stdout, "hi");
+  assert.match(parsed.messages[0].content, /\[tool call: python\]/);
+}
+
+function testCitationRendering() {
+  const md = renderMarkdownConversation(citedConversation);
+  assert.match(md, /Paris is the capital\[\^1\]\./);
+  assert.match(md, /^Sources: \[\^2\]$/m);
+  assert.match(md, /^\[\^1\]: \[Paris\]\(https:\/\/example\.com\/paris\) — "Capital of France"$/m);
+
+  const html = renderHtmlConversation(citedConversation);
+  assert.match(html, /capital<sup class="citation"><a href="#ref-1">\[1\]<\/a><\/sup>\./);
+  assert.match(html, /<li id="ref-2" value="2"><a href="https:\/\/example\.com\/atlas"/);
+
+  const parsed = JSON.parse(renderJsonConversation(citedConversation));
+  assert.equal(parsed.messages[0].citations.length, 2);
+  assert.equal(parsed.messages[0].citations[0].url, "https://example.com/paris");
+}
+
+function testReasoningRendering() {
+  const html = renderHtmlConversation(reasoningConversation);
+  assert.match(html, /<details class="reasoning">\s*<summary>💭 Reasoning<\/summary>/);
+  assert.match(html, /Check &lt;edge&gt; cases\./);
+
+  const md = renderMarkdownConversation(reasoningConversation);
+  assert.match(md, /^> \*\*💭 Reasoning\*\*\n>\n> \*\*Plan\*\*\n>\n> Check <edge> cases\.$/m);
+
+  const parsed = JSON.parse(renderJsonConversation(reasoningConversation));
+  assert.equal(parsed.messages[0].parts[0].type, "reasoning");
+  assert.equal(parsed.messages[0].parts[0].thoughts[0].summary, "Plan");
+}
+
+function testAttachmentLinks() {
+  const hrefs = new Map([["file-a", "../attachments/chat/report.pdf"]]);
+
+  const md = renderMarkdownConversation(attachmentConversation, new Map(), hrefs);
+  assert.match(md, /^- 📎 \[report\.pdf\]\(\.\.\/attachments\/chat\/report\.pdf\) `application\/pdf`$/m);
+  assert.match(md, /^- 📎 data\.csv `text\/csv` _\(not exported\)_$/m);
+
+  const html = renderHtmlConversation(attachmentConversation, new Map(), "", hrefs);
+  assert.match(html, /<a href="\.\.\/attachments\/chat\/report\.pdf" download>report\.pdf<\/a>/);
+
+  const parsed = JSON.parse(renderJsonConversation(attachmentConversation, hrefs));
+  assert.equal(parsed.messages[0].attachments[0].path, "../attachments/chat/report.pdf");
+  assert.equal(parsed.messages[0].attachments[1].path, null);
+}
+
+function testSandboxLinks() {
+  const hrefs = new Map([
+    ["sandbox:/mnt/data/chart.png", "../sandbox/chat/chart.png"],
+    ["sandbox:/mnt/data/chart.png.zip", "../sandbox/chat/chart.png.zip"]
+  ]);
+
+  const md = renderMarkdownConversation(sandboxConversation, new Map(), hrefs);
+  assert.match(md, /\[Chart\]\(\.\.\/sandbox\/chat\/chart\.png\) and \[zip\]\(\.\.\/sandbox\/chat\/chart\.png\.zip\)/);
+
+  const html = renderHtmlConversation(sandboxConversation, new Map(), "", hrefs);
+  assert.doesNotMatch(html, /sandbox:/);
+
+  const parsed = JSON.parse(renderJsonConversation(sandboxConversation, hrefs));
+  assert.equal(parsed.sandbox_files["sandbox:/mnt/data/chart.png"], "../sandbox/chat/chart.png");
+}
+
+function testMessageMeta() {
+  const conv = {
+    id: "conv_meta",
+    title: "Meta",
+    messages: [{
+      id: "a", role: "assistant", createTime: 1708000000, modelSlug: "gpt-4o",
+      finishReason: "max_tokens", version: { index: 1, count: 3 },
+      edited: false, regenerated: true, feedback: "down",
+      parts: [{ type: "text", text: "Cut off" }]
+    }]
+  };
+
+  const md = renderMarkdownConversation(conv);
+  assert.match(md, /^<sub>2024-02-15 12:26 UTC · `gpt-4o` · version 2\/3 · finish: max_tokens · 👎<\/sub>$/m);
+
+  const html = renderHtmlConversation(conv);
+  assert.match(html, /<time datetime="2024-02-15T12:26:40\.000Z">2024-02-15 12:26 UTC<\/time>/);
+  assert.match(html, /<span class="badge badge-warn">max_tokens<\/span>/);
+
+  const parsed = JSON.parse(renderJsonConversation(conv)).messages[0];
+  assert.equal(parsed.model_slug, "gpt-4o");
+  assert.deepEqual(parsed.version, { index: 1, count: 3 });
+  assert.equal(parsed.regenerated, true);
+  assert.equal(parsed.feedback, "down");
+}
+
+function testHtmlMarkdownRendering() {
+  const conv = {
+    id: "conv_md",
+    title: "Markdown",
+    messages: [
+      { id: "u", role: "user", createTime: null, parts: [{ type: "text", text: "Keep **literal** <b>" }] },
+      { id: "a", role: "assistant", createTime: null, parts: [{ type: "text", text: "## Steps\n\n- **one**\n- `two`" }] }
+    ]
+  };
+
+  const html = renderHtmlConversation(conv);
+  assert.match(html, /<p class="text-part">Keep \*\*literal\*\* &lt;b&gt;<\/p>/, "user prompts stay plain text");
+  assert.match(html, /<div class="markdown"><h2>Steps<\/h2>\n<ul>\n<li><strong>one<\/strong><\/li>\n<li><code>two<\/code><\/li>/);
+}
+
+function testMathRendering() {
+  const conv = {
+    id: "conv_math",
+    title: "Math",
+    messages: [{
+      id: "a", role: "assistant", createTime: null,
+      parts: [{ type: "text", text: "Inline \\(E = mc^2\\).\n\n\\[\n\\int_0^1 x\\,dx\n\\]\n\nCost: `\\(x\\)`" }]
+    }]
+  };
+
+  const md = renderMarkdownConversation(conv);
+  assert.match(md, /^Inline \$E = mc\^2\$\.$/m);
+  assert.match(md, /^\$\$\n\\int_0\^1 x\\,dx\n\$\$$/m);
+  assert.match(md, /`\\\(x\\\)`/, "code spans keep their delimiters");
+
+  const html = renderHtmlConversation(conv, new Map(), "", new Map(), "../assets/katex.min.js");
+  assert.match(html, /<span class="math math-inline">E = mc\^2<\/span>/);
+  assert.match(html, /<div class="math math-display">\\int_0\^1 x\\,dx<\/div>/);
+  assert.match(html, /<script src="\.\.\/assets\/katex\.min\.js"><\/script>\n\s*<script>.*katex\.render/s,
+    "KaTeX is loaded from the shared copy before the renderer runs");
+  const plain = renderHtmlConversation(sampleConversation, new Map(), "", new Map(), "../assets/katex.min.js");
+  assert.ok(!plain.includes("katex.min.js"), "math renderer is only referenced when needed");
+}
+
 function main() {
   testNaming();
   testJsonExporter();
   testMarkdownExporter();
   testHtmlExporter();
+  testBranchRendering();
+  testToolParts();
+  testCitationRendering();
+  testReasoningRendering();
+  testAttachmentLinks();
+  testSandboxLinks();
+  testMessageMeta();
+  testHtmlMarkdownRendering();
+  testMathRendering();
   console.log("smoke-exporters: all checks passed");
 }
 
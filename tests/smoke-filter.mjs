@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { normalizeExportFilter, filterConversationMetas, matchesExportFilter } from "../lib/filter.js";
+
+const day = (iso) => Date.parse(`${iso}T12:00:00Z`) / 1000;
+
+const metas = [
+  { id: "q3-review", title: "Review auth PR",  updatedAt: day("2024-08-01"), createdAt: day("2024-07-30"), customGptName: "Code Reviewer" },
+  { id: "q3-plain",  title: "Trip ideas",      updatedAt: day("2024-09-30"), createdAt: day("2024-09-01"), customGptName: null },
+  { id: "q2-review", title: "Review old PR",   updatedAt: day("2024-06-30"), createdAt: day("2024-06-01"), customGptName: "Code Reviewer" },
+  { id: "by-id",     title: "Untitled Chat",   updatedAt: null,              customGptName: null }
+];
+
+function testNormalize() {
+  assert.equal(normalizeExportFilter(null), null);
+  assert.equal(normalizeExportFilter({ customGpts: " , ", titlePattern: "  " }), null, "blank criteria are dropped");
+  assert.deepEqual(normalizeExportFilter({ models: "gpt-4o, o3 ," }).models, ["gpt-4o", "o3"]);
+  assert.throws(() => normalizeExportFilter({ titlePattern: "(" }), /Invalid title pattern/);
+  assert.throws(() => normalizeExportFilter({ updatedFrom: "08/01/2024" }), /Updated from must be a date/);
+}
+
+function testMetaPass() {
+  const filter = normalizeExportFilter({ updatedFrom: "2024-07-01", updatedTo: "2024-09-30", customGpts: "code reviewer" });
+  assert.deepEqual(
+    filterConversationMetas(metas, filter).map((m) => m.id),
+    ["q3-review", "by-id"],
+    "date range is inclusive; metas without listing data wait for the second pass"
+  );
+
+  // Either form of a Custom GPT criterion matches a listing that has both.
+  const listed = [{ ...metas[0], customGptId: "g-abc123" }, { ...metas[2], customGptName: "g-abc123", customGptId: "g-abc123" }];
+  assert.deepEqual(filterConversationMetas(listed, normalizeExportFilter({ customGpts: "g-ABC123" })).map((m) => m.id), ["q3-review", "q2-review"]);
+  assert.deepEqual(filterConversationMetas(listed, normalizeExportFilter({ customGpts: "Code Reviewer" })).map((m) => m.id), ["q3-review"]);
+
+  const byTitle = normalizeExportFilter({ titlePattern: "^review" });
+  assert.deepEqual(filterConversationMetas(metas, byTitle).map((m) => m.id), ["q3-review", "q2-review", "by-id"]);
+  assert.equal(filterConversationMetas(metas, null), metas);
+}
+
+function testConversationPass() {
+  const conversation = {
+    title: "Review auth PR", createTime: day("2024-07-30"), updateTime: day("2024-08-01"),
+    model: "auto", customGptName: "g-abc123", threadStrategy: "current_node",
+    messages: [{ modelSlug: "gpt-4o" }, { modelSlug: null }]
+  };
+
+  assert.equal(matchesExportFilter(conversation, null, normalizeExportFilter({ models: "GPT-4o" })), true);
+  assert.equal(matchesExportFilter(conversation, null, normalizeExportFilter({ models: "o3" })), false);
+  assert.equal(matchesExportFilter(conversation, null, normalizeExportFilter({ customGpts: "g-ABC123" })), true);
+  assert.equal(matchesExportFilter(conversation, null, normalizeExportFilter({ createdTo: "2024-07-29" })), false);
+
+  // The payload may only know the gizmo id while the listing had its name.
+  const payloadOnlyId = { ...conversation, customGptName: "g-abc123", customGptId: "g-abc123" };
+  const listed = { ...metas[0], customGptName: "Code Reviewer", customGptId: "g-abc123" };
+  assert.equal(matchesExportFilter(payloadOnlyId, listed, normalizeExportFilter({ customGpts: "code reviewer" })), true);
+  assert.equal(matchesExportFilter(payloadOnlyId, null, normalizeExportFilter({ customGpts: "G-abc123" })), true);
+  assert.equal(matchesExportFilter(payloadOnlyId, null, normalizeExportFilter({ customGpts: "Other GPT" })), false);
+
+  const fromDom = { ...conversation, updateTime: day("2026-01-01"), threadStrategy: "dom", model: null, messages: [] };
+  const q3 = normalizeExportFilter({ updatedTo: "2024-09-30", models: "o3" });
+  assert.equal(matchesExportFilter(fromDom, metas[0], q3), true, "page extraction uses the listing timestamp and has no models");
+}
+
+function main() {
+  testNormalize();
+  testMetaPass();
+  testConversationPass();
+  console.log("smoke-filter: all checks passed");
+}
+
+main();
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { renderGfm, renderTextWithMarkers } from "../lib/exporter/gfm.js";
+
+function testBlocks() {
+  assert.equal(renderGfm("## Plan ##"), "<h2>Plan</h2>");
+  assert.equal(renderGfm("#hashtag"), "<p>#hashtag</p>");
+  assert.equal(renderGfm("a\n\n---\n\nb"), "<p>a</p>\n<hr>\n<p>b</p>");
+  assert.equal(renderGfm("> one\n> two\n>\n> three"), "<blockquote>\n<p>one\ntwo</p>\n<p>three</p>\n</blockquote>");
+  assert.equal(
+    renderGfm("Intro:\n```py title\nif a < b:\n    pass\n```\nAfter"),
+    "<p>Intro:</p>\n<pre><code class=\"language-py\">if a &lt; b:\n    pass</code></pre>\n<p>After</p>"
+  );
+}
+
+function testLists() {
+  assert.equal(
+    renderGfm("1. First\n   - nested\n   - more\n2. Second"),
+    "<ol>\n<li>First\n<ul>\n<li>nested</li>\n<li>more</li>\n</ul></li>\n<li>Second</li>\n</ol>"
+  );
+  assert.equal(renderGfm("3. c\n4. d"), "<ol start=\"3\">\n<li>c</li>\n<li>d</li>\n</ol>");
+  assert.equal(renderGfm("- a\n\n- b"), "<ul>\n<li><p>a</p></li>\n<li><p>b</p></li>\n</ul>");
+  assert.equal(
+    renderGfm("- [x] done\n- [ ] todo"),
+    "<ul>\n<li class=\"task\"><input type=\"checkbox\" disabled checked> done</li>\n" +
+    "<li class=\"task\"><input type=\"checkbox\" disabled> todo</li>\n</ul>"
+  );
+  assert.equal(renderGfm("In\n2024. was a year"), "<p>In\n2024. was a year</p>", "only 1. interrupts a paragraph");
+}
+
+function testTables() {
+  assert.equal(
+    renderGfm("| Name | Qty |\n|:-----|----:|\n| a \\| b | `x|y` |"),
+    "<table>\n<thead>\n<tr><th style=\"text-align:left\">Name</th><th style=\"text-align:right\">Qty</th></tr>\n</thead>\n" +
+    "<tbody>\n<tr><td style=\"text-align:left\">a | b</td><td style=\"text-align:right\"><code>x|y</code></td></tr>\n</tbody>\n</table>"
+  );
+}
+
+function testInline() {
+  assert.equal(
+    renderGfm("**b** *i* ***bi*** ~~s~~ `a <b>` snake_case_name 2 * 3 * 4"),
+    "<p><strong>b</strong> <em>i</em> <strong><em>bi</em></strong> <del>s</del> <code>a &lt;b&gt;</code> " +
+    "snake_case_name 2 * 3 * 4</p>"
+  );
+  assert.equal(
+    renderGfm("[the `docs`](https://x.dev/a_(b) \"T\") and https://y.dev/p."),
+    "<p><a href=\"https://x.dev/a_(b)\" title=\"T\" rel=\"noopener noreferrer\">the <code>docs</code></a> and " +
+    "<a href=\"https://y.dev/p\" rel=\"noopener noreferrer\">https://y.dev/p</a>.</p>"
+  );
+  assert.equal(renderGfm("line  \nbreak\\\nagain"), "<p>line<br>\nbreak<br>\nagain</p>");
+  assert.equal(renderGfm("\\*not em\\*"), "<p>*not em*</p>");
+}
+
+function testMathPassthrough() {
+  assert.equal(
+    renderGfm("Area \\(a_1 * b_2 * c\\) and `\\(code\\)`"),
+    "<p>Area <span class=\"math math-inline\">a_1 * b_2 * c</span> and <code>\\(code\\)</code></p>"
+  );
+  assert.equal(
+    renderGfm("\\[\na\n+ b < c\n\\]"),
+    "<div class=\"math math-display\">a\n+ b &lt; c</div>",
+    "lines inside display math are not parsed as lists"
+  );
+}
+
+function testSanitization() {
+  const html = renderGfm([
+    "<script>alert(1)</script>",
+    "<img src=x onerror=alert(1)>",
+    "[a](javascript:alert(1)) [b](JaVaScRiPt:alert(1)) [c](data:text/html,x)",
+    "[d](https://x.dev/\"onmouseover=\"alert(1))",
+    "![e](javascript:alert(1)) ![f](https://tracker.example/p.png) ![g](../images/g.png) ![h](//tracker.example/h.png)",
+    "```\"><script>\nx\n```"
+  ].join("\n\n"));
+
+  assert.doesNotMatch(html, /<script|<img src=x|javascript:|data:text/i);
+  assert.doesNotMatch(html, /href="[^"]*"onmouseover/);
+  assert.match(html, /<a href="https:\/\/tracker\.example\/p\.png" rel="noopener noreferrer">f<\/a>/, "remote images become links");
+  assert.match(html, /<img src="\.\.\/images\/g\.png" alt="g">/);
+  assert.match(html, /<a href="\/\/tracker\.example\/h\.png" rel="noopener noreferrer">h<\/a>/, "protocol-relative images are remote");
+  assert.doesNotMatch(html, /<img src="\/\//);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+}
+
+function testMarkers() {
+  const cite    = "【6†source】";
+  const markers = new Map([[cite, '<sup class="citation"><a href="#ref-1">[1]</a></sup>']]);
+  const html = renderGfm([
+    `Paris is the capital${cite}.`,
+    `[guide](https://x.dev/${cite}) ![map${cite}](images/map.png) \`${cite}\``,
+    `See https://x.dev/a${cite} and **bold${cite}**`,
+    `| col |\n| --- |\n| cell${cite} |`
+  ].join("\n\n"), markers);
+
+  assert.match(html, /capital<sup class="citation"><a href="#ref-1">\[1\]<\/a><\/sup>\./);
+  assert.match(html, /<a href="https:\/\/x\.dev\/【6†source】"[^>]*>guide<\/a>/, "markers in URLs stay literal");
+  assert.match(html, /<img src="images\/map\.png" alt="map【6†source】">/, "markers in alt text stay literal");
+  assert.match(html, /<code>【6†source】<\/code>/, "code spans are left alone");
+  assert.match(html, /<a href="https:\/\/x\.dev\/a"[^>]*>https:\/\/x\.dev\/a<\/a><sup class="citation">/, "a marker ends a bare URL");
+  assert.match(html, /<strong>bold<sup class="citation">/);
+  assert.match(html, /<td>cell<sup class="citation">/);
+  assert.doesNotMatch(html, /="[^"]*<sup/, "no markup inside attributes");
+
+  // Legacy slice markers can be bare digits, which also appear in placeholder
+  // tokens, in other markers' HTML and in entities.
+  const digits = new Map([["0", "<sup>0</sup>"], ["1", "<sup>[1]</sup>"], ["amp", "<sup>2</sup>"]]);
+  assert.equal(
+    renderGfm("see `code` here [0] x", digits),
+    "<p>see <code>code</code> here [<sup>0</sup>] x</p>"
+  );
+  assert.equal(renderGfm("*a*1 & b", digits), "<p><em>a</em><sup>[1]</sup> &amp; b</p>");
+  assert.equal(renderTextWithMarkers("0 & 1 <amp>", digits), "<sup>0</sup> &amp; <sup>[1]</sup> &lt;<sup>2</sup>&gt;");
+}
+
+function main() {
+  testBlocks();
+  testLists();
+  testTables();
+  testInline();
+  testMathPassthrough();
+  testSanitization();
+  testMarkers();
+  console.log("smoke-gfm: all checks passed");
+}
+
+main();
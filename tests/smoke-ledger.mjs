@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import {
+  normalizeLedger, hashConversation, selectChangedMetas, findDeletedEntries,
+  buildChangeSet, updateLedger, renderChangesJson
+} from "../lib/ledger.js";
+
+const previous = normalizeLedger({
+  schemaVersion: 1,
+  exportedAt: Date.parse("2024-09-01T00:00:00Z"),
+  entries: {
+    same:    { updateTime: 100, hash: "h-same", title: "Unchanged" },
+    edited:  { updateTime: 100, hash: "h-old",  title: "Edited" },
+    removed: { updateTime: 50,  hash: "h-gone", title: "Deleted chat" }
+  }
+});
+
+const listing = [
+  { id: "same",   title: "Unchanged", updatedAt: 100 },
+  { id: "edited", title: "Edited",    updatedAt: 200 },
+  { id: "new",    title: "Brand new", updatedAt: 300 },
+  { id: "by-id",  title: "Untitled Chat", updatedAt: null }
+];
+
+function testNormalize() {
+  assert.deepEqual(normalizeLedger(null), { schemaVersion: 1, exportedAt: null, entries: {} });
+  assert.deepEqual(normalizeLedger({ schemaVersion: 99, entries: { a: {} } }).entries, {}, "unknown schema starts fresh");
+}
+
+async function testHash() {
+  const conv = { title: "T", messages: [{ id: "m1", parts: [{ type: "text", text: "hi" }] }], tree: null };
+  const a = await hashConversation(conv);
+  assert.match(a, /^[0-9a-f]{64}$/);
+  assert.equal(await hashConversation({ ...conv }), a);
+  assert.notEqual(await hashConversation({ ...conv, title: "Renamed" }), a);
+}
+
+function testDelta() {
+  assert.deepEqual(selectChangedMetas(listing, previous).map((m) => m.id), ["edited", "new", "by-id"]);
+  assert.deepEqual(findDeletedEntries(previous, listing), [{ id: "removed", title: "Deleted chat", updateTime: 50 }]);
+  assert.deepEqual(findDeletedEntries(previous, []), [], "an empty listing is not a mass deletion");
+}
+
+function testChangeSetAndUpdate() {
+  const records = [
+    { conversation: { id: "edited", title: "Edited", updateTime: 200 } },
+    { conversation: { id: "new", title: "Brand new", updateTime: 300 } }
+  ];
+  const deleted = findDeletedEntries(previous, listing);
+  const changes = buildChangeSet(previous, records, deleted);
+
+  const parsed = JSON.parse(renderChangesJson(changes));
+  assert.equal(parsed.previous_export_at, "2024-09-01T00:00:00.000Z");
+  assert.deepEqual(parsed.added, [{ id: "new", title: "Brand new", update_time: 300 }]);
+  assert.deepEqual(parsed.updated, [{ id: "edited", title: "Edited", update_time: 200, previous_update_time: 100 }]);
+  assert.deepEqual(parsed.deleted, [{ id: "removed", title: "Deleted chat", update_time: 50 }]);
+
+  const next = updateLedger(previous, new Map([["new", { updateTime: 300, hash: "h-new", title: "Brand new" }]]), ["removed"]);
+  assert.deepEqual(Object.keys(next.entries).sort(), ["edited", "new", "same"]);
+  assert.ok(next.exportedAt >= previous.exportedAt);
+  assert.ok(previous.entries.removed, "the previous ledger is left untouched");
+}
+
+async function main() {
+  testNormalize();
+  await testHash();
+  testDelta();
+  testChangeSetAndUpdate();
+  console.log("smoke-ledger: all checks passed");
+}
+
+await main();
@@ -0,0 +1,207 @@
+import assert from "node:assert/strict";
+import { inflateRawSync } from "node:zlib";
+
+// packageZip reads highlight.js / KaTeX through the extension URL for HTML output.
+globalThis.chrome = { runtime: { getURL: (path) => `chrome-extension://test/${path}` } };
+globalThis.fetch  = async (url) => ({ ok: true, text: async () => `/* bundled ${url.split("/").pop()} */` });
+
+const { packageZip, writeToFolder, normalizeArchiveSizeMb, MIN_ARCHIVE_MB } = await import("../lib/exporter/packager.js");
+
+/** path → contents (decoded as text) of every entry, via the central directory. */
+async function readZip(blob) {
+  const buf  = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(buf.buffer);
+  const eocd = buf.length - 22;
+  const count = view.getUint16(eocd + 10, true);
+  let at = view.getUint32(eocd + 16, true);
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    const method   = view.getUint16(at + 10, true);
+    const compSize = view.getUint32(at + 20, true);
+    const nameLen  = view.getUint16(at + 28, true);
+    const local    = view.getUint32(at + 42, true);
+    const name     = new TextDecoder().decode(buf.subarray(at + 46, at + 46 + nameLen));
+    const start    = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data     = buf.subarray(start, start + compSize);
+    files.set(name, new TextDecoder().decode(method === 8 ? inflateRawSync(data) : data));
+    at += 46 + nameLen + view.getUint16(at + 30, true);
+  }
+  return files;
+}
+
+/** Incompressible bytes, so a conversation's share of the archive is predictable. */
+function noise(length, seed) {
+  const bytes = new Uint8Array(length);
+  let x = seed;
+  for (let i = 0; i < length; i++) {
+    x = (x * 1103515245 + 12345) >>> 0;
+    bytes[i] = x >>> 24;
+  }
+  return bytes.buffer;
+}
+
+const record = (id, imageBytes = 0) => ({
+  conversation: {
+    id,
+    title: `Chat ${id}`,
+    createTime: 1708000000,
+    updateTime: 1708000000,
+    messages: [{ id: `${id}-1`, role: "user", createTime: 1708000000, parts: [{ type: "text", text: `Hello from ${id}` }] }]
+  },
+  images: imageBytes > 0 ? [{ assetId: `file-service://${id}`, bytes: noise(imageBytes, id.charCodeAt(0)), mimeType: "image/png" }] : []
+});
+
+async function testSingleArchive() {
+  let loads = 0;
+  const volumes = await packageZip(
+    [record("a"), async () => { loads++; return record("b"); }],
+    ["markdown", "json"], "{date}_{title}"
+  );
+  assert.equal(loads, 1, "record loaders are called while packaging");
+  assert.equal(volumes.length, 1);
+  assert.match(volumes[0].fileName, /^chatgpt-export_\d{4}-\d{2}-\d{2}\.zip$/);
+  const files = await readZip(volumes[0].blob);
+  const root  = volumes[0].fileName.replace(/\.zip$/, "");
+  assert.ok(files.has(`${root}/chats/2024-02-15_chat-a.md`));
+  assert.ok(files.has(`${root}/chats/2024-02-15_chat-b.json`));
+  assert.ok(files.has(`${root}/export-summary.txt`));
+  assert.equal(files.has(`${root}/manifest.json`), false, "no manifest for a single archive");
+}
+
+async function testSplitVolumes() {
+  const limit   = 150 * 1024;
+  const volumes = await packageZip(
+    [record("a", 60 * 1024), record("b"), record("c", 60 * 1024)],
+    ["html", "markdown"], "{date}_{title}", [], null, null, limit
+  );
+  const [first, second] = volumes.map((v) => v.fileName.replace(/\.zip$/, ""));
+  assert.equal(volumes.length, 2);
+  assert.equal(second, `${first}_part2`);
+  assert.ok(volumes[0].blob.size <= limit, "the first part stays under the limit");
+
+  const part1 = await readZip(volumes[0].blob);
+  const part2 = await readZip(volumes[1].blob);
+  assert.ok(part1.has(`${first}/chats/2024-02-15_chat-a.html`));
+  assert.ok(part1.has(`${first}/chats/2024-02-15_chat-b.md`));
+  assert.ok(part2.has(`${second}/chats/2024-02-15_chat-c.html`));
+  assert.ok(part2.has(`${second}/images/2024-02-15-chat-c_0.png`), "a conversation's images stay in its part");
+  assert.equal(part2.has(`${second}/export-summary.txt`), false, "summary and manifest go in the first part only");
+  assert.match(part1.get(`${first}/export-summary.txt`), /Parts {7}: 2 \(see manifest\.json\)/);
+
+  const manifest = JSON.parse(part1.get(`${first}/manifest.json`));
+  assert.deepEqual(manifest.parts.map((p) => [p.file, p.conversations]), [[`${first}.zip`, 2], [`${second}.zip`, 1]]);
+  assert.deepEqual(manifest.conversations.map((c) => [c.id, c.part]), [["a", 1], ["b", 1], ["c", 2]]);
+  assert.deepEqual(manifest.conversations[2].files, ["chats/2024-02-15_chat-c.html", "chats/2024-02-15_chat-c.md"]);
+
+  const index1 = part1.get(`${first}/index.html`);
+  const index2 = part2.get(`${second}/index.html`);
+  assert.ok(index1.includes(`href="./chats/2024-02-15_chat-a.html"`));
+  assert.ok(index1.includes(`href="../${second}/chats/2024-02-15_chat-c.html"`), "links into later parts");
+  assert.ok(index2.includes(`href="../${first}/chats/2024-02-15_chat-b.md"`), "links back into the first part");
+  assert.ok(index2.includes(`href="./chats/2024-02-15_chat-c.html"`));
+}
+
+/** FolderWriter over a Map, with the same "unchanged content is not rewritten" rule. */
+function memoryFolder() {
+  const files  = new Map();
+  const writes = [];
+  return {
+    name: "vault",
+    files,
+    writes,
+    readText: async (path) => (files.has(path) ? new TextDecoder().decode(files.get(path)) : null),
+    writeFile: async (path, data) => {
+      const bytes = typeof data === "string" ? new TextEncoder().encode(data) : new Uint8Array(data);
+      if (files.has(path) && Buffer.compare(files.get(path), bytes) === 0) return false;
+      files.set(path, bytes);
+      writes.push(path);
+      return true;
+    }
+  };
+}
+
+async function testWriteToFolder() {
+  const folder = memoryFolder();
+  const first  = await writeToFolder(folder, [record("a", 16), record("b")], ["html", "markdown"], "{date}_{title}");
+  assert.ok([...folder.files.keys()].includes("chats/2024-02-15_chat-a.md"), "same layout as the archive root");
+  assert.ok(folder.files.has("images/2024-02-15-chat-a_0.png"));
+  assert.ok(folder.files.has("index.html"));
+  assert.ok(folder.files.has("export-index.json"));
+  assert.equal(first.unchanged, 0);
+
+  // Same content again: at most the timestamped summary and folder index change.
+  folder.writes.length = 0;
+  const again = await writeToFolder(folder, [record("a", 16), record("b")], ["html", "markdown"], "{date}_{title}");
+  assert.deepEqual(folder.writes.filter((p) => p !== "export-summary.txt" && p !== "export-index.json"), []);
+  assert.equal(again.written + again.unchanged, first.written);
+
+  // An incremental run with just "a", renamed and updated: it keeps its file
+  // names, and index.html still lists "b".
+  const edited = record("a", 16);
+  edited.conversation.title = "Renamed";
+  edited.conversation.updateTime = 1718000000;
+  edited.conversation.messages[0].parts[0].text = "Edited";
+  const before = folder.files.size;
+  await writeToFolder(folder, [edited], ["html", "markdown"], "{date}_{title}");
+  assert.equal(folder.files.size, before, "no new files for a known conversation");
+  assert.match(new TextDecoder().decode(folder.files.get("chats/2024-02-15_chat-a.md")), /Edited/);
+  const index = new TextDecoder().decode(folder.files.get("index.html"));
+  assert.ok(index.includes("Renamed") && index.includes("Chat b"), "index.html covers earlier runs");
+
+  // A new conversation whose name collides with one already in the folder
+  // gets a suffix instead of overwriting it.
+  const clash = record("z");
+  clash.conversation.title = "Chat b";
+  await writeToFolder(folder, [clash], ["markdown"], "{date}_{title}");
+  assert.match(new TextDecoder().decode(folder.files.get("chats/2024-02-15_chat-b.md")), /Hello from b/);
+  assert.match(new TextDecoder().decode(folder.files.get("chats/2024-02-15_chat-b-2.md")), /Hello from z/);
+
+  folder.files.set("export-index.json", new TextEncoder().encode("{not json"));
+  await writeToFolder(folder, [record("c")], ["markdown"], "{date}_{title}");
+  assert.ok(folder.files.has("chats/2024-02-15_chat-c.md"), "a corrupt folder index is ignored");
+}
+
+async function testSharedMathScript() {
+  const withMath = (id) => {
+    const r = record(id);
+    r.conversation.messages.push({ id: `${id}-2`, role: "assistant", createTime: 1708000000, parts: [{ type: "text", text: "Inline \\(x^2\\) math" }] });
+    return r;
+  };
+  const [volume] = await packageZip([withMath("a"), withMath("b"), record("c")], ["html"], "{date}_{title}");
+  const files = await readZip(volume.blob);
+  const root  = volume.fileName.replace(/\.zip$/, "");
+  const paths = [...files.keys()];
+  assert.deepEqual(paths.filter((p) => p.endsWith("katex.min.js")), [`${root}/assets/katex.min.js`], "one copy per archive");
+  assert.equal(files.get(`${root}/assets/katex.min.js`), "/* bundled katex.min.js */");
+  const chatA = files.get(`${root}/chats/2024-02-15_chat-a.html`);
+  assert.ok(chatA.includes(`<script src="../assets/katex.min.js"></script>`));
+  assert.ok(!chatA.includes("bundled katex"), "the source is not inlined");
+  assert.ok(!files.get(`${root}/chats/2024-02-15_chat-c.html`).includes("katex.min.js"));
+
+  const plain = await readZip((await packageZip([record("c")], ["html"], "{date}_{title}"))[0].blob);
+  assert.ok(![...plain.keys()].some((p) => p.includes("assets/")), "no math, no KaTeX");
+
+  const folder = memoryFolder();
+  await writeToFolder(folder, [withMath("a"), withMath("b")], ["html"], "{date}_{title}");
+  assert.equal(folder.writes.filter((p) => p === "assets/katex.min.js").length, 1);
+}
+
+function testArchiveSizePreference() {
+  assert.equal(normalizeArchiveSizeMb(""), 0);
+  assert.equal(normalizeArchiveSizeMb(undefined), 0);
+  assert.equal(normalizeArchiveSizeMb(-5), 0);
+  assert.equal(normalizeArchiveSizeMb("abc"), 0);
+  assert.equal(normalizeArchiveSizeMb(10), MIN_ARCHIVE_MB);
+  assert.equal(normalizeArchiveSizeMb("700.9"), 700);
+}
+
+async function main() {
+  await testSingleArchive();
+  await testSplitVolumes();
+  await testWriteToFolder();
+  await testSharedMathScript();
+  testArchiveSizePreference();
+  console.log("smoke-packager: all checks passed");
+}
+
+await main();
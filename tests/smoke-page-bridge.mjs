@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { createPageBridge } from "../lib/page_bridge.js";
+import { fetchConversationImages } from "../lib/images.js";
+
+const sent = [];
+let reply = () => ({ ok: true, result: null });
+globalThis.chrome = {
+  runtime: {
+    sendMessage: async (message) => {
+      sent.push(message);
+      return reply(message);
+    }
+  }
+};
+
+async function testRelayedTasks() {
+  const page = createPageBridge(42);
+
+  reply = () => ({ ok: true, result: { conversationId: "abc" } });
+  assert.equal(await page.currentConversationId(), "abc");
+
+  reply = () => ({ ok: true, result: { id: "abc", messages: [{ role: "user" }] } });
+  assert.equal((await page.extractConversation("abc")).id, "abc");
+
+  assert.deepEqual(sent, [
+    { type: "PAGE_TASK", tabId: 42, task: "context", args: {} },
+    { type: "PAGE_TASK", tabId: 42, task: "extract", args: { id: "abc" } }
+  ], "every task names the export's tab for the service worker relay");
+}
+
+async function testFailures() {
+  const page = createPageBridge(42);
+
+  reply = () => ({ ok: false, error: "Timed out navigating to /c/x" });
+  await assert.rejects(page.navigateTo("x"), /Timed out navigating/);
+
+  reply = () => undefined;
+  await assert.rejects(page.selectConversations(), /did not answer page task "select"/, "a closed tab is an error, not an empty result");
+}
+
+async function testBlobImageThroughPage() {
+  const page = createPageBridge(42);
+  const url  = "blob:https://chatgpt.com/1234";
+  // The offscreen document cannot read the tab's blob: URL.
+  globalThis.fetch = async () => { throw new TypeError("Failed to fetch"); };
+  sent.length = 0;
+  reply = (message) => ({ ok: true, result: message.task === "image" ? "data:image/png;base64,AQID" : null });
+
+  const conversation = {
+    id: "abc",
+    messages: [{ role: "assistant", parts: [{ type: "image", assetId: url, mimeType: "image/png" }] }]
+  };
+  const [image] = await fetchConversationImages(conversation, 1, page.readImage);
+  assert.deepEqual(sent, [{ type: "PAGE_TASK", tabId: 42, task: "image", args: { url, mimeType: "image/png" } }]);
+  assert.equal(image.assetId, url, "the record keeps the blob URL the message refers to");
+  assert.equal(image.mimeType, "image/png");
+  assert.deepEqual([...new Uint8Array(image.bytes)], [1, 2, 3]);
+
+  reply = () => ({ ok: true, result: null });
+  assert.deepEqual(await fetchConversationImages(conversation, 1, page.readImage), [], "an image gone from the page is skipped");
+  assert.deepEqual(await fetchConversationImages(conversation, 1), [], "no tab, no recovery");
+}
+
+async function main() {
+  await testRelayedTasks();
+  await testFailures();
+  await testBlobImageThroughPage();
+  console.log("smoke-page-bridge: all checks passed");
+}
+
+await main();
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { runPool, clampConcurrency, createLock } from "../lib/pool.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function testOrderAndBound() {
+  let inFlight = 0;
+  let peak = 0;
+  const finished = [];
+  const delays = [30, 5, 20, 1, 10, 2, 15];
+
+  const results = await runPool(delays, 3, async (ms, i) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(ms);
+    inFlight--;
+    finished.push(i);
+    return `r${i}`;
+  });
+
+  assert.deepEqual(results, delays.map((_, i) => `r${i}`), "results keep input order");
+  assert.notDeepEqual(finished, [...finished].sort((a, b) => a - b), "workers really overlapped");
+  assert.equal(peak, 3, "never more than `concurrency` in flight");
+  assert.deepEqual(await runPool([], 4, async () => 1), []);
+}
+
+async function testFailureAndCancel() {
+  const started = [];
+  await assert.rejects(
+    runPool([1, 2, 3, 4, 5], 2, async (n) => {
+      started.push(n);
+      await sleep(n === 1 ? 5 : 1);
+      if (n === 2) throw new Error("boom");
+      return n;
+    }),
+    /boom/
+  );
+  assert.deepEqual(started, [1, 2], "no new items start after a failure");
+
+  const token = { cancelled: false };
+  const results = await runPool([1, 2, 3, 4], 1, async (n) => {
+    if (n === 2) token.cancelled = true;
+    return n;
+  }, token);
+  assert.deepEqual(results, [1, 2, undefined, undefined], "cancellation leaves unstarted slots empty");
+}
+
+async function testLock() {
+  const withLock = createLock();
+  const log = [];
+  const section = (name, ms) => withLock(async () => {
+    log.push(`${name}:start`);
+    await sleep(ms);
+    log.push(`${name}:end`);
+    return name;
+  });
+
+  const failing = withLock(async () => { throw new Error("nav failed"); });
+  const results = await Promise.all([section("a", 10), failing.catch(() => "x"), section("b", 1)]);
+  assert.deepEqual(results, ["a", "x", "b"]);
+  assert.deepEqual(log, ["a:start", "a:end", "b:start", "b:end"], "sections never overlap; a failure does not jam the lock");
+}
+
+function testClamp() {
+  assert.equal(clampConcurrency(undefined), 3);
+  assert.equal(clampConcurrency(""), 3);
+  assert.equal(clampConcurrency("abc"), 3);
+  assert.equal(clampConcurrency(0), 1);
+  assert.equal(clampConcurrency("4"), 4);
+  assert.equal(clampConcurrency(2.7), 2);
+  assert.equal(clampConcurrency(50), 6);
+}
+
+async function main() {
+  await testOrderAndBound();
+  await testFailureAndCancel();
+  await testLock();
+  testClamp();
+  console.log("smoke-pool: all checks passed");
+}
+
+await main();
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import {
+  request, requestJson, configureRequests, classifyError,
+  RequestError, AuthExpiredError, ForbiddenError, RateLimitedError, NotFoundError
+} from "../lib/request.js";
+
+configureRequests({ retries: 3, baseDelayMs: 1, maxDelayMs: 4, minIntervalMs: 0 });
+
+const API = "https://chatgpt.com/backend-api/conversation/x";
+
+/** Serve `responses` in order (a status, an [status, headers] pair, or an Error) and count calls. */
+function stubFetch(responses) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    const [status, headers = {}] = Array.isArray(next) ? next : [next];
+    return {
+      ok:      status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+      json:    async () => ({ status })
+    };
+  };
+  return calls;
+}
+
+async function testRetriesThenSucceeds() {
+  const calls = stubFetch([503, 502, 200]);
+  assert.deepEqual(await requestJson(API), { status: 200 });
+  assert.equal(calls.length, 3, "5xx responses are retried");
+  assert.equal(calls[0].init.credentials, "include", "session cookies are sent");
+
+  const network = stubFetch([new TypeError("Failed to fetch"), 200]);
+  assert.equal((await request(API)).status, 200);
+  assert.equal(network.length, 2, "network errors are retried");
+}
+
+async function testRetryAfter() {
+  stubFetch([[429, { "retry-after": "0.05" }], 200]);
+  const started = Date.now();
+  await request(API);
+  assert.ok(Date.now() - started >= 45, "Retry-After seconds are honoured");
+
+  stubFetch([[503, { "retry-after": new Date(Date.now() + 60).toUTCString() }], 200]);
+  await request(API);
+}
+
+async function testTypedErrors() {
+  const limited = stubFetch([429]);
+  const err = await request(API, {}, { label: "Conversation API" }).catch((e) => e);
+  assert.ok(err instanceof RateLimitedError);
+  assert.match(err.message, /^Conversation API returned 429/);
+  assert.equal(limited.length, 4, "one attempt plus three retries");
+
+  const missing = stubFetch([404]);
+  await assert.rejects(request(API), NotFoundError);
+  assert.equal(missing.length, 1, "404 is not retried");
+
+  stubFetch([401]);
+  await assert.rejects(request(API), AuthExpiredError);
+
+  const forbidden = stubFetch([403]);
+  await assert.rejects(request(API), (e) => e instanceof ForbiddenError && !(e instanceof AuthExpiredError));
+  assert.equal(forbidden.length, 1, "403 is one resource, not the session, and is not retried");
+
+  const bad = stubFetch([400]);
+  await assert.rejects(request(API), (e) => e instanceof RequestError && e.status === 400);
+  assert.equal(bad.length, 1, "other 4xx fail immediately");
+
+  const once = stubFetch([503]);
+  await assert.rejects(request(API, {}, { retries: 0 }), RequestError);
+  assert.equal(once.length, 1, "per-call retry budget");
+}
+
+async function testClassify() {
+  stubFetch([new TypeError("offline")]);
+  const network = await request(API).catch((e) => e);
+  stubFetch([500]);
+  const http = await request(API).catch((e) => e);
+
+  assert.equal(classifyError(new AuthExpiredError("x", { status: 401 })), "auth_expired");
+  assert.equal(classifyError(new ForbiddenError("x", { status: 403 })), "forbidden");
+  assert.equal(classifyError(new RateLimitedError("x", { status: 429 })), "rate_limited");
+  assert.equal(classifyError(new NotFoundError("x", { status: 404 })), "not_found");
+  assert.equal(classifyError(network), "network");
+  assert.equal(classifyError(http), "http");
+  assert.equal(classifyError(new Error("parse failed")), "other");
+}
+
+async function main() {
+  await testRetriesThenSucceeds();
+  await testRetryAfter();
+  await testTypedErrors();
+  await testClassify();
+  console.log("smoke-request: all checks passed");
+}
+
+await main();
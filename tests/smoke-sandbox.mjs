@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { rewriteSandboxLinks } from "../lib/sandbox.js";
+
+function testRewriteLinks() {
+  const hrefs = new Map([
+    ["sandbox:/mnt/data/chart.png", "../sandbox/chat/chart.png"],
+    ["sandbox:/mnt/data/chart.png.zip", "../sandbox/chat/chart.png.zip"],
+    ["file-abc", "../attachments/chat/report.pdf"]
+  ]);
+
+  assert.equal(
+    rewriteSandboxLinks("[Chart](sandbox:/mnt/data/chart.png) and [zip](sandbox:/mnt/data/chart.png.zip)", hrefs),
+    "[Chart](../sandbox/chat/chart.png) and [zip](../sandbox/chat/chart.png.zip)",
+    "a reference never matches inside a longer one"
+  );
+  assert.equal(rewriteSandboxLinks("see file-abc", hrefs), "see file-abc", "only sandbox: keys are rewritten");
+  assert.equal(rewriteSandboxLinks("[gone](sandbox:/mnt/data/x.csv)", hrefs), "[gone](sandbox:/mnt/data/x.csv)", "unfetched files keep their link");
+}
+
+function main() {
+  testRewriteLinks();
+  console.log("smoke-sandbox: all checks passed");
+}
+
+main();
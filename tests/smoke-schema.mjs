@@ -0,0 +1,241 @@
+import assert from "node:assert/strict";
+import { normalizeConversation } from "../lib/schema.js";
+
+function node(id, parent, children, role, text) {
+  return {
+    id,
+    parent,
+    children,
+    message: role
+      ? { id, author: { role }, create_time: 1708000000, content: { content_type: "text", parts: [text] } }
+      : null
+  };
+}
+
+// root → system → user prompt → two regenerated answers
+const branchedRaw = {
+  id: "conv_branch",
+  title: "Branched Chat",
+  mapping: {
+    root:  node("root", null, ["sys"], null),
+    sys:   node("sys", "root", ["u1"], "system", "You are helpful."),
+    u1:    node("u1", "sys", ["a1", "a2"], "user", "Explain recursion."),
+    a1:    node("a1", "u1", [], "assistant", "First answer."),
+    a2:    node("a2", "u1", ["u2"], "assistant", "Second answer."),
+    u2:    node("u2", "a2", [], "user", "Thanks!")
+  }
+};
+
+function testLinearDefault() {
+  const conv = normalizeConversation(branchedRaw);
+  assert.deepEqual(conv.messages.map((m) => m.id), ["u1", "a2", "u2"]);
+  assert.equal(conv.tree, null);
+  assert.equal(conv.threadStrategy, "last_child");
+}
+
+function testCurrentNodeThread() {
+  const conv = normalizeConversation({ ...branchedRaw, current_node: "a1" });
+  assert.deepEqual(conv.messages.map((m) => m.id), ["u1", "a1"]);
+  assert.equal(conv.threadStrategy, "current_node");
+
+  const fallback = normalizeConversation({ ...branchedRaw, current_node: "missing" });
+  assert.deepEqual(fallback.messages.map((m) => m.id), ["u1", "a2", "u2"]);
+  assert.equal(fallback.threadStrategy, "last_child");
+}
+
+function testBranchTree() {
+  const conv = normalizeConversation(branchedRaw, { includeBranches: true });
+  const { tree } = conv;
+  assert.deepEqual(tree.rootIds, ["u1"], "system and empty nodes are collapsed");
+  assert.equal(tree.nodes.u1.parentId, null);
+  assert.deepEqual(tree.nodes.u1.childIds, ["a1", "a2"]);
+  assert.equal(tree.nodes.a2.siblingIndex, 1);
+  assert.equal(tree.nodes.a2.siblingCount, 2);
+  assert.equal(tree.nodes.u2.parentId, "a2");
+}
+
+function testDeepBranchTree() {
+  // Long tool-heavy chats are one node deep per turn; empty nodes are mixed in.
+  const depth   = 20000;
+  const mapping = {};
+  for (let i = 0; i < depth; i++) {
+    const id = `n${i}`;
+    mapping[id] = node(id, i ? `n${i - 1}` : null, i + 1 < depth ? [`n${i + 1}`] : [],
+      i % 10 === 0 ? null : i % 2 ? "user" : "assistant", `turn ${i}`);
+  }
+  const conv = normalizeConversation({ id: "deep", mapping, current_node: `n${depth - 1}` }, { includeBranches: true });
+  assert.equal(Object.keys(conv.tree.nodes).length, depth - depth / 10);
+  assert.deepEqual(conv.tree.rootIds, ["n1"]);
+  assert.equal(conv.tree.nodes.n11.parentId, "n9", "children of empty nodes attach to the nearest message");
+  assert.equal(conv.messages.length, depth - depth / 10);
+}
+
+function testToolOutputs() {
+  const msg = (id, parent, children, message) => ({ id, parent, children, message: { id, ...message } });
+  const conv = normalizeConversation({
+    id: "conv_tools",
+    title: "Analysis",
+    current_node: "quote",
+    mapping: {
+      call: msg("call", null, ["out"], {
+        author: { role: "assistant" },
+        recipient: "python",
+        content: { content_type: "code", language: "unknown", text: "print(1/0)" }
+      }),
+      out: msg("out", "call", ["quote"], {
+        author: { role: "tool", name: "python" },
+        content: { content_type: "execution_output", text: "ZeroDivisionError" },
+        metadata: { aggregate_result: { messages: [
+          { message_type: "stream", stream_name: "stderr", text: "ZeroDivisionError" },
+          { message_type: "image", image_url: "file-service://file-chart" }
+        ] } }
+      }),
+      quote: msg("quote", "out", [], {
+        author: { role: "tool", name: "browser" },
+        content: { content_type: "tether_quote", url: "https://example.com", title: "Example", text: "Quoted." }
+      })
+    }
+  });
+
+  const [call, out, quote] = conv.messages;
+  assert.deepEqual(call.parts, [{ type: "tool_call", tool: "python", language: "", text: "print(1/0)" }]);
+  assert.equal(out.role, "tool");
+  assert.equal(out.parts[0].type, "execution_output");
+  assert.equal(out.parts[0].stderr, "ZeroDivisionError");
+  assert.equal(out.parts[1].assetId, "file-service://file-chart");
+  assert.equal(quote.parts[0].type, "quote");
+  assert.equal(quote.parts[0].url, "https://example.com");
+}
+
+function testCitations() {
+  const text = "Paris is the capital【6†source】. It is large【7†source】.";
+  const legacyMarker = "【7†source】";
+  const conv = normalizeConversation({
+    id: "conv_cite",
+    mapping: {
+      a: {
+        id: "a", parent: null, children: [],
+        message: {
+          id: "a", author: { role: "assistant" },
+          content: { content_type: "text", parts: [text] },
+          metadata: {
+            content_references: [
+              { matched_text: "【6†source】", items: [{ title: "Paris", url: "https://example.com/paris", snippet: "Capital of France" }] },
+              { matched_text: " ", type: "sources_footnote", items: [{ title: "Paris", url: "https://example.com/paris" }] }
+            ],
+            citations: [
+              { start_ix: text.indexOf(legacyMarker), end_ix: text.indexOf(legacyMarker) + legacyMarker.length, metadata: { title: "Size", url: "https://example.com/size", text: "Large." } }
+            ]
+          }
+        }
+      }
+    }
+  });
+
+  const { citations } = conv.messages[0];
+  assert.equal(citations.length, 2, "footnote duplicates of inline citations are dropped");
+  assert.deepEqual(citations[0], {
+    marker: "【6†source】", title: "Paris", url: "https://example.com/paris", quote: "Capital of France"
+  });
+  assert.equal(citations[1].marker, legacyMarker);
+}
+
+function testReasoning() {
+  const raw = {
+    id: "conv_reason",
+    mapping: {
+      t: { id: "t", parent: null, children: ["r"], message: {
+        id: "t", author: { role: "assistant" },
+        content: { content_type: "thoughts", thoughts: [{ summary: "Plan", content: "Check the edge cases." }] }
+      } },
+      r: { id: "r", parent: "t", children: ["a"], message: {
+        id: "r", author: { role: "assistant" },
+        content: { content_type: "reasoning_recap", content: "Thought for 4 seconds" }
+      } },
+      a: node("a", "r", [], "assistant", "Done.")
+    }
+  };
+
+  assert.deepEqual(normalizeConversation(raw).messages.map((m) => m.id), ["a"], "reasoning is omitted by default");
+
+  const kept = normalizeConversation(raw, { includeReasoning: true }).messages;
+  assert.deepEqual(kept[0].parts, [{
+    type: "reasoning", summary: null, thoughts: [{ summary: "Plan", content: "Check the edge cases." }]
+  }]);
+  assert.equal(kept[1].parts[0].summary, "Thought for 4 seconds");
+}
+
+function testAttachments() {
+  const conv = normalizeConversation({
+    id: "conv_files",
+    mapping: {
+      u: { id: "u", parent: null, children: [], message: {
+        id: "u", author: { role: "user" },
+        content: { content_type: "text", parts: ["See attached."] },
+        metadata: { attachments: [
+          { id: "file-pdf", name: "report.pdf", mime_type: "application/pdf", size: 2048 },
+          { id: "file-img", name: "photo.png", mime_type: "image/png" }
+        ] }
+      } }
+    }
+  });
+
+  assert.deepEqual(conv.messages[0].attachments, [
+    { id: "file-pdf", name: "report.pdf", mimeType: "application/pdf", size: 2048 }
+  ], "image uploads are left to the image pipeline");
+}
+
+function testMessageMetadata() {
+  const withMeta = (n, metadata) => ({ ...n, message: { ...n.message, metadata } });
+  const conv = normalizeConversation({
+    ...branchedRaw,
+    mapping: {
+      ...branchedRaw.mapping,
+      a1: withMeta(branchedRaw.mapping.a1, { model_slug: "gpt-4", finish_details: { type: "max_tokens" } }),
+      a2: withMeta(branchedRaw.mapping.a2, { model_slug: "gpt-4o", finish_details: { type: "stop" }, feedback: { rating: "thumbsUp" } })
+    }
+  }, { includeBranches: true });
+
+  const { a1, a2, u1 } = conv.tree.nodes;
+  assert.equal(a1.modelSlug, "gpt-4");
+  assert.equal(a1.finishReason, "max_tokens");
+  assert.deepEqual(a1.version, { index: 0, count: 2 });
+  assert.equal(a1.regenerated, false);
+  assert.deepEqual(a2.version, { index: 1, count: 2 });
+  assert.equal(a2.regenerated, true);
+  assert.equal(a2.edited, false);
+  assert.equal(a2.feedback, "up");
+  assert.equal(u1.version, null);
+  assert.equal(u1.feedback, null);
+}
+
+function testConversationSource() {
+  const plain = normalizeConversation(branchedRaw);
+  assert.equal(plain.source, "history");
+  assert.equal(plain.projectName, null);
+
+  const archived = normalizeConversation({ ...branchedRaw, is_archived: true, gizmo_id: "g-abc" });
+  assert.equal(archived.source, "archived");
+  assert.equal(archived.customGptName, "g-abc");
+
+  const project = normalizeConversation({ ...branchedRaw, gizmo_id: "g-p-123", gizmo_type: "snorlax" });
+  assert.equal(project.source, "project");
+  assert.equal(project.projectName, "g-p-123");
+  assert.equal(project.customGptName, null, "a project is not a Custom GPT");
+}
+
+function main() {
+  testLinearDefault();
+  testCurrentNodeThread();
+  testBranchTree();
+  testDeepBranchTree();
+  testToolOutputs();
+  testCitations();
+  testReasoning();
+  testAttachments();
+  testMessageMetadata();
+  testConversationSource();
+  console.log("smoke-schema: all checks passed");
+}
+
+main();
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { buildSearchIndex, searchConversationText, clearSearchIndex } from "../lib/search_index.js";
+
+function conversation(id, title, turns) {
+  const mapping = { root: { id: "root", parent: null, children: turns.length ? ["m0"] : [], message: null } };
+  turns.forEach(([role, text], i) => {
+    mapping[`m${i}`] = {
+      id: `m${i}`,
+      parent: i === 0 ? "root" : `m${i - 1}`,
+      children: i + 1 < turns.length ? [`m${i + 1}`] : [],
+      message: { id: `m${i}`, author: { role }, content: { content_type: "text", parts: [text] } }
+    };
+  });
+  return { id, title, mapping };
+}
+
+const payloads = {
+  billing: conversation("billing", "Q3 planning", [
+    ["user", "Where are we with the billing migration?"],
+    ["assistant", "The billing   migration moves invoices from the legacy system to the new ledger service. " +
+      "Remaining work: dual writes, backfill and the cut-over runbook for the Billing team."]
+  ]),
+  trip: conversation("trip", "Trip ideas", [["user", "Beaches in Portugal?"]]),
+  titled: conversation("titled", "Billing notes", [["user", "See attached."]])
+};
+
+let fetched = [];
+globalThis.fetch = async (url) => {
+  const id = String(url).split("/").pop();
+  fetched.push(id);
+  const body = payloads[id];
+  return body
+    ? { ok: true, status: 200, text: async () => JSON.stringify(body) }
+    : { ok: false, status: 404, text: async () => "" };
+};
+
+const metas = [
+  { id: "billing", title: "Q3 planning", updatedAt: 100 },
+  { id: "trip",    title: "Trip ideas",  updatedAt: 100 },
+  { id: "titled",  title: "Billing notes", updatedAt: 100 },
+  { id: "missing", title: "Gone",        updatedAt: 100 }
+];
+
+async function testIndexCache() {
+  const progress = [];
+  const index = await buildSearchIndex(metas, (done, total) => progress.push(`${done}/${total}`));
+  assert.deepEqual([...index.keys()].sort(), ["billing", "titled", "trip"], "unloadable chats are skipped");
+  assert.deepEqual(fetched.sort(), ["billing", "missing", "titled", "trip"]);
+  assert.deepEqual(progress, ["0/4", "1/4", "2/4", "3/4", "3/4"]);
+
+  fetched = [];
+  const again = await buildSearchIndex(metas.slice(0, 3));
+  assert.equal(again.size, 3);
+  assert.deepEqual(fetched, [], "repeated searches reuse the cached index");
+
+  fetched = [];
+  await buildSearchIndex([{ ...metas[1], updatedAt: 200 }]);
+  assert.deepEqual(fetched, ["trip"], "chats updated since indexing are refetched");
+}
+
+async function testSearch() {
+  const index = await buildSearchIndex(metas.slice(0, 3));
+  const hits = searchConversationText(index.values(), "billing MIGRATION");
+
+  assert.deepEqual([...hits.keys()], ["billing"], "every word must match somewhere");
+  const hit = hits.get("billing");
+  assert.equal(hit.matchCount, 5);
+  assert.equal(hit.snippets.length, 2);
+
+  const [first, second] = hit.snippets;
+  assert.equal(first.role, "user");
+  assert.equal(first.text, "Where are we with the billing migration?");
+  assert.deepEqual(first.highlights.map(([s, e]) => first.text.slice(s, e)), ["billing", "migration"]);
+  assert.match(second.text, /^The billing migration moves .*…$/, "whitespace collapsed, long text cut at a word");
+
+  const titleOnly = searchConversationText(index.values(), "notes");
+  assert.deepEqual(titleOnly.get("titled"), { id: "titled", matchCount: 0, snippets: [] });
+  assert.equal(searchConversationText(index.values(), "  ").size, 0);
+  assert.equal(searchConversationText(index.values(), "a.b(").size, 0, "query text is matched literally");
+}
+
+async function testClearDuringBuild() {
+  await clearSearchIndex();
+  const token = { cancelled: false };
+  const realFetch = globalThis.fetch;
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  globalThis.fetch = async (url) => {
+    await gate;
+    return realFetch(url);
+  };
+
+  // "Clear index" cancels the running build and clears while a fetch is in flight.
+  const running = buildSearchIndex(metas.slice(0, 1), undefined, token);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  token.cancelled = true;
+  await clearSearchIndex();
+  release();
+  assert.equal((await running).size, 0);
+  globalThis.fetch = realFetch;
+
+  fetched = [];
+  await buildSearchIndex(metas.slice(0, 1));
+  assert.deepEqual(fetched, ["billing"], "the cancelled build left nothing cached");
+}
+
+async function main() {
+  await testIndexCache();
+  await testSearch();
+  await testClearDuringBuild();
+  console.log("smoke-search-index: all checks passed");
+}
+
+await main();
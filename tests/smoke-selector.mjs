@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { queryConversations, rangeBetween } from "../lib/selector.js";
+
+const metas = [
+  { id: "a", title: "Review auth PR",   updatedAt: 300, customGptName: "Code Reviewer", projectName: null },
+  { id: "b", title: "Trip ideas",       updatedAt: 100, customGptName: null,            projectName: "Travel" },
+  { id: "c", title: "auth token notes", updatedAt: null, customGptName: null,           projectName: null },
+  { id: "d", title: "",                 updatedAt: 200, customGptName: null,            projectName: null }
+];
+
+const ids = (rows) => rows.map((m) => m.id);
+
+function testSearchAndSort() {
+  assert.deepEqual(ids(queryConversations(metas, "")), ["a", "d", "b", "c"], "newest first, undated last");
+  assert.deepEqual(ids(queryConversations(metas, "", "updated-asc")), ["b", "d", "a", "c"]);
+  assert.deepEqual(ids(queryConversations(metas, "", "title-asc")), ["c", "d", "a", "b"], "untitled rows sort by id");
+  assert.deepEqual(ids(queryConversations(metas, "AUTH")), ["a", "c"]);
+  assert.deepEqual(ids(queryConversations(metas, "auth reviewer")), ["a"], "every word must match; GPT names count");
+  assert.deepEqual(ids(queryConversations(metas, "travel")), ["b"], "project names count");
+  assert.equal(metas[0].id, "a", "the input array is not reordered");
+}
+
+function testRange() {
+  const rows = queryConversations(metas, "");
+  assert.deepEqual(rangeBetween(rows, "a", "b"), ["a", "d", "b"]);
+  assert.deepEqual(rangeBetween(rows, "b", "a"), ["a", "d", "b"], "works upward too");
+  assert.deepEqual(rangeBetween(rows, null, "d"), ["d"]);
+  assert.deepEqual(rangeBetween(queryConversations(metas, "auth"), "b", "c"), ["c"], "anchor hidden by search");
+}
+
+function main() {
+  testSearchAndSort();
+  testRange();
+  console.log("smoke-selector: all checks passed");
+}
+
+main();
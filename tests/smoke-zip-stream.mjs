@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { inflateRawSync } from "node:zlib";
+import { createZipWriter, createBlobSink, crc32 } from "../lib/exporter/zip_stream.js";
+
+/**
+ * Parse a ZIP through its central directory (ZIP64-aware) and return
+ * path → { method, bytes }.
+ * @param {Uint8Array} buf
+ */
+function readZip(buf) {
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const eocd = buf.length - 22;
+  assert.equal(view.getUint32(eocd, true), 0x06054b50, "end of central directory at the tail");
+  let count    = view.getUint16(eocd + 10, true);
+  let cdOffset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || cdOffset === 0xffffffff) {
+    const locator = eocd - 20;
+    assert.equal(view.getUint32(locator, true), 0x07064b50, "ZIP64 locator");
+    const record = Number(view.getBigUint64(locator + 8, true));
+    assert.equal(view.getUint32(record, true), 0x06064b50, "ZIP64 end record");
+    count    = Number(view.getBigUint64(record + 32, true));
+    cdOffset = Number(view.getBigUint64(record + 48, true));
+  }
+
+  const files = new Map();
+  let at = cdOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(at, true), 0x02014b50, "central header signature");
+    const flags    = view.getUint16(at + 8, true);
+    const method   = view.getUint16(at + 10, true);
+    const crc      = view.getUint32(at + 16, true);
+    const compSize = view.getUint32(at + 20, true);
+    const size     = view.getUint32(at + 24, true);
+    const nameLen  = view.getUint16(at + 28, true);
+    const extraLen = view.getUint16(at + 30, true);
+    const local    = view.getUint32(at + 42, true);
+    const name     = new TextDecoder().decode(buf.subarray(at + 46, at + 46 + nameLen));
+    assert.equal(flags & 0x0800, 0x0800, "names are flagged UTF-8");
+
+    assert.equal(view.getUint32(local, true), 0x04034b50, "local header signature");
+    const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const stored    = buf.subarray(dataStart, dataStart + compSize);
+    const bytes     = method === 8 ? new Uint8Array(inflateRawSync(stored)) : stored;
+    assert.equal(bytes.length, size, `${name}: size`);
+    assert.equal(crc32(bytes), crc, `${name}: CRC`);
+
+    files.set(name, { method, bytes });
+    at += 46 + nameLen + extraLen;
+  }
+  return files;
+}
+
+async function writeZip(build, flushBytes) {
+  const sink = createBlobSink(flushBytes);
+  const zip  = createZipWriter(sink);
+  await build(zip);
+  await zip.close();
+  const blob = sink.finish();
+  assert.equal(blob.type, "application/zip");
+  const buf = new Uint8Array(await blob.arrayBuffer());
+  assert.equal(buf.length, zip.bytesWritten, "bytesWritten matches the archive size");
+  return buf;
+}
+
+function testCrc32() {
+  assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+}
+
+async function testRoundTrip() {
+  const text    = "# Chat\n\n" + "Repeated line of Markdown.\n".repeat(200);
+  const image   = Uint8Array.from({ length: 512 }, (_, i) => (i * 37) & 0xff);
+  // A tiny flush threshold forces several Blob folds mid-archive.
+  const buf = await writeZip(async (zip) => {
+    await zip.addFile("export/chats/2024-01-01_chat.md", text);
+    await zip.addFile("export/images/chat_0.png", image.buffer, { compress: false });
+    await zip.addFile("export/chats/2024-01-02_Ünïcødé 日本.json", "{}");
+    await zip.addFile("export/empty.txt", "");
+  }, 64);
+
+  const files = readZip(buf);
+  assert.deepEqual([...files.keys()], [
+    "export/chats/2024-01-01_chat.md",
+    "export/images/chat_0.png",
+    "export/chats/2024-01-02_Ünïcødé 日本.json",
+    "export/empty.txt"
+  ]);
+  const md = files.get("export/chats/2024-01-01_chat.md");
+  assert.equal(md.method, 8, "text is deflated");
+  assert.equal(new TextDecoder().decode(md.bytes), text);
+  const png = files.get("export/images/chat_0.png");
+  assert.equal(png.method, 0, "images are stored as-is");
+  assert.deepEqual(png.bytes, image);
+  assert.equal(files.get("export/chats/2024-01-02_Ünïcødé 日本.json").method, 0, "stored when deflate would not shrink it");
+  assert.equal(files.get("export/empty.txt").bytes.length, 0);
+}
+
+async function testClosedWriterRejects() {
+  const zip = createZipWriter(createBlobSink());
+  await zip.close();
+  await assert.rejects(zip.addFile("late.txt", "x"), /already closed/);
+}
+
+async function testZip64EntryCount() {
+  const count = 0x10000 + 5;
+  const buf = await writeZip(async (zip) => {
+    for (let i = 0; i < count; i++) await zip.addFile(`f/${i}`, "", { compress: false });
+  });
+  const files = readZip(buf);
+  assert.equal(files.size, count, "more than 65 535 entries go through the ZIP64 end record");
+  assert.ok(files.has(`f/${count - 1}`));
+}
+
+async function testZip64OffsetBoundary() {
+  // A local header at exactly 0xFFFFFFFF: the plain field would read as the
+  // ZIP64 sentinel, so it needs the extra field. Bodies are stand-ins that
+  // only carry a length; the sink keeps everything else.
+  const chunks = [];
+  const zip = createZipWriter({ write: (chunk) => { if (chunk instanceof Uint8Array) chunks.push(chunk); } });
+  const stored = (length) => ({ method: 0, crc: 0, size: 0, body: { length } });
+  await zip.addEntry("a", stored(0xffffffff - 31));
+  assert.equal(zip.bytesWritten, 0xffffffff);
+  await zip.addEntry("b", stored(0));
+  await zip.close();
+
+  const tail = new Uint8Array(chunks.slice(2).reduce((n, c) => n + c.length, 0));
+  chunks.slice(2).reduce((at, c) => (tail.set(c, at), at + c.length), 0);
+  const view = new DataView(tail.buffer);
+  const second = 46 + 1;  // after the central header of "a"
+  assert.equal(view.getUint32(0, true), 0x02014b50);
+  assert.equal(view.getUint32(second, true), 0x02014b50);
+  assert.equal(view.getUint16(second + 30, true), 12, "ZIP64 extra field");
+  assert.equal(view.getUint32(second + 42, true), 0xffffffff);
+  assert.equal(view.getBigUint64(second + 46 + 1 + 4, true), 0xffffffffn, "real offset in the extra field");
+  assert.equal(view.getUint32(tail.length - 22 - 20, true), 0x07064b50, "central directory past the sentinel gets the ZIP64 records");
+}
+
+async function main() {
+  testCrc32();
+  await testRoundTrip();
+  await testClosedWriterRejects();
+  await testZip64EntryCount();
+  await testZip64OffsetBoundary();
+  console.log("smoke-zip-stream: all checks passed");
+}
+
+await main();